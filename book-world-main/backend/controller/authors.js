@@ -0,0 +1,143 @@
+const Author = require("../models/authors");
+const Book = require("../models/books");
+const ExpressError = require("../utils/ExpressErrors");
+const { escapeRegex, toText } = require("../utils/bookQuery");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { authorKey } = require("../utils/authors");
+const { syncAuthorNames } = require("../services/authors");
+const { storeImage, imageUrl } = require("../services/images");
+const { baseUrlOf } = require("../services/storage");
+const { removeOrphanedAssets } = require("../services/assets");
+
+// the number of books of each author, trashed books are not counted
+const countBooks = async (authors) => {
+  const counts = await Book.aggregate([
+    { $match: { authors: { $in: authors.map((author) => author._id) } } },
+    { $unwind: "$authors" },
+    { $group: { _id: "$authors", count: { $sum: 1 } } },
+  ]);
+  return (author) =>
+    counts.find((count) => count._id.equals(author._id))?.count || 0;
+};
+
+module.exports.getAllAuthors = async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = {};
+  if (req.query.q) {
+    const regex = new RegExp(escapeRegex(toText(req.query.q, "q").trim()), "i");
+    filter.$or = [{ name: regex }, { aliases: regex }];
+  }
+
+  const [authors, total] = await Promise.all([
+    Author.find(filter)
+      .sort({ name: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Author.countDocuments(filter),
+  ]);
+  const bookCountOf = await countBooks(authors);
+
+  res.json({
+    authors: authors.map((author) => ({
+      ...author,
+      bookCount: bookCountOf(author),
+    })),
+    ...paginate(req, { total, page, limit }),
+  });
+};
+
+module.exports.getAuthor = async (req, res) => {
+  const author = await Author.findById(req.params.id);
+  if (!author) {
+    throw new ExpressError(404, "Author not found");
+  }
+  const books = await Book.find({ authors: author._id }).sort({
+    year_published: 1,
+    title: 1,
+  });
+
+  res.json({
+    author,
+    books,
+  });
+};
+
+// aliases are sent as a list, or as one string separated by `;`
+const readAliases = (aliases) =>
+  (Array.isArray(aliases) ? aliases : String(aliases).split(";"))
+    .map((alias) => alias.trim())
+    .filter(Boolean);
+
+const readYear = (value, name) => {
+  if (value === "" || value === null) return undefined;
+  const year = Number(value);
+  if (!Number.isInteger(year)) {
+    throw new ExpressError(400, `${name} must be a year`);
+  }
+  return year;
+};
+
+module.exports.updateAuthor = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update an Author");
+  }
+  const author = await Author.findById(req.params.id);
+  if (!author) {
+    throw new ExpressError(404, "Author not found");
+  }
+  const previousName = author.name;
+  const body = req.body;
+
+  if ("name" in body) {
+    if (!String(body.name).trim()) {
+      throw new ExpressError(400, "name is required");
+    }
+    author.name = body.name;
+  }
+  if ("aliases" in body) author.aliases = readAliases(body.aliases);
+  if ("bio" in body) author.bio = body.bio;
+  if ("birth_year" in body) {
+    author.birth_year = readYear(body.birth_year, "birth_year");
+  }
+  if ("death_year" in body) {
+    author.death_year = readYear(body.death_year, "death_year");
+  }
+  if (author.birth_year && author.death_year < author.birth_year) {
+    throw new ExpressError(400, "death_year cannot be before birth_year");
+  }
+  // every spelling can only lead to one author
+  const keys = [author.name, ...author.aliases].map(authorKey);
+  const other = await Author.findOne({
+    nameKeys: { $in: keys },
+    _id: { $ne: author._id },
+  });
+  if (other) {
+    throw new ExpressError(
+      409,
+      `${other.name} is already known by one of these names`
+    );
+  }
+
+  // stored once the author is known to be valid
+  if (req.file) {
+    const images = await storeImage(req.file, {
+      baseUrl: baseUrlOf(req),
+      owner: author._id,
+      ownerModel: "Author",
+      sizes: ["card"],
+      formats: ["jpeg"],
+    });
+    author.image_url = imageUrl(images, "card");
+  }
+  await author.save();
+  if (req.file) await removeOrphanedAssets(author._id);
+  if (author.name !== previousName) {
+    await syncAuthorNames(author._id);
+  }
+
+  res.json({
+    author,
+    message: `Author Updated: ${author.name}`,
+  });
+};
@@ -1,54 +1,412 @@
+const { once } = require("events");
+const mongoose = require("mongoose");
 const Book = require("../models/books");
 const Review = require("../models/review");
-const User = require("../models/users");
+const BookRevision = require("../models/bookRevisions");
+const Series = require("../models/series");
+const { deleteBookCascade } = require("../services/cascadeDelete");
+const { resolveAuthors, removeUnusedAuthors } = require("../services/authors");
+const { resolveGenres, expandGenres } = require("../services/genres");
+const { linkEditions, unlinkEdition } = require("../services/editions");
+const { combineRatings } = require("../services/bookRating");
+const { storeImage, imageUrl } = require("../services/images");
+const { removeOrphanedAssets } = require("../services/assets");
+const { findDuplicates, mergeBooks } = require("../services/duplicates");
+const { baseUrlOf } = require("../services/storage");
 const ExpressError = require("../utils/ExpressErrors");
-const { deleteCommentAndReplies } = require("./comments");
+const {
+  buildBookFilter,
+  buildBookSort,
+  toList,
+  toText,
+  escapeRegex,
+} = require("../utils/bookQuery");
+const {
+  parseSearchQuery,
+  toTextSearch,
+  wordsWithPrefix,
+  highlight,
+} = require("../utils/search");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { resolveIsbns, toIsbn13 } = require("../utils/isbn");
+const {
+  readImportFile,
+  toBookData,
+  importKey,
+  AUTHOR_SEPARATORS,
+} = require("../utils/bookImport");
+const { EXPORT_FORMATS, createExportWriter } = require("../utils/bookExport");
+const { snapshotOf, diffBooks } = require("../utils/revisions");
+const { joinAuthors } = require("../utils/authors");
+
+// the words of the catalog starting with each prefix, so `harr*` can be
+// searched as `harry harrow` through the text index
+const expandPrefixes = async (prefixes) => {
+  const words = new Set();
+  for (const prefix of prefixes) {
+    const regex = new RegExp(`\\b${escapeRegex(prefix)}`, "i");
+    const books = await Book.find(
+      { $or: [{ title: regex }, { author: regex }, { genre: regex }] },
+      "title author genre"
+    ).limit(50);
+    books.forEach((book) =>
+      [book.title, book.author, ...book.genre].forEach((text) =>
+        wordsWithPrefix(text, prefix).forEach((word) =>
+          words.add(word.toLowerCase())
+        )
+      )
+    );
+  }
+  return [...words];
+};
+
+// shared by every endpoint accepting the search and filter params of GET /books,
+// `searchFilter` is the part of `filter` coming from the `q` search
+module.exports.buildCatalogQuery = async (query) => {
+  // a genre brings its subgenres along, `query` is what the filter was built
+  // from so the facets can be built from it too
+  if (query.genre) {
+    query = { ...query, genre: await expandGenres(toList(query.genre)) };
+  }
+  const filter = buildBookFilter(query);
+  if (!query.q) return { filter, query, search: null, searchFilter: {} };
+
+  const search = parseSearchQuery(toText(query.q, "q"));
+  const prefixWords = await expandPrefixes(search.prefixes);
+  // when none of the prefixes exist the search cannot match anything
+  const searchFilter =
+    search.terms.length + search.phrases.length + prefixWords.length === 0
+      ? { _id: null }
+      : { $text: { $search: toTextSearch(search, prefixWords) } };
+
+  return {
+    filter: { ...filter, ...searchFilter },
+    query,
+    search,
+    searchFilter,
+  };
+};
+
+const countBy = (filter, stages) =>
+  Book.aggregate([
+    { $match: filter },
+    ...stages,
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+  ]);
+
+// counts for the filter sidebar, each facet ignores its own filter so the
+// other values of that facet keep their counts once one is selected
+const getFacets = (query, searchFilter) => {
+  const filterWithout = (...keys) => {
+    const rest = { ...query };
+    keys.forEach((key) => delete rest[key]);
+    return { ...buildBookFilter(rest), ...searchFilter };
+  };
+
+  return Promise.all([
+    countBy(filterWithout("genre"), [
+      { $unwind: "$genre" },
+      { $group: { _id: "$genre", count: { $sum: 1 } } },
+    ]),
+    countBy(filterWithout("year_from", "year_to"), [
+      { $match: { year_published: { $type: "number" } } },
+      {
+        $group: {
+          _id: {
+            $subtract: ["$year_published", { $mod: ["$year_published", 10] }],
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    // buckets by average rating, 4 holds 4 to 5 stars and 0 unrated books
+    countBy(filterWithout(), [
+      {
+        $group: {
+          _id: { $min: [{ $floor: "$ratingAverage" }, 4] },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]).then(([genre, decade, rating]) => ({ genre, decade, rating }));
+};
 
 module.exports.getAllBooks = async (req, res) => {
-  const { q } = req.query;
-
-  let books;
-  if (q) {
-    const searchWords = q.split(" ");
-    const regex = new RegExp(searchWords.join("|"), "i");
-    books = await Book.find({
-      $or: [{ title: regex }, { author: regex }, { genre: { $in: regex } }],
-    });
-  } else {
-    books = await Book.find({}); // Fetch all books if no query provided
+  const { filter, query, search, searchFilter } = await this.buildCatalogQuery(
+    req.query
+  );
+  const sort = buildBookSort(req.query.sort, !!search, !!filter.$text);
+  const { page, limit, skip } = parsePagination(req.query);
+  const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+
+  let [books, total, facets] = await Promise.all([
+    Book.find(filter, projection).sort(sort).skip(skip).limit(limit).lean(),
+    Book.countDocuments(filter),
+    req.query.facets === "true" ? getFacets(query, searchFilter) : null,
+  ]);
+
+  if (search) {
+    books = books.map((book) => ({
+      ...book,
+      highlights: {
+        title: highlight(book.title, search),
+        author: highlight(book.author, search),
+        description: highlight(book.description, search),
+      },
+    }));
   }
+
   res.json({
     books: books,
+    ...paginate(req, { total, page, limit }),
+    ...(facets && { facets }),
   });
 };
 
+// streams every book matching the GET /books params, a book at a time, so
+// large catalogs are never held in memory
+module.exports.exportBooks = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Export Books");
+  }
+  const format = req.query.format || "csv";
+  const writer = createExportWriter(format);
+  if (!writer) {
+    throw new ExpressError(
+      400,
+      `format must be one of ${EXPORT_FORMATS.join(", ")}`
+    );
+  }
+
+  const { filter, search } = await this.buildCatalogQuery(req.query);
+  const sort = buildBookSort(req.query.sort, !!search, !!filter.$text);
+  const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+  const cursor = Book.find(filter, projection).sort(sort).lean().cursor();
+
+  res.attachment(`books.${writer.extension}`);
+  res.type(writer.contentType);
+
+  // waits for the client to take more, or for it to go away mid-export
+  const write = async (chunk) => {
+    if (!chunk || res.destroyed || res.write(chunk)) return;
+    const waiting = new AbortController();
+    await Promise.race([
+      once(res, "drain", { signal: waiting.signal }),
+      once(res, "close", { signal: waiting.signal }),
+    ]).finally(() => waiting.abort());
+  };
+
+  try {
+    await write(writer.header());
+    for await (const book of cursor) {
+      if (res.destroyed) break;
+      await write(writer.row(book));
+    }
+    await write(writer.footer());
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+};
+
 module.exports.getBook = async (req, res) => {
   const id = req.params.id;
-  const book = await Book.findById(id);
+  const book = await Book.findById(id)
+    .populate("authors", "name")
+    .populate("series", "name totalVolumes");
 
   res.json({
     book,
   });
 };
 
+module.exports.getBookByIsbn = async (req, res) => {
+  const isbn13 = toIsbn13(req.params.isbn);
+  const book = await Book.findOne({ isbn13 });
+  if (!book) {
+    throw new ExpressError(404, `No Book found with ISBN ${req.params.isbn}`);
+  }
+
+  res.json({
+    book,
+  });
+};
+
+// the books looking like duplicates of the one described by the `title`,
+// `author` and `isbn` params, used to warn before a book is added. `exclude`
+// leaves out the book being compared when it is already saved
+module.exports.getDuplicates = async (req, res) => {
+  const { title, author, isbn, exclude } = req.query;
+  if (!title && !isbn) {
+    throw new ExpressError(400, "title or isbn is required");
+  }
+  const isbn13 = isbn ? toIsbn13(isbn) : null;
+  if (exclude && !mongoose.isValidObjectId(exclude)) {
+    throw new ExpressError(400, "exclude must be a book id");
+  }
+
+  res.json({
+    duplicates: await findDuplicates(
+      { title, author, isbn13 },
+      { excludeId: exclude }
+    ),
+  });
+};
+
+const describeDuplicate = ({ book }) => `${book.title} by ${book.author}`;
+
+// fills in both isbns from whichever one was sent and makes sure no other
+// book already has them, bodies without isbn fields are left untouched
+const applyIsbns = async (body, id) => {
+  if (!("isbn10" in body) && !("isbn13" in body)) return;
+
+  const { isbn10, isbn13 } = resolveIsbns(body);
+  if (isbn13) {
+    const existing = await Book.findOne({
+      isbn13,
+      ...(id && { _id: { $ne: id } }),
+    }).withTrashed();
+    if (existing) {
+      throw new ExpressError(
+        409,
+        `ISBN ${isbn13} is already used by ${existing.title}${
+          existing.deletedAt ? " (in the Trash)" : ""
+        }`
+      );
+    }
+  }
+
+  body.isbn10 = isbn10;
+  body.isbn13 = isbn13;
+};
+
+// links the book to an Author for each name of its `author` string, which is
+// rewritten with the names the authors are known by, bodies without an author
+// are left untouched
+const applyAuthors = async (body) => {
+  if (!("author" in body)) return;
+
+  const authors = await resolveAuthors(body.author);
+  if (authors.length === 0) return;
+  body.authors = authors.map((author) => author._id);
+  body.author = joinAuthors(authors.map((author) => author.name));
+};
+
+// links the authors of the body right before the book is saved by `save`,
+// the authors made for a book that then fails to save are removed again
+const saveWithAuthors = async (body, save) => {
+  await applyAuthors(body);
+  try {
+    return await save();
+  } catch (err) {
+    if (body.authors) await removeUnusedAuthors(body.authors);
+    throw err;
+  }
+};
+
+// spells the genres of the book as in the taxonomy and refuses the ones that
+// are not in it, multipart forms may send the list as json, bodies without a
+// genre are left untouched
+const applyGenres = async (body) => {
+  if (!("genre" in body)) return;
+
+  let names = body.genre;
+  if (typeof names === "string" && names.trim().startsWith("[")) {
+    try {
+      names = JSON.parse(names);
+    } catch (err) {
+      throw new ExpressError(400, "genre must be a list of genres");
+    }
+  }
+  const { known, unknown } = await resolveGenres([].concat(names));
+  if (unknown.length > 0) {
+    throw new ExpressError(400, `Unknown genre: ${unknown.join(", ")}`);
+  }
+  body.genre = known;
+};
+
+// checks the series of the book exists, an empty series takes the book out of
+// its series, empty edition fields sent by forms are cleared
+const applySeries = async (body) => {
+  ["seriesPosition", "format"].forEach((field) => {
+    if (body[field] === "") body[field] = null;
+  });
+  if (!("series" in body)) return;
+
+  if (!body.series) {
+    body.series = null;
+    body.seriesPosition = null;
+    return;
+  }
+  if (
+    !mongoose.isValidObjectId(body.series) ||
+    !(await Series.exists({ _id: body.series }))
+  ) {
+    throw new ExpressError(400, "Series not found");
+  }
+};
+
+// the sizes of the uploaded cover of book `bookId`, the full size one is the
+// url of the cover
+const storeCover = async (req, bookId) => {
+  const images = await storeImage(req.file, {
+    baseUrl: baseUrlOf(req),
+    owner: bookId,
+    ownerModel: "Book",
+  });
+  return { images, image_url: imageUrl(images, "full") };
+};
+
+// stores the change from `previous` to `book` in the history of the book,
+// updates that change nothing are not recorded
+const recordRevision = async (
+  book,
+  previous,
+  { editorId, action, revertedTo }
+) => {
+  const changes = diffBooks(previous, book);
+  if (previous && changes.length === 0) return null;
+
+  return BookRevision.create({
+    bookId: book._id,
+    editorId,
+    action,
+    revertedTo,
+    changes,
+    snapshot: snapshotOf(book),
+  });
+};
+
 module.exports.createBook = async (req, res) => {
   if (req.role !== "admin") {
     throw new ExpressError(401, "You are not Authorized to Add Book");
   }
   const body = req.body;
+  await applyIsbns(body);
+  await applyGenres(body);
+  await applySeries(body);
 
-  if (req.file) {
-    let url = req.file.path;
-    if (url.startsWith("public")) {
-      body.image_url = `http://localhost:8000/${url}`;
-    } else {
-      body.image_url = url;
+  // a book looking like one already in the catalog is only added once the
+  // admin confirms it is not the same book
+  if (String(body.allowDuplicate) !== "true") {
+    const duplicates = await findDuplicates(body);
+    if (duplicates.length > 0) {
+      return res.status(409).json({
+        duplicates,
+        message: `Possible duplicate of ${describeDuplicate(duplicates[0])}`,
+      });
     }
   }
 
-  const book = new Book(body);
-
-  await book.save();
+  const book = await saveWithAuthors(body, async () => {
+    const book = new Book(body);
+    if (req.file) {
+      book.set(await storeCover(req, book._id));
+    }
+    return book.save();
+  });
+  await recordRevision(book, null, { editorId: req.userId, action: "create" });
 
   res.json({
     book,
@@ -56,33 +414,268 @@ module.exports.createBook = async (req, res) => {
   });
 };
 
+// an imported row updates the book with the same isbn, or the same title and
+// author when that book has no conflicting isbn, otherwise a book is created
+const findImportMatch = async (data) => {
+  if (data.isbn13) {
+    const book = await Book.findOne({ isbn13: data.isbn13 }).withTrashed();
+    if (book) return book;
+  }
+  if (!data.title || !data.author) return null;
+
+  const book = await Book.findOne({
+    title: new RegExp(`^${escapeRegex(data.title)}$`, "i"),
+    author: new RegExp(`^${escapeRegex(data.author)}$`, "i"),
+  });
+  if (book && data.isbn13 && book.isbn13 && book.isbn13 !== data.isbn13) {
+    return null;
+  }
+  return book;
+};
+
+const importRow = async (data, { dryRun, allowDuplicates, editorId }) => {
+  const existing = await findImportMatch(data);
+  if (existing?.deletedAt) {
+    return {
+      status: "error",
+      errors: [`Matches ${existing.title}, which is in the Trash`],
+    };
+  }
+  if (!existing && !allowDuplicates) {
+    const [duplicate] = await findDuplicates(data, { limit: 1 });
+    if (duplicate) {
+      return {
+        status: "error",
+        errors: [`Possible duplicate of ${describeDuplicate(duplicate)}`],
+      };
+    }
+  }
+  if (!existing && data.genre.length === 0) {
+    return { status: "error", errors: ["genre is required"] };
+  }
+  if (existing && data.genre.length === 0) delete data.genre;
+  if (data.genre) {
+    const { known, unknown } = await resolveGenres(data.genre);
+    if (unknown.length > 0) {
+      return {
+        status: "error",
+        errors: [`Unknown genre: ${unknown.join(", ")}`],
+      };
+    }
+    data.genre = known;
+  }
+
+  const book = existing || new Book();
+  const previous = existing && snapshotOf(existing);
+  book.set(data);
+  const invalid = book.validateSync();
+  if (invalid) {
+    return {
+      status: "error",
+      errors: Object.values(invalid.errors).map((err) => err.message),
+    };
+  }
+
+  if (data.isbn10) {
+    const taken = await Book.findOne({
+      isbn10: data.isbn10,
+      _id: { $ne: book._id },
+    }).withTrashed();
+    if (taken) {
+      return {
+        status: "error",
+        errors: [`ISBN ${data.isbn10} is already used by ${taken.title}`],
+      };
+    }
+  }
+
+  if (!dryRun) {
+    await saveWithAuthors(data, () => book.set(data).save());
+    await recordRevision(book, previous, { editorId, action: "import" });
+    if (existing) await removeOrphanedAssets(book._id);
+  }
+  return { status: existing ? "updated" : "created", id: book._id };
+};
+
+module.exports.importBooks = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Import Books");
+  }
+  const dryRun = String(req.body?.dryRun ?? req.query.dryRun) === "true";
+  const allowDuplicates =
+    String(req.body?.allowDuplicates ?? req.query.allowDuplicates) === "true";
+  const authorSeparator =
+    req.body?.authorSeparator ?? req.query.authorSeparator;
+  if (authorSeparator && !AUTHOR_SEPARATORS.includes(authorSeparator)) {
+    throw new ExpressError(
+      400,
+      `authorSeparator must be one of ${AUTHOR_SEPARATORS.join(" ")}`
+    );
+  }
+  const rows = readImportFile(req.file);
+
+  const seen = new Map();
+  const results = [];
+  for (const [index, raw] of rows.entries()) {
+    const row = index + 1;
+    const { data, errors } = toBookData(raw, { authorSeparator });
+    const title = data?.title;
+
+    if (errors.length > 0) {
+      results.push({ row, title, status: "error", errors });
+      continue;
+    }
+    const key = importKey(data);
+    if (seen.has(key)) {
+      results.push({
+        row,
+        title,
+        status: "error",
+        errors: [`Duplicate of row ${seen.get(key)}`],
+      });
+      continue;
+    }
+    seen.set(key, row);
+
+    results.push({
+      row,
+      title,
+      errors: [],
+      ...(await importRow(data, {
+        dryRun,
+        allowDuplicates,
+        editorId: req.userId,
+      })),
+    });
+  }
+
+  const summary = { created: 0, updated: 0, error: 0 };
+  results.forEach((result) => summary[result.status]++);
+
+  res.json({
+    dryRun,
+    summary,
+    results,
+    message: dryRun
+      ? `Import preview: ${summary.created} new, ${summary.updated} updated, ${summary.error} with errors`
+      : `Imported ${summary.created + summary.updated} books, ${summary.error} rows failed`,
+  });
+};
+
+// how long a book stays in the trash before it is purged for good
+const trashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const expiresAt = (book) =>
+  new Date(book.deletedAt.getTime() + trashRetentionDays() * 86400000);
+
+const findTrashedBook = async (id) => {
+  const book = await Book.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!book) {
+    throw new ExpressError(404, "No Book found in the Trash");
+  }
+  return book;
+};
+
+// books stay in the trash, reviews and comments included, until they are
+// restored or the retention window runs out
 module.exports.deleteBook = async (req, res) => {
   if (req.role !== "admin") {
     throw new ExpressError(401, "You are not Authorized to Delete a Book");
   }
   const id = req.params.id;
-  const book = await Book.findByIdAndDelete(id);
-  const usersWithBook = await User.find({ favoriteBooks: { $in: [id] } });
+  const book = await Book.findById(id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+
+  book.deletedAt = new Date();
+  book.deletedBy = req.userId;
+  await book.save();
 
-  usersWithBook.forEach(async (user) => {
-    await User.updateOne({ _id: user._id }, { $pull: { favoriteBooks: id } });
+  res.json({
+    book: book,
+    expiresAt: expiresAt(book),
+    message: `Book moved to Trash: ${book.title}`,
   });
+};
 
-  const reviews = await Review.find({ bookId: book._id });
-  reviews.map(async (review) => {
-    const deletedReview = await Review.findByIdAndDelete(review._id);
-    const replies = review.comments;
-    for (const replyId of replies) {
-      await deleteCommentAndReplies(replyId);
-    }
+module.exports.getTrash = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to view the Trash");
+  }
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = { deletedAt: { $ne: null } };
+
+  const [books, total] = await Promise.all([
+    Book.find(filter)
+      .sort({ deletedAt: -1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("deletedBy", "firstName lastName")
+      .lean(),
+    Book.countDocuments(filter),
+  ]);
+  const reviewCounts = await Review.aggregate([
+    { $match: { bookId: { $in: books.map((book) => book._id) } } },
+    { $group: { _id: "$bookId", count: { $sum: 1 } } },
+  ]);
+  const countOf = (book) =>
+    reviewCounts.find((count) => count._id.equals(book._id))?.count || 0;
+
+  res.json({
+    books: books.map((book) => ({
+      ...book,
+      expiresAt: expiresAt(book),
+      reviewCount: countOf(book),
+    })),
+    retentionDays: trashRetentionDays(),
+    ...paginate(req, { total, page, limit }),
   });
+};
+
+module.exports.restoreBook = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Restore a Book");
+  }
+  const book = await findTrashedBook(req.params.id);
+
+  book.deletedAt = null;
+  book.deletedBy = undefined;
+  await book.save();
 
   res.json({
-    book: book,
-    message: `Book Deleted: ${book.title}`,
+    book,
+    message: `Book Restored: ${book.title}`,
   });
 };
 
+module.exports.purgeBook = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Delete a Book");
+  }
+  const book = await findTrashedBook(req.params.id);
+  await unlinkEdition(book);
+  const removed = await deleteBookCascade(book._id);
+
+  res.json({
+    book,
+    removed,
+    message: `Book Deleted Permanently: ${book.title}`,
+  });
+};
+
+// run periodically, permanently removes books kept in the trash for longer
+// than the retention window
+module.exports.purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - trashRetentionDays() * 86400000);
+  const books = await Book.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const book of books) {
+    await unlinkEdition(book);
+    await deleteBookCascade(book._id);
+  }
+  return books.length;
+};
+
 module.exports.updateBook = async (req, res) => {
   if (req.role !== "admin") {
     throw new ExpressError(401, "You are not Authorized to Update a Book");
@@ -91,16 +684,24 @@ module.exports.updateBook = async (req, res) => {
   const body = req.body;
 
   const previous = await Book.findById(id);
+  if (!previous) {
+    throw new ExpressError(404, "Book not found");
+  }
+  await applyIsbns(body, id);
+  await applyGenres(body);
+  await applySeries(body);
   if (req.file) {
-    let url = req.file.path;
-    if (url.startsWith("public")) {
-      body.image_url = `http://localhost:8000/${url}`;
-    } else {
-      body.image_url = url;
-    }
+    Object.assign(body, await storeCover(req, id));
   } else body.image_url = previous.image_url;
 
-  const current = await Book.findByIdAndUpdate(id, body, { new: true });
+  const current = await saveWithAuthors(body, () =>
+    Book.findByIdAndUpdate(id, body, { new: true })
+  );
+  await recordRevision(current, previous, {
+    editorId: req.userId,
+    action: "update",
+  });
+  if (req.file) await removeOrphanedAssets(id);
 
   res.json({
     previous,
@@ -108,3 +709,173 @@ module.exports.updateBook = async (req, res) => {
     message: `Book Updated`,
   });
 };
+
+module.exports.getBookHistory = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to view Book History");
+  }
+  const bookId = req.params.id;
+  if (!mongoose.isValidObjectId(bookId)) {
+    throw new ExpressError(400, "Invalid Book id");
+  }
+  // the history of a book in the trash is still kept
+  if (!(await Book.exists({ _id: bookId }).withTrashed())) {
+    throw new ExpressError(404, "Book not found");
+  }
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [revisions, total] = await Promise.all([
+    BookRevision.find({ bookId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("editorId", "firstName lastName"),
+    BookRevision.countDocuments({ bookId }),
+  ]);
+
+  res.json({
+    revisions,
+    ...paginate(req, { total, page, limit }),
+  });
+};
+
+// brings the tracked fields of the book back to how they were after the given
+// revision, the revert itself is recorded as a new revision
+module.exports.revertBook = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update a Book");
+  }
+  const { id, revisionId } = req.params;
+
+  const revision = await BookRevision.findOne({ _id: revisionId, bookId: id });
+  if (!revision) {
+    throw new ExpressError(404, "Revision not found");
+  }
+  const book = await Book.findById(id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+
+  const previous = snapshotOf(book);
+  const body = { ...revision.snapshot };
+  await applyIsbns(body, id);
+  await applyGenres(body);
+  await applySeries(body);
+  await saveWithAuthors(body, () => book.set(body).save());
+  await recordRevision(book, previous, {
+    editorId: req.userId,
+    action: "revert",
+    revertedTo: revision._id,
+  });
+  await removeOrphanedAssets(book._id);
+
+  res.json({
+    book,
+    message: `Book Reverted to the version of ${revision.createdAt.toDateString()}`,
+  });
+};
+
+// moves the reviews and favourites of the duplicate given by `duplicateId`
+// over to the book, then removes the duplicate for good
+module.exports.mergeBook = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Merge Books");
+  }
+  const { duplicateId } = req.body;
+  if (!duplicateId) {
+    throw new ExpressError(400, "duplicateId is required");
+  }
+  const book = await Book.findById(req.params.id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+  const duplicate = await Book.findById(duplicateId);
+  if (!duplicate) {
+    throw new ExpressError(404, "Duplicate not found");
+  }
+  if (duplicate._id.equals(book._id)) {
+    throw new ExpressError(400, "A Book cannot be merged into itself");
+  }
+
+  const { moved, removed } = await mergeBooks(book, duplicate);
+
+  res.json({
+    book: await Book.findById(book._id),
+    moved,
+    removed,
+    message: `${duplicate.title} Merged into ${book.title}`,
+  });
+};
+
+// the other editions of the book and the rating of all of them together
+module.exports.getEditions = async (req, res) => {
+  const book = await Book.findById(req.params.id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+  const editions = book.work
+    ? await Book.find({ work: book.work }).sort({ year_published: 1, _id: 1 })
+    : [book];
+
+  res.json({
+    work: book.work || null,
+    editions,
+    rating: combineRatings(editions),
+  });
+};
+
+// the other edition is given by its id or its isbn
+module.exports.addEdition = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update a Book");
+  }
+  const book = await Book.findById(req.params.id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+  const { bookId, isbn } = req.body;
+  if (!bookId && !isbn) {
+    throw new ExpressError(400, "bookId or isbn is required");
+  }
+
+  const other = bookId
+    ? await Book.findById(bookId)
+    : await Book.findOne({ isbn13: toIsbn13(isbn) });
+  if (!other) {
+    throw new ExpressError(404, "Edition not found");
+  }
+  if (other._id.equals(book._id)) {
+    throw new ExpressError(400, "A Book cannot be an edition of itself");
+  }
+
+  const work = await linkEditions(book, other);
+  const editions = await Book.find({ work }).sort({
+    year_published: 1,
+    _id: 1,
+  });
+
+  res.json({
+    work,
+    editions,
+    message: `${other.title} Added as an Edition of ${book.title}`,
+  });
+};
+
+module.exports.removeEdition = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update a Book");
+  }
+  const book = await Book.findById(req.params.id);
+  if (!book) {
+    throw new ExpressError(404, "Book not found");
+  }
+  if (!book.work) {
+    throw new ExpressError(400, `${book.title} has no other editions`);
+  }
+
+  await unlinkEdition(book);
+
+  res.json({
+    message: `${book.title} Removed from its Editions`,
+  });
+};
@@ -1,7 +1,16 @@
+const Book = require("../models/books");
 const Comment = require("../models/comments");
 const Review = require("../models/review");
 const User = require("../models/users");
 const ExpressError = require("../utils/ExpressErrors");
+const { deleteCommentTree } = require("../services/cascadeDelete");
+
+// reviews of a book in the trash take no new comments
+const requireBook = async (bookId) => {
+  if (!(await Book.exists({ _id: bookId }))) {
+    throw new ExpressError(404, "Book not found");
+  }
+};
 
 module.exports.getComments = async (req, res) => {
   const { reviewId } = req.params;
@@ -39,6 +48,7 @@ module.exports.createComment = async (req, res) => {
   if (!review) {
     throw new ExpressError(400, "Review not found");
   }
+  await requireBook(review.bookId);
 
   const newComment = new Comment({ content, userId, reviewId });
   await newComment.save();
@@ -58,6 +68,11 @@ module.exports.createNestedComment = async (req, res) => {
   if (!parentComment) {
     throw new ExpressError(400, "Comment not found");
   }
+  const review = await Review.findById(parentComment.reviewId);
+  if (!review) {
+    throw new ExpressError(400, "Review not found");
+  }
+  await requireBook(review.bookId);
 
   const reply = new Comment({
     content,
@@ -73,18 +88,6 @@ module.exports.createNestedComment = async (req, res) => {
   res.status(201).json({ reply, message: "Comment Created" });
 };
 
-module.exports.deleteCommentAndReplies = async (commentId) => {
-  const comment = await Comment.findByIdAndDelete(commentId);
-  if (!comment) {
-    return;
-  }
-
-  const replies = comment.replies;
-  for (const replyId of replies) {
-    await this.deleteCommentAndReplies(replyId);
-  }
-};
-
 module.exports.deleteComment = async (req, res) => {
   const { bookId, reviewId, commentId } = req.params;
 
@@ -100,7 +103,7 @@ module.exports.deleteComment = async (req, res) => {
     throw new ExpressError(403, "Unauthorized to delete comment");
   }
 
-  await this.deleteCommentAndReplies(commentId);
+  await deleteCommentTree(commentId);
 
   if (comment.parent) {
     await Comment.findByIdAndUpdate(
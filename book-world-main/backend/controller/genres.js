@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const Genre = require("../models/genres");
+const Book = require("../models/books");
+const BookRevision = require("../models/bookRevisions");
+const ExpressError = require("../utils/ExpressErrors");
+const { loadGenres, loadGenresWithCounts } = require("../services/genres");
+const {
+  slugify,
+  createsCycle,
+  expandGenreNames,
+  ancestorsOf,
+} = require("../utils/genres");
+const { buildBookSort } = require("../utils/bookQuery");
+const { parsePagination, paginate } = require("../utils/pagination");
+
+// how many books each section of a genre page lists
+const SECTION_SIZE = 6;
+
+// a genre by its id or its slug
+const findGenre = async (idOrSlug) => {
+  const genre = mongoose.isValidObjectId(idOrSlug)
+    ? await Genre.findById(idOrSlug)
+    : await Genre.findOne({ slug: idOrSlug });
+  if (!genre) {
+    throw new ExpressError(404, "Genre not found");
+  }
+  return genre;
+};
+
+// the fields of a genre an admin can set, names are unique ignoring case and
+// punctuation as they share a slug
+const readGenre = async (body, genre) => {
+  if ("name" in body) {
+    const name = String(body.name ?? "").trim();
+    if (!slugify(name)) {
+      throw new ExpressError(400, "name is required");
+    }
+    const taken = await Genre.findOne({
+      slug: slugify(name),
+      _id: { $ne: genre._id },
+    });
+    if (taken) {
+      throw new ExpressError(409, `Genre ${taken.name} already exists`);
+    }
+    genre.name = name;
+  }
+  if ("description" in body) genre.description = body.description;
+  if ("parent" in body) {
+    if (!body.parent) {
+      genre.parent = null;
+      return;
+    }
+    const genres = await loadGenres();
+    if (!genres.some((one) => String(one._id) === String(body.parent))) {
+      throw new ExpressError(400, "Parent genre not found");
+    }
+    if (createsCycle(genres, genre._id, body.parent)) {
+      throw new ExpressError(
+        400,
+        "A genre cannot be placed under itself or its subgenres"
+      );
+    }
+    genre.parent = body.parent;
+  }
+};
+
+// every genre with the number of books in it and its subgenres, the client
+// builds the tree from their parents
+module.exports.getAllGenres = async (req, res) => {
+  const genres = await loadGenresWithCounts();
+
+  res.json({
+    genres: genres.sort((a, b) => a.name.localeCompare(b.name)),
+  });
+};
+
+// the genre page, a page of its books and of the books of its subgenres with
+// the best rated and most reviewed of them
+module.exports.getGenre = async (req, res) => {
+  const genre = await findGenre(req.params.id);
+  const genres = await loadGenresWithCounts();
+  const filter = { genre: { $in: expandGenreNames(genres, [genre.name]) } };
+  const rated = { ...filter, ratingCount: { $gt: 0 } };
+  const sort = buildBookSort(req.query.sort);
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [books, total, topRated, mostReviewed, [reviews]] = await Promise.all([
+    Book.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+    Book.countDocuments(filter),
+    Book.find(rated)
+      .sort({ ratingAverage: -1, ratingCount: -1, _id: 1 })
+      .limit(SECTION_SIZE)
+      .lean(),
+    Book.find(rated)
+      .sort({ ratingCount: -1, ratingAverage: -1, _id: 1 })
+      .limit(SECTION_SIZE)
+      .lean(),
+    Book.aggregate([
+      { $match: rated },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: "$ratingCount" },
+          ratingSum: {
+            $sum: { $multiply: ["$ratingAverage", "$ratingCount"] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  res.json({
+    genre,
+    ancestors: ancestorsOf(genres, genre).map(({ _id, name, slug }) => ({
+      _id,
+      name,
+      slug,
+    })),
+    children: genres.filter((one) => genre._id.equals(one.parent)),
+    stats: {
+      books: total,
+      reviews: reviews?.count || 0,
+      averageRating: reviews?.count
+        ? Math.round((reviews.ratingSum / reviews.count) * 100) / 100
+        : null,
+    },
+    topRated,
+    mostReviewed,
+    books,
+    ...paginate(req, { total, page, limit }),
+  });
+};
+
+module.exports.createGenre = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Add a Genre");
+  }
+  const genre = new Genre();
+  await readGenre({ name: "", ...req.body }, genre);
+  await genre.save();
+
+  res.json({
+    genre,
+    message: `New Genre: ${genre.name} Added`,
+  });
+};
+
+// a new name is written to every book of the genre, trashed ones included,
+// and to the revisions of the books so they can still be reverted to
+module.exports.updateGenre = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update a Genre");
+  }
+  const genre = await findGenre(req.params.id);
+  const previousName = genre.name;
+  await readGenre(req.body, genre);
+  await genre.save();
+
+  if (genre.name !== previousName) {
+    await Book.updateMany(
+      { genre: previousName },
+      { $set: { "genre.$[renamed]": genre.name } },
+      { arrayFilters: [{ renamed: previousName }] }
+    ).withTrashed();
+    await BookRevision.updateMany(
+      { "snapshot.genre": previousName },
+      { $set: { "snapshot.genre.$[renamed]": genre.name } },
+      { arrayFilters: [{ renamed: previousName }] }
+    );
+  }
+
+  res.json({
+    genre,
+    message: `Genre Updated: ${genre.name}`,
+  });
+};
+
+// only unused genres can go, books need at least one genre and subgenres
+// would lose their place in the tree
+module.exports.deleteGenre = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Delete a Genre");
+  }
+  const genre = await findGenre(req.params.id);
+
+  if (await Genre.exists({ parent: genre._id })) {
+    throw new ExpressError(
+      409,
+      `${genre.name} has subgenres, move or delete them first`
+    );
+  }
+  const books = await Book.countDocuments({ genre: genre.name }).withTrashed();
+  if (books > 0) {
+    throw new ExpressError(
+      409,
+      `${genre.name} is the genre of ${books} ${books === 1 ? "book" : "books"}`
+    );
+  }
+  await genre.deleteOne();
+
+  res.json({
+    genre,
+    message: `Genre Deleted: ${genre.name}`,
+  });
+};
@@ -0,0 +1,180 @@
+const Book = require("../models/books");
+const { buildCatalogQuery } = require("./books");
+const { buildBookSort } = require("../utils/bookQuery");
+const { parsePagination, paginate } = require("../utils/pagination");
+const {
+  NAVIGATION,
+  ACQUISITION,
+  OPENSEARCH,
+  feed,
+  navigationEntry,
+  bookEntry,
+  openSearchDescription,
+} = require("../utils/opds");
+
+const apiUrl = (req) => `${req.protocol}://${req.get("host")}`;
+
+// links every feed carries, so apps can always get back to the start or search
+const commonLinks = (req, type) => [
+  { rel: "self", href: `${apiUrl(req)}${req.originalUrl}`, type },
+  { rel: "start", href: `${apiUrl(req)}/opds`, type: NAVIGATION },
+  { rel: "search", href: `${apiUrl(req)}/opds/search.xml`, type: OPENSEARCH },
+];
+
+const sendFeed = (res, type, xml) => {
+  res.type(type);
+  res.send(xml);
+};
+
+// renders one page of books, `findBooks` receives the skip and limit
+const sendAcquisitionFeed = async (
+  req,
+  res,
+  { id, title, filter, findBooks }
+) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const [books, total] = await Promise.all([
+    findBooks(skip, limit),
+    Book.countDocuments(filter),
+  ]);
+  const { links } = paginate(req, { total, page, limit });
+  const urls = { apiUrl: apiUrl(req), frontendUrl: process.env.FRONTEND_URL };
+
+  sendFeed(
+    res,
+    ACQUISITION,
+    feed({
+      id,
+      title,
+      links: [
+        ...commonLinks(req, ACQUISITION),
+        { rel: "first", href: links.first, type: ACQUISITION },
+        ...(links.prev
+          ? [{ rel: "previous", href: links.prev, type: ACQUISITION }]
+          : []),
+        ...(links.next
+          ? [{ rel: "next", href: links.next, type: ACQUISITION }]
+          : []),
+        { rel: "last", href: links.last, type: ACQUISITION },
+      ],
+      entries: books.map((book) => bookEntry(book, urls)),
+    })
+  );
+};
+
+module.exports.getRoot = async (req, res) => {
+  const url = apiUrl(req);
+
+  sendFeed(
+    res,
+    NAVIGATION,
+    feed({
+      id: "urn:book-world:root",
+      title: "Book World",
+      links: commonLinks(req, NAVIGATION),
+      entries: [
+        navigationEntry({
+          id: "urn:book-world:new",
+          title: "Newest Books",
+          content: "The books most recently added to Book World",
+          href: `${url}/opds/new`,
+          type: ACQUISITION,
+        }),
+        navigationEntry({
+          id: "urn:book-world:popular",
+          title: "Most Reviewed",
+          content: "The books with the most reviews",
+          href: `${url}/opds/popular`,
+          type: ACQUISITION,
+        }),
+        navigationEntry({
+          id: "urn:book-world:genres",
+          title: "By Genre",
+          content: "Browse the books of each genre",
+          href: `${url}/opds/genres`,
+        }),
+      ],
+    })
+  );
+};
+
+module.exports.getGenres = async (req, res) => {
+  const genres = await Book.aggregate([
+    { $unwind: "$genre" },
+    { $group: { _id: "$genre", count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  sendFeed(
+    res,
+    NAVIGATION,
+    feed({
+      id: "urn:book-world:genres",
+      title: "By Genre",
+      links: commonLinks(req, NAVIGATION),
+      entries: genres.map(({ _id: genre, count }) =>
+        navigationEntry({
+          id: `urn:book-world:genre:${encodeURIComponent(genre)}`,
+          title: genre,
+          content: `${count} ${count === 1 ? "book" : "books"}`,
+          href: `${apiUrl(req)}/opds/genres/${encodeURIComponent(genre)}`,
+          type: ACQUISITION,
+        })
+      ),
+    })
+  );
+};
+
+module.exports.getGenreBooks = async (req, res) => {
+  const genre = req.params.genre;
+  const filter = { genre };
+
+  await sendAcquisitionFeed(req, res, {
+    id: `urn:book-world:genre:${encodeURIComponent(genre)}`,
+    title: genre,
+    filter,
+    findBooks: (skip, limit) =>
+      Book.find(filter).sort({ title: 1, _id: 1 }).skip(skip).limit(limit),
+  });
+};
+
+// the collection has no timestamps, ids grow with the time a book was added
+module.exports.getNewBooks = async (req, res) => {
+  await sendAcquisitionFeed(req, res, {
+    id: "urn:book-world:new",
+    title: "Newest Books",
+    filter: {},
+    findBooks: (skip, limit) =>
+      Book.find().sort({ _id: -1 }).skip(skip).limit(limit),
+  });
+};
+
+module.exports.getPopularBooks = async (req, res) => {
+  await sendAcquisitionFeed(req, res, {
+    id: "urn:book-world:popular",
+    title: "Most Reviewed",
+    filter: {},
+    findBooks: (skip, limit) =>
+      Book.find().sort({ ratingCount: -1, _id: 1 }).skip(skip).limit(limit),
+  });
+};
+
+// same search as the `q` param of GET /books, best matches first
+module.exports.search = async (req, res) => {
+  const { filter, search } = await buildCatalogQuery(req.query);
+  const sort = buildBookSort(undefined, !!search, !!filter.$text);
+  const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+
+  await sendAcquisitionFeed(req, res, {
+    id: `urn:book-world:search:${encodeURIComponent(req.query.q || "")}`,
+    title: req.query.q ? `Search: ${req.query.q}` : "All Books",
+    filter,
+    findBooks: (skip, limit) =>
+      Book.find(filter, projection).sort(sort).skip(skip).limit(limit),
+  });
+};
+
+module.exports.getOpenSearchDescription = async (req, res) => {
+  res.type(OPENSEARCH);
+  res.send(openSearchDescription({ searchUrl: `${apiUrl(req)}/opds/search` }));
+};
@@ -1,12 +1,29 @@
+const Book = require("../models/books");
 const Review = require("../models/review");
 const User = require("../models/users");
 const ExpressError = require("../utils/ExpressErrors");
-const { deleteCommentAndReplies } = require("./comments");
+const { deleteCommentTree } = require("../services/cascadeDelete");
+const { refreshBookRating } = require("../services/bookRating");
+const { editionIds } = require("../services/editions");
+const {
+  parseMonths,
+  previousYearWindow,
+  buildReviewStats,
+} = require("../utils/reviewStats");
+
+// with `editions=true` the reviews of every edition of the book are included
+const rollsUpEditions = (req) => String(req.query.editions) === "true";
 
 module.exports.getAllReviews = async (req, res) => {
   const bookId = req.params.id;
 
-  const reviews = await Review.find({ bookId }).populate(
+  let bookIds = [bookId];
+  if (rollsUpEditions(req)) {
+    const book = await Book.findById(bookId);
+    if (book) bookIds = await editionIds(book);
+  }
+
+  const reviews = await Review.find({ bookId: { $in: bookIds } }).populate(
     "userId",
     "-password -favoriteBooks"
   );
@@ -14,6 +31,64 @@ module.exports.getAllReviews = async (req, res) => {
   res.json({ reviews });
 };
 
+module.exports.getReviewStats = async (req, res) => {
+  const months = parseMonths(req.query);
+  const book = await Book.findById(req.params.id);
+  if (!book) throw new ExpressError(404, "Book not found");
+
+  const bookIds = rollsUpEditions(req) ? await editionIds(book) : [book._id];
+
+  const now = new Date();
+  const { from, to } = previousYearWindow(now);
+  const [{ buckets, previousYearToDate }] = await Review.aggregate([
+    { $match: { bookId: { $in: bookIds } } },
+    {
+      $facet: {
+        buckets: [
+          {
+            $group: {
+              _id: {
+                year: { $year: "$createdAt" },
+                month: { $month: "$createdAt" },
+              },
+              reviews: { $sum: 1 },
+              ratingSum: { $sum: "$rating" },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              year: "$_id.year",
+              month: "$_id.month",
+              reviews: 1,
+              ratingSum: 1,
+            },
+          },
+        ],
+        previousYearToDate: [
+          { $match: { createdAt: { $gte: from, $lte: to } } },
+          {
+            $group: {
+              _id: null,
+              reviews: { $sum: 1 },
+              ratingSum: { $sum: "$rating" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  res.json({
+    bookId: book._id,
+    ...buildReviewStats(
+      buckets,
+      previousYearToDate[0] || { reviews: 0, ratingSum: 0 },
+      { now, months }
+    ),
+  });
+};
+
 module.exports.getReview = async (req, res) => {
   const bookId = req.params.id;
   const userId = req.userId;
@@ -30,8 +105,13 @@ module.exports.createReview = async (req, res) => {
   const { content, rating } = req.body;
   const userId = req.userId;
 
+  // books in the trash take no new reviews
+  const book = await Book.findById(bookId);
+  if (!book) throw new ExpressError(404, "Book not found");
+
   const review = new Review({ bookId, content, rating, userId });
   await review.save();
+  await refreshBookRating(bookId);
 
   res.json({ review, message: "Reveiw Created" });
 };
@@ -54,6 +134,7 @@ module.exports.updateReview = async (req, res) => {
   review.rating = rating || review.rating;
 
   await review.save();
+  await refreshBookRating(review.bookId);
 
   res.json({ review, message: "Review Updated" });
 };
@@ -78,8 +159,9 @@ module.exports.deleteReview = async (req, res) => {
   }
   const replies = review.comments;
   for (const replyId of replies) {
-    await deleteCommentAndReplies(replyId);
+    await deleteCommentTree(replyId);
   }
+  await refreshBookRating(review.bookId);
 
   res.json({ message: "Review Deleted" });
 };
@@ -0,0 +1,124 @@
+const Series = require("../models/series");
+const Book = require("../models/books");
+const ExpressError = require("../utils/ExpressErrors");
+const { escapeRegex, toText } = require("../utils/bookQuery");
+const { parsePagination, paginate } = require("../utils/pagination");
+
+// the fields of a series an admin can set, validated like the book fields
+const readSeries = (body, series) => {
+  if ("name" in body) {
+    if (!String(body.name ?? "").trim()) {
+      throw new ExpressError(400, "name is required");
+    }
+    series.name = body.name;
+  }
+  if ("description" in body) series.description = body.description;
+  if ("totalVolumes" in body) {
+    const total = body.totalVolumes;
+    if (total === "" || total === null) {
+      series.totalVolumes = undefined;
+    } else if (!Number.isInteger(Number(total)) || Number(total) < 1) {
+      throw new ExpressError(400, "totalVolumes must be a positive integer");
+    } else {
+      series.totalVolumes = Number(total);
+    }
+  }
+};
+
+module.exports.getAllSeries = async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = req.query.q
+    ? { name: new RegExp(escapeRegex(toText(req.query.q, "q").trim()), "i") }
+    : {};
+
+  const [series, total] = await Promise.all([
+    Series.find(filter)
+      .sort({ name: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Series.countDocuments(filter),
+  ]);
+  const counts = await Book.aggregate([
+    { $match: { series: { $in: series.map((one) => one._id) } } },
+    { $group: { _id: "$series", count: { $sum: 1 } } },
+  ]);
+  const countOf = (one) =>
+    counts.find((count) => count._id.equals(one._id))?.count || 0;
+
+  res.json({
+    series: series.map((one) => ({ ...one, bookCount: countOf(one) })),
+    ...paginate(req, { total, page, limit }),
+  });
+};
+
+// the series with its volumes in reading order
+module.exports.getSeries = async (req, res) => {
+  const series = await Series.findById(req.params.id);
+  if (!series) {
+    throw new ExpressError(404, "Series not found");
+  }
+  const volumes = await Book.find({ series: series._id }).sort({
+    seriesPosition: 1,
+    year_published: 1,
+    _id: 1,
+  });
+
+  res.json({
+    series,
+    volumes,
+  });
+};
+
+module.exports.createSeries = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Add a Series");
+  }
+  const series = new Series();
+  readSeries({ name: "", ...req.body }, series);
+  await series.save();
+
+  res.json({
+    series,
+    message: `New Series: ${series.name} Added`,
+  });
+};
+
+module.exports.updateSeries = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Update a Series");
+  }
+  const series = await Series.findById(req.params.id);
+  if (!series) {
+    throw new ExpressError(404, "Series not found");
+  }
+  readSeries(req.body, series);
+  await series.save();
+
+  res.json({
+    series,
+    message: `Series Updated: ${series.name}`,
+  });
+};
+
+// the books of the series stay in the catalog, outside of any series
+module.exports.deleteSeries = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Delete a Series");
+  }
+  const series = await Series.findById(req.params.id);
+  if (!series) {
+    throw new ExpressError(404, "Series not found");
+  }
+
+  await Book.updateMany(
+    { series: series._id },
+    { $unset: { series: 1, seriesPosition: 1 } }
+  ).withTrashed();
+  await series.deleteOne();
+
+  res.json({
+    series,
+    message: `Series Deleted: ${series.name}`,
+  });
+};
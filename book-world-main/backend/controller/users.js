@@ -1,8 +1,65 @@
 const ExpressError = require("../utils/ExpressErrors");
 const bcrypt = require("bcryptjs");
-const { SignJWT } = require("jose");
 const User = require("../models/users");
 const Book = require("../models/books");
+const Session = require("../models/sessions");
+const {
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+} = require("../services/tokens");
+const { createSession, revokeSessions } = require("../services/sessions");
+const { issueUserToken, consumeUserToken } = require("../services/userTokens");
+const { sendMail, sendMailQuietly } = require("../services/mail");
+const {
+  startLoginAttempt,
+  loginSucceeded,
+  clearLoginFailures,
+  lockedAccounts,
+} = require("../services/loginThrottle");
+const { sendTooManyRequests } = require("../utils/throttle");
+const {
+  passwordResetMail,
+  verificationMail,
+} = require("../services/mail/messages");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// the refresh token lives in a cookie scripts cannot read, sent back only to
+// the /users routes. the frontend is on another site in production, which
+// needs SameSite=None and so a secure cookie
+const REFRESH_COOKIE = "refreshToken";
+const refreshCookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/users",
+  };
+};
+
+const setRefreshCookie = (res, { token, expiresAt }) =>
+  res.cookie(REFRESH_COOKIE, token, {
+    ...refreshCookieOptions(),
+    expires: expiresAt,
+  });
+
+// signs the user in on the device sending `req`: a short lived access token
+// is returned in the body and the refresh token to get new ones is set as a
+// cookie
+const startSession = async (req, res, user) => {
+  const session = await createSession(user, req);
+  setRefreshCookie(res, await issueRefreshToken(session));
+  return signAccessToken(user, session);
+};
+
+// emails the link to verify the email of the user, the links sent before
+// stop working
+const sendVerificationMail = async (user) => {
+  const token = await issueUserToken(user, "emailVerification");
+  await sendMail(verificationMail(user, token));
+};
 
 // Signup route
 module.exports.signup = async (req, res) => {
@@ -18,16 +75,35 @@ module.exports.signup = async (req, res) => {
     lastName: req.body.lastName,
     email: req.body.email,
     password: hashedPassword,
+    emailVerified: false,
   });
 
   await newUser.save();
+  // the user can ask for the email again once logged in
+  const token = await issueUserToken(newUser, "emailVerification");
+  await sendMailQuietly(verificationMail(newUser, token));
 
-  res.status(201).json({ message: "User created successfully" });
+  res.status(201).json({
+    message: "User created successfully, check your email to verify it",
+  });
 };
 
-// Login route
+// Login route, each attempt is counted before the password is checked and
+// makes the next ones wait, too many lock the account
 module.exports.login = async (req, res) => {
-  const user = await User.findOne({ email: req.body.email });
+  const { email } = req.body;
+  const wait = await startLoginAttempt(req, email);
+  if (wait) {
+    return sendTooManyRequests(
+      res,
+      wait.until,
+      wait.locked
+        ? "Account locked after too many failed logins"
+        : "Too many failed logins"
+    );
+  }
+
+  const user = await User.findOne({ email });
   if (!user) {
     throw new ExpressError(400, "Invalid email or password");
   }
@@ -37,18 +113,9 @@ module.exports.login = async (req, res) => {
   if (!validPassword) {
     return res.status(400).json({ message: "Invalid email or password" });
   }
+  await loginSucceeded(req, email);
 
-  const payload = {
-    id: user._id,
-    role: user.role,
-  };
-
-  const secret = process.env.JWT_SECRET;
-  const secretBytes = new TextEncoder().encode(secret);
-  const signer = new SignJWT(payload)
-    .setProtectedHeader({ alg: "HS256" })
-    .setIssuedAt();
-  const token = await signer.sign(secretBytes);
+  const token = await startSession(req, res, user);
 
   res.status(200).json({
     token,
@@ -58,6 +125,9 @@ module.exports.login = async (req, res) => {
 };
 
 module.exports.googleAuth = async (req, res) => {
+  // only the token google signed tells whether its owner verified the email
+  const emailVerified = req.googlePayload?.email_verified === true;
+
   let user = await User.findOne({ email: req.body.email });
   if (!user) {
     user = new User({
@@ -66,25 +136,17 @@ module.exports.googleAuth = async (req, res) => {
       email: req.body.email,
       picture: req.body.picture,
       auth_method: "google",
+      emailVerified,
     });
     await user.save();
   } else {
     user.auth_method = "google";
     user.picture = req.body.picture;
+    if (emailVerified) user.emailVerified = true;
     await user.save();
   }
 
-  const payload = {
-    id: user._id,
-    role: user.role,
-  };
-
-  const secret = process.env.JWT_SECRET;
-  const secretBytes = new TextEncoder().encode(secret);
-  const signer = new SignJWT(payload)
-    .setProtectedHeader({ alg: "HS256" })
-    .setIssuedAt();
-  const token = await signer.sign(secretBytes);
+  const token = await startSession(req, res, user);
 
   res.status(200).json({
     token,
@@ -93,14 +155,161 @@ module.exports.googleAuth = async (req, res) => {
   });
 };
 
+// emails a link to reset the password. the answer is the same whether the
+// email belongs to an account or not, so it cannot be used to find accounts
+module.exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (typeof email !== "string" || !email.trim()) {
+    throw new ExpressError(400, "Email is required");
+  }
+
+  const user = await User.findOne({ email: email.trim() });
+  if (user) {
+    const token = await issueUserToken(user, "passwordReset");
+    await sendMailQuietly(passwordResetMail(user, token));
+  }
+
+  res.json({
+    message:
+      "If an account uses this email, a link to reset its password was sent to it",
+  });
+};
+
+// sets a new password with the token of a reset link, which logs the user out
+// of every device
+module.exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ExpressError(
+      400,
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    );
+  }
+
+  const userId = await consumeUserToken(token, "passwordReset");
+  const user = userId && (await User.findById(userId));
+  if (!user) {
+    throw new ExpressError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  await user.save();
+  await revokeSessions({ userId: user._id });
+
+  res.json({ message: "Password Reset Successfully, please log in" });
+};
+
+// verifies the email of the user with the token of the verification link
+module.exports.verifyEmail = async (req, res) => {
+  const userId = await consumeUserToken(req.body.token, "emailVerification");
+  const user = userId && (await User.findById(userId));
+  if (!user) {
+    throw new ExpressError(400, "Verification link is invalid or has expired");
+  }
+
+  user.emailVerified = true;
+  await user.save();
+
+  res.json({ message: "Email Verified Successfully" });
+};
+
+// sends the verification email of the logged in user once more
+module.exports.resendVerification = async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw new ExpressError(404, "User not found");
+  }
+  if (user.emailVerified) {
+    throw new ExpressError(400, "Email is already verified");
+  }
+
+  await sendVerificationMail(user);
+
+  res.json({ message: `Verification Email Sent to ${user.email}` });
+};
+
+// a new access token for the refresh token cookie, which is replaced by a new
+// one each time
+module.exports.refresh = async (req, res) => {
+  let session;
+  try {
+    session = await rotateRefreshToken(req.cookies?.[REFRESH_COOKIE]);
+  } catch (err) {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+    throw err;
+  }
+  setRefreshCookie(res, session.refreshToken);
+
+  res.json({
+    token: session.accessToken,
+    role: session.user.role,
+  });
+};
+
+// ends the session of the device sending the request
+module.exports.logout = async (req, res) => {
+  await revokeSessions({ _id: req.sessionId });
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+  res.json({ message: "Logged Out Successfully" });
+};
+
+// ends every session of the user, this device included
+module.exports.logoutAll = async (req, res) => {
+  const revoked = await revokeSessions({ userId: req.userId });
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+  res.json({
+    revoked,
+    message: `Logged Out of ${revoked} ${revoked === 1 ? "Device" : "Devices"}`,
+  });
+};
+
+// the devices the user is logged in on, most recently used first
+module.exports.getSessions = async (req, res) => {
+  const sessions = await Session.find(
+    {
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    "userAgent ip createdAt lastUsedAt"
+  )
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  res.json({
+    sessions: sessions.map((session) => ({
+      ...session,
+      current: session._id.equals(req.sessionId),
+    })),
+  });
+};
+
+module.exports.revokeSession = async (req, res) => {
+  const revoked = await revokeSessions({
+    _id: req.params.sessionId,
+    userId: req.userId,
+  });
+  if (revoked === 0) {
+    throw new ExpressError(404, "Session not found");
+  }
+
+  res.json({ message: "Device Logged Out" });
+};
+
 module.exports.getAllUsers = async (req, res) => {
   if (req.role !== "admin") {
     throw new ExpressError(401, "not Authorized");
   }
   const users = await User.find({}, "-password");
+  const locked = await lockedAccounts(users.map((user) => user.email));
 
   res.json({
-    users,
+    users: users.map((user) => ({
+      ...user.toObject(),
+      loginLockedUntil: locked.get(user.email.toLowerCase()) || null,
+    })),
   });
 };
 
@@ -210,3 +419,18 @@ module.exports.promoteUser = async (req, res) => {
     return res.json({ message: "User was Demoted to User", user });
   }
 };
+
+// lifts the lockout of an account after too many failed logins
+module.exports.unlockUser = async (req, res) => {
+  if (req.role !== "admin") {
+    throw new ExpressError(401, "You are not Authorized to Unlock Users");
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    throw new ExpressError(404, "User not found");
+  }
+  await clearLoginFailures(user.email);
+
+  res.json({ message: `${user.firstName} ${user.lastName} was Unlocked` });
+};
@@ -4,11 +4,41 @@ const app = express();
 const port = process.env.PORT || 8000;
 const mongoose = require("mongoose");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const bookRouter = require("./router/book");
 const userRouter = require("./router/users");
+const opdsRouter = require("./router/opds");
+const authorRouter = require("./router/authors");
+const seriesRouter = require("./router/series");
+const genreRouter = require("./router/genres");
+const { purgeExpiredTrash } = require("./controller/books");
 
-// allow access of the api
-app.use(cors());
+// allow access of the api, credentials let the frontend send the refresh
+// token cookie, so only the frontend may make such requests. any origin is
+// let in during development only, a deployed api needs FRONTEND_URL
+if (!process.env.FRONTEND_URL && process.env.NODE_ENV === "production") {
+  throw new Error("FRONTEND_URL must be set in production");
+}
+app.use(
+  cors({
+    origin: process.env.FRONTEND_URL
+      ? process.env.FRONTEND_URL.replace(/\/$/, "")
+      : true,
+    credentials: true,
+  })
+);
+app.use(cookieParser());
+
+// behind a proxy, TRUST_PROXY (the number of proxies, or true) makes req.ip
+// the address of the client from X-Forwarded-For, which the rate limits and
+// sessions go by
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isNaN(hops) ? process.env.TRUST_PROXY === "true" : hops
+  );
+}
 
 // to support incoming form data in json
 app.use(express.json());
@@ -27,6 +57,10 @@ app.use(express.urlencoded({ extended: false }));
 
 app.use("/books", bookRouter);
 app.use("/users", userRouter);
+app.use("/opds", opdsRouter);
+app.use("/authors", authorRouter);
+app.use("/series", seriesRouter);
+app.use("/genres", genreRouter);
 app.post(
   "/log-visit",
   wrapAsync(async (req, res) => {
@@ -74,6 +108,14 @@ app.use((err, req, res, next) => {
   });
 });
 
+// books left in the trash past the retention window are purged every hour
+setInterval(
+  () => {
+    purgeExpiredTrash().catch(() => console.log("Error Purging the Trash"));
+  },
+  60 * 60 * 1000
+).unref();
+
 // setting up http server at port
 app.listen(port, () => {
   console.log(`There server is running at ${port}`);
@@ -1,5 +1,11 @@
-const { jwtVerify } = require("jose");
+const { jwtVerify, errors } = require("jose");
+const Session = require("../models/sessions");
+const User = require("../models/users");
+const { isActive, touchSession } = require("../services/sessions");
 
+// access tokens are short lived, an expired one is answered with 401 so the
+// frontend knows to get a new one through POST /users/refresh. tokens of a
+// session that was logged out are refused right away
 module.exports.authorization = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization.toString();
@@ -10,17 +16,46 @@ module.exports.authorization = async (req, res, next) => {
     const token = authHeader.split(" ")[1];
     const { payload } = await jwtVerify(
       token,
-      new TextEncoder().encode(process.env.JWT_SECRET)
+      new TextEncoder().encode(process.env.JWT_SECRET),
+      { requiredClaims: ["exp", "sid"] }
     );
+    const session = await Session.findById(payload.sid);
+    if (!isActive(session)) {
+      return res.status(401).json({ message: "Session Expired" });
+    }
+    await touchSession(session);
     req.userId = payload.id;
     req.role = payload.role;
+    req.sessionId = session._id;
 
     next();
   } catch (err) {
+    if (err instanceof errors.JWTExpired) {
+      return res.status(401).json({ message: "Token Expired" });
+    }
     res.status(403).json({ message: "Invalid Token" });
   }
 };
 
+// after `authorization`, lets only users who verified their email through
+// the link emailed at signup post
+module.exports.requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId, "emailVerified");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.emailVerified) {
+      return res
+        .status(403)
+        .json({ message: "Verify your email to post reviews and comments" });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 const { OAuth2Client } = require("google-auth-library");
 const client = new OAuth2Client();
 async function verify(token) {
@@ -38,6 +73,7 @@ module.exports.googleAuthMiddleware = async (req, res, next) => {
         req.body.lastName = payload.family_name;
         req.body.email = payload.email;
         req.body.picture = payload.picture;
+        req.googlePayload = payload;
         next();
       })
       .catch((err) => {
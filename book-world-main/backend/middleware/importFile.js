@@ -0,0 +1,19 @@
+const multer = require("multer");
+const ExpressError = require("../utils/ExpressErrors");
+const { singleFile } = require("./upload");
+
+// import files are parsed straight from memory, they are never stored
+const importFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new ExpressError(400, "Only CSV or JSON files can be imported"));
+    }
+  },
+});
+
+module.exports.single = (field) =>
+  singleFile(importFile, field, "Import files cannot be larger than 5 MB");
@@ -0,0 +1,31 @@
+const { sendTooManyRequests } = require("../utils/throttle");
+const { hitRateLimit } = require("../services/rateLimits");
+
+// limits a route to `max` requests in each `windowMs` per client, answering
+// 429 past it. clients are told apart by their address unless `keyBy` picks
+// something else from the request. routes sharing a `name` share the limit
+module.exports.rateLimit = ({
+  name,
+  max,
+  windowMs,
+  keyBy = (req) => req.ip,
+  message = "Too many requests",
+}) => {
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await hitRateLimit(
+        `${name}:${keyBy(req)}`,
+        windowMs
+      );
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// tells clients apart by the logged in user, after `authorization`
+module.exports.byUser = (req) => req.userId;
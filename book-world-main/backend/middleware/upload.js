@@ -1,8 +1,40 @@
-const cloudStorage = require("./cloudinary.js");
-const diskStorage = require("./multer.js");
-
 const multer = require("multer");
+const ExpressError = require("../utils/ExpressErrors");
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const MAX_SIZE = 5 * 1024 * 1024;
+
+// keeps the uploaded image in memory as `req.file.buffer`, the controllers
+// resize it and hand the results to the storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(
+        new ExpressError(400, "Only PNG, JPEG and WebP images can be uploaded")
+      );
+    }
+    cb(null, true);
+  },
+});
 
-const upload = multer({ storage: cloudStorage });
+// multer reports its limits as errors without a status, they are answered
+// with 400 like the rest of the bad uploads. `tooLarge` is the message for
+// files over the size limit
+const singleFile = (uploader, field, tooLarge) => (req, res, next) =>
+  uploader.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        new ExpressError(
+          400,
+          err.code === "LIMIT_FILE_SIZE" ? tooLarge : err.message
+        )
+      );
+    }
+    next(err);
+  });
+module.exports.singleFile = singleFile;
 
-module.exports = upload;
+module.exports.single = (field) =>
+  singleFile(upload, field, "Images cannot be larger than 5 MB");
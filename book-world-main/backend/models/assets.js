@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// a file kept in the storage and the book or author it was uploaded for, so
+// files can be removed once nothing uses them anymore
+const assetSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  // the STORAGE_DRIVER the file was stored with
+  driver: {
+    type: String,
+    required: true,
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    refPath: "ownerModel",
+    required: true,
+  },
+  ownerModel: {
+    type: String,
+    enum: ["Book", "Author"],
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+assetSchema.index({ owner: 1 });
+assetSchema.index({ driver: 1, key: 1 }, { unique: true });
+
+const Asset = mongoose.model("Asset", assetSchema);
+
+module.exports = Asset;
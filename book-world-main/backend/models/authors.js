@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { authorKey } = require("../utils/authors");
+
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // other spellings of the name, books using them are given this author
+  aliases: [String],
+  // the keys of the name and every alias, see `authorKey`
+  nameKeys: [String],
+  bio: String,
+  birth_year: Number,
+  death_year: Number,
+  image_url: String,
+});
+
+authorSchema.pre("validate", function () {
+  this.nameKeys = [
+    ...new Set([this.name, ...this.aliases].filter(Boolean).map(authorKey)),
+  ];
+});
+
+// a spelling can only belong to one author
+authorSchema.index({ nameKeys: 1 }, { unique: true });
+authorSchema.index({ name: 1 });
+
+const Author = mongoose.model("Author", authorSchema);
+
+module.exports = Author;
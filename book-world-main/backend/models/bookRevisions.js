@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// one entry per create, update or revert of a book, `snapshot` holds the
+// tracked fields as they were after the change so any revision can be restored
+const bookRevisionSchema = new Schema({
+  bookId: {
+    type: Schema.Types.ObjectId,
+    ref: "Book",
+    required: true,
+  },
+  editorId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "import", "revert"],
+    required: true,
+  },
+  revertedTo: {
+    type: Schema.Types.ObjectId,
+    ref: "BookRevision",
+  },
+  changes: [
+    {
+      _id: false,
+      field: String,
+      from: Schema.Types.Mixed,
+      to: Schema.Types.Mixed,
+    },
+  ],
+  snapshot: {
+    type: Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+bookRevisionSchema.index({ bookId: 1, createdAt: -1 });
+
+const BookRevision = mongoose.model("BookRevision", bookRevisionSchema);
+
+module.exports = BookRevision;
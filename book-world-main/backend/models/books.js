@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { isValidIsbn10, isValidIsbn13 } = require("../utils/isbn");
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -13,11 +14,31 @@ const bookSchema = new mongoose.Schema({
     required: true,
     minlength: 3,
   },
+  // the authors named in `author`, which stays the display form of the names
+  // and is kept in step with them
+  authors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Author",
+    },
+  ],
   image_url: {
     type: String,
     default:
       "https://res.cloudinary.com/dibsgcq9a/image/upload/v1716750907/book-world/sfx9lfhbj3pkxy0esxkk.jpg",
   },
+  // the sizes and formats made from an uploaded cover, `image_url` is the
+  // full size jpeg, books with a cover from elsewhere have none
+  images: [
+    {
+      _id: false,
+      size: { type: String, enum: ["thumbnail", "card", "full"] },
+      format: { type: String, enum: ["jpeg", "webp"] },
+      width: Number,
+      url: String,
+      key: String,
+    },
+  ],
   genre: {
     type: [String],
     required: true,
@@ -26,8 +47,141 @@ const bookSchema = new mongoose.Schema({
     type: Number,
     default: new Date().getFullYear(),
   },
+  isbn10: {
+    type: String,
+    validate: {
+      validator: (value) => value == null || isValidIsbn10(value),
+      message: (props) => `${props.value} is not a valid ISBN-10`,
+    },
+  },
+  isbn13: {
+    type: String,
+    validate: {
+      validator: (value) => value == null || isValidIsbn13(value),
+      message: (props) => `${props.value} is not a valid ISBN-13`,
+    },
+  },
+  // the place of the book in its series, halves can sit between two volumes
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Series",
+  },
+  seriesPosition: {
+    type: Number,
+    min: 0,
+  },
+  // books sharing a work are editions of each other
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Work",
+  },
+  format: {
+    type: String,
+    enum: ["hardcover", "paperback", "ebook", "audiobook", "other"],
+  },
+  publisher: String,
+  language: String,
+  // kept up to date from the reviews of the book, `ratingHistogram[i]` counts
+  // the reviews giving i + 1 stars
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingAverage: {
+    type: Number,
+    default: 0,
+  },
+  ratingHistogram: {
+    type: [Number],
+    default: [0, 0, 0, 0, 0],
+  },
+  // set while the book is in the trash
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// a cover set by its url alone, as imports and reverts do, replaces the
+// images made from an earlier upload
+bookSchema.pre("validate", function () {
+  if (this.isModified("image_url") && !this.isModified("images")) {
+    this.images = [];
+  }
+});
+
+// trashed books are left out of every query unless the query asks for them
+// with `.withTrashed()` or filters on `deletedAt` itself
+bookSchema.query.withTrashed = function () {
+  return this.setOptions({ withTrashed: true });
+};
+
+bookSchema.pre(
+  [
+    "find",
+    "findOne",
+    "countDocuments",
+    "findOneAndUpdate",
+    "updateOne",
+    "updateMany",
+  ],
+  function () {
+    if (this.getOptions().withTrashed || "deletedAt" in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  }
+);
+
+// a $text match has to stay the first stage, so the check goes after it
+bookSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const first = pipeline[0]?.$match;
+  if (first && "deletedAt" in first) return;
+  pipeline.splice(first ? 1 : 0, 0, { $match: { deletedAt: null } });
 });
 
+// books without an isbn are left out of the unique indexes
+bookSchema.index(
+  { isbn13: 1 },
+  { unique: true, partialFilterExpression: { isbn13: { $type: "string" } } }
+);
+bookSchema.index(
+  { isbn10: 1 },
+  { unique: true, partialFilterExpression: { isbn10: { $type: "string" } } }
+);
+
+// the books of an author
+bookSchema.index({ authors: 1 });
+
+// the books of a genre and its subgenres
+bookSchema.index({ genre: 1 });
+
+// the volumes of a series and the editions of a work
+bookSchema.index({ series: 1, seriesPosition: 1 });
+bookSchema.index({ work: 1 });
+
+// the rating and review count sorts of GET /books
+bookSchema.index({ ratingAverage: -1 });
+bookSchema.index({ ratingCount: -1 });
+
+// used by the trash listing and the purge of expired books
+bookSchema.index({ deletedAt: 1 });
+
+// used by the `q` search of GET /books, matches in the title weigh the most
+bookSchema.index(
+  { title: "text", author: "text", genre: "text", description: "text" },
+  {
+    name: "book_search",
+    weights: { title: 10, author: 5, genre: 3, description: 1 },
+    default_language: "english",
+  }
+);
+
 const Book = mongoose.model("Book", bookSchema);
 
 module.exports = Book;
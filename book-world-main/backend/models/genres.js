@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { slugify } = require("../utils/genres");
+
+// books keep the names of their genres in `Book.genre`, this collection is
+// the list of allowed names and how they nest
+const genreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: String,
+  description: String,
+  // top-level genres have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Genre",
+    default: null,
+  },
+});
+
+genreSchema.pre("validate", function () {
+  this.slug = slugify(this.name);
+});
+
+genreSchema.index({ name: 1 }, { unique: true });
+genreSchema.index({ slug: 1 }, { unique: true });
+genreSchema.index({ parent: 1 });
+
+const Genre = mongoose.model("Genre", genreSchema);
+
+module.exports = Genre;
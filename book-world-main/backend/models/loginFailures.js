@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// the login attempts of an account or of an ip address not followed by a
+// successful login, which make the next attempts wait longer and longer and
+// lock the account after too many
+const loginFailureSchema = new Schema({
+  // `account:<email>` or `ip:<address>`
+  key: {
+    type: String,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastAttemptAt: Date,
+  // the attempt that set the current wait
+  attemptId: Schema.Types.ObjectId,
+  // no login is attempted before then
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+loginFailureSchema.index({ key: 1 }, { unique: true });
+
+// failures long enough ago are forgotten, removed by mongodb itself
+loginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginFailure = mongoose.model("LoginFailure", loginFailureSchema);
+
+module.exports = LoginFailure;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// the requests counted by the rate limits, one per limit and client in the
+// current window
+const rateLimitSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // when the window ends and counting starts over
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+rateLimitSchema.index({ key: 1 }, { unique: true });
+
+// ended windows are removed by mongodb itself
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// the refresh tokens handed out at login, only their hash is kept. every
+// refresh replaces the token with a new one of the same session, a token used
+// twice means it was stolen and the whole session is revoked
+const refreshTokenSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  sessionId: {
+    type: Schema.Types.ObjectId,
+    ref: "Session",
+    required: true,
+  },
+  // set once the token was exchanged for a new one
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ sessionId: 1 });
+
+// expired tokens are removed by mongodb itself
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
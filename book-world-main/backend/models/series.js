@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// the volumes of a series are the books pointing at it, ordered by their
+// `seriesPosition`
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  // how many volumes the series has, the catalog may not hold all of them
+  totalVolumes: {
+    type: Number,
+    min: 1,
+  },
+});
+
+seriesSchema.index({ name: 1 });
+
+const Series = mongoose.model("Series", seriesSchema);
+
+module.exports = Series;
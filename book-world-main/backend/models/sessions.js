@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// one per login on a device, the access and refresh tokens of a login carry
+// its id so logging out revokes all of them at once
+const sessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // pushed back each time the session is refreshed
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+});
+sessionSchema.index({ userId: 1, lastUsedAt: -1 });
+
+// expired sessions are removed by mongodb itself
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
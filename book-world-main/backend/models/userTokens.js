@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// the tokens of the links emailed to users, like the one to reset a password.
+// only their hash is kept and each can be used once
+const userTokenSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["passwordReset", "emailVerification"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+userTokenSchema.index({ tokenHash: 1 }, { unique: true });
+userTokenSchema.index({ userId: 1, purpose: 1 });
+
+// expired tokens are removed by mongodb itself
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+module.exports = UserToken;
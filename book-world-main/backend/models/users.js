@@ -28,6 +28,12 @@ const userSchema = new Schema({
   password: {
     type: String,
   },
+  // accounts signing up with a password start unverified, the ones made
+  // before emails were verified count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true,
+  },
   role: {
     type: String,
     enum: ["user", "admin"],
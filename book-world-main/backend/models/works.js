@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// a work groups the editions of one book, the editions are the books pointing
+// at it
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+});
+
+const Work = mongoose.model("Work", workSchema);
+
+module.exports = Work;
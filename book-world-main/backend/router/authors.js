@@ -0,0 +1,19 @@
+const express = require("express");
+const authorController = require("../controller/authors.js");
+const wrapAsync = require("../utils/wrapAsync.js");
+const router = express.Router();
+const { authorization } = require("../middleware/auth.js");
+const upload = require("../middleware/upload.js");
+
+router.get("/", wrapAsync(authorController.getAllAuthors));
+
+router
+  .route("/:id")
+  .get(wrapAsync(authorController.getAuthor))
+  .put(
+    authorization,
+    upload.single("image"),
+    wrapAsync(authorController.updateAuthor)
+  );
+
+module.exports = router;
@@ -2,8 +2,13 @@ const express = require("express");
 const bookController = require("../controller/books.js");
 const wrapAsync = require("../utils/wrapAsync.js");
 const router = express.Router();
-const { authorization } = require("../middleware/auth.js");
+const {
+  authorization,
+  requireVerifiedEmail,
+} = require("../middleware/auth.js");
+const { rateLimit, byUser } = require("../middleware/rateLimit.js");
 const upload = require("../middleware/upload.js");
+const importFile = require("../middleware/importFile.js");
 const {
   getAllReviews,
   createReview,
@@ -11,6 +16,7 @@ const {
   deleteReview,
   likeReview,
   getReview,
+  getReviewStats,
 } = require("../controller/reviews.js");
 const {
   getComments,
@@ -30,6 +36,46 @@ router
     wrapAsync(bookController.createBook)
   );
 
+router.get("/export", authorization, wrapAsync(bookController.exportBooks));
+
+router.post(
+  "/import",
+  authorization,
+  importFile.single("file"),
+  wrapAsync(bookController.importBooks)
+);
+
+router.get("/trash", authorization, wrapAsync(bookController.getTrash));
+router.post(
+  "/trash/:id/restore",
+  authorization,
+  wrapAsync(bookController.restoreBook)
+);
+router.delete("/trash/:id", authorization, wrapAsync(bookController.purgeBook));
+
+router.get("/isbn/:isbn", wrapAsync(bookController.getBookByIsbn));
+
+router.get("/duplicates", wrapAsync(bookController.getDuplicates));
+
+router.get(
+  "/:id/history",
+  authorization,
+  wrapAsync(bookController.getBookHistory)
+);
+router.post(
+  "/:id/history/:revisionId/revert",
+  authorization,
+  wrapAsync(bookController.revertBook)
+);
+
+router.post("/:id/merge", authorization, wrapAsync(bookController.mergeBook));
+
+router
+  .route("/:id/editions")
+  .get(wrapAsync(bookController.getEditions))
+  .post(authorization, wrapAsync(bookController.addEdition))
+  .delete(authorization, wrapAsync(bookController.removeEdition));
+
 router
   .route("/:id")
   .get(wrapAsync(bookController.getBook))
@@ -63,13 +109,36 @@ router.post(
   })
 );
 
+// reviews and comments, top level or replies, are limited per user
+const reviewLimit = rateLimit({
+  name: "review",
+  max: 10,
+  windowMs: 60 * 60 * 1000,
+  keyBy: byUser,
+  message: "Too many reviews posted",
+});
+const commentLimit = rateLimit({
+  name: "comment",
+  max: 30,
+  windowMs: 10 * 60 * 1000,
+  keyBy: byUser,
+  message: "Too many comments posted",
+});
+
 router
   .route("/:id/reviews")
   .get(wrapAsync(getAllReviews))
-  .post(authorization, wrapAsync(createReview));
+  .post(
+    authorization,
+    requireVerifiedEmail,
+    reviewLimit,
+    wrapAsync(createReview)
+  );
 
 router.route("/:id/reviews/me").get(authorization, wrapAsync(getReview));
 
+router.route("/:id/reviews/stats").get(wrapAsync(getReviewStats));
+
 router
   .route("/:id/reviews/:reviewId/like")
   .post(authorization, wrapAsync(likeReview));
@@ -86,12 +155,22 @@ router
 router
   .route("/:bookId/reviews/:reviewId/comments")
   .get(wrapAsync(getComments))
-  .post(authorization, wrapAsync(createComment));
+  .post(
+    authorization,
+    requireVerifiedEmail,
+    commentLimit,
+    wrapAsync(createComment)
+  );
 
 router
   .route("/:bookId/reviews/:reviewId/comments/:commentId")
   .get(wrapAsync(getNestedComments))
-  .post(authorization, wrapAsync(createNestedComment))
+  .post(
+    authorization,
+    requireVerifiedEmail,
+    commentLimit,
+    wrapAsync(createNestedComment)
+  )
   .delete(authorization, wrapAsync(deleteComment));
 
 module.exports = router;
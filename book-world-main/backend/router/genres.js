@@ -0,0 +1,18 @@
+const express = require("express");
+const genreController = require("../controller/genres.js");
+const wrapAsync = require("../utils/wrapAsync.js");
+const router = express.Router();
+const { authorization } = require("../middleware/auth.js");
+
+router
+  .route("/")
+  .get(wrapAsync(genreController.getAllGenres))
+  .post(authorization, wrapAsync(genreController.createGenre));
+
+router
+  .route("/:id")
+  .get(wrapAsync(genreController.getGenre))
+  .put(authorization, wrapAsync(genreController.updateGenre))
+  .delete(authorization, wrapAsync(genreController.deleteGenre));
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const opdsController = require("../controller/opds.js");
+const wrapAsync = require("../utils/wrapAsync.js");
+const router = express.Router();
+
+router.get("/", wrapAsync(opdsController.getRoot));
+router.get("/new", wrapAsync(opdsController.getNewBooks));
+router.get("/popular", wrapAsync(opdsController.getPopularBooks));
+router.get("/genres", wrapAsync(opdsController.getGenres));
+router.get("/genres/:genre", wrapAsync(opdsController.getGenreBooks));
+router.get("/search", wrapAsync(opdsController.search));
+router.get("/search.xml", wrapAsync(opdsController.getOpenSearchDescription));
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const seriesController = require("../controller/series.js");
+const wrapAsync = require("../utils/wrapAsync.js");
+const router = express.Router();
+const { authorization } = require("../middleware/auth.js");
+
+router
+  .route("/")
+  .get(wrapAsync(seriesController.getAllSeries))
+  .post(authorization, wrapAsync(seriesController.createSeries));
+
+router
+  .route("/:id")
+  .get(wrapAsync(seriesController.getSeries))
+  .put(authorization, wrapAsync(seriesController.updateSeries))
+  .delete(authorization, wrapAsync(seriesController.deleteSeries));
+
+module.exports = router;
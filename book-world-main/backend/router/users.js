@@ -12,17 +12,73 @@ const {
   getUser,
   promoteUser,
   googleAuth,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockUser,
 } = require("../controller/users");
 const { authorization, googleAuthMiddleware } = require("../middleware/auth");
+const { rateLimit, byUser } = require("../middleware/rateLimit");
+
+const HOUR = 60 * 60 * 1000;
 
 router.get("/", authorization, wrapAsync(getAllUsers));
 
-router.post("/signup", wrapAsync(signup));
+router.post(
+  "/signup",
+  rateLimit({
+    name: "signup",
+    max: 5,
+    windowMs: HOUR,
+    message: "Too many accounts created from this address",
+  }),
+  wrapAsync(signup)
+);
 
 router.post("/login", wrapAsync(login));
 
 router.post("/google-auth", googleAuthMiddleware, wrapAsync(googleAuth));
 
+router.post(
+  "/password/forgot",
+  rateLimit({
+    name: "password-forgot",
+    max: 5,
+    windowMs: HOUR,
+    message: "Too many password reset emails asked for",
+  }),
+  wrapAsync(forgotPassword)
+);
+
+router.post("/password/reset", wrapAsync(resetPassword));
+
+router.post("/email/verify", wrapAsync(verifyEmail));
+
+router.post(
+  "/email/resend",
+  authorization,
+  rateLimit({
+    name: "email-resend",
+    max: 5,
+    windowMs: HOUR,
+    keyBy: byUser,
+    message: "Too many verification emails asked for",
+  }),
+  wrapAsync(resendVerification)
+);
+
+router.post("/refresh", wrapAsync(refresh));
+
+router.post("/logout", authorization, wrapAsync(logout));
+
+router.post("/logout/all", authorization, wrapAsync(logoutAll));
+
 router
   .route("/favourites")
   .get(authorization, wrapAsync(getFavouriteBooks))
@@ -30,10 +86,20 @@ router
 
 router.get("/me", authorization, wrapAsync(getMe));
 
+router.get("/me/sessions", authorization, wrapAsync(getSessions));
+
+router.delete(
+  "/me/sessions/:sessionId",
+  authorization,
+  wrapAsync(revokeSession)
+);
+
 router.get("/:userId", getUser);
 
 router.post("/:userId/report", authorization, wrapAsync(reportUser));
 
 router.put("/:userId/promote", authorization, wrapAsync(promoteUser));
 
+router.post("/:userId/unlock", authorization, wrapAsync(unlockUser));
+
 module.exports = router;
@@ -0,0 +1,28 @@
+// fills in the rating fields of books reviewed before they were stored on the
+// book, run once with `npm run backfill:ratings`
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Book = require("../models/books");
+const { refreshBookRating } = require("../services/bookRating");
+
+dotenv.config();
+
+const backfill = async () => {
+  await mongoose.connect(
+    process.env.MONGO_URL || "mongodb://localhost:27017/bookworld"
+  );
+
+  let count = 0;
+  for await (const book of Book.find({}, "_id").withTrashed().cursor()) {
+    await refreshBookRating(book._id);
+    count++;
+  }
+  console.log(`Updated the ratings of ${count} books`);
+};
+
+backfill()
+  .catch((err) => {
+    console.log("Backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,61 @@
+// removes the stored files no book, author or book history points at, like
+// the ones left by uploads that failed halfway or by storages changed by hand.
+// run with `npm run cleanup:assets`, add `-- --dry-run` to only list them
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Asset = require("../models/assets");
+const Book = require("../models/books");
+const Author = require("../models/authors");
+const BookRevision = require("../models/bookRevisions");
+const { driverName, listFiles, removeFile } = require("../services/storage");
+const { findOrphans } = require("../utils/assets");
+
+// files this recent may belong to a book being saved
+const GRACE_MS = 24 * 60 * 60 * 1000;
+
+const allReferencedUrls = async () => {
+  const urls = [Book.schema.path("image_url").defaultValue];
+  for await (const book of Book.find({}, "image_url images.url")
+    .withTrashed()
+    .cursor()) {
+    urls.push(book.image_url, ...book.images.map((image) => image.url));
+  }
+  for await (const author of Author.find({}, "image_url").cursor()) {
+    urls.push(author.image_url);
+  }
+  for await (const revision of BookRevision.find(
+    {},
+    "snapshot.image_url"
+  ).cursor()) {
+    urls.push(revision.snapshot.image_url);
+  }
+  return urls;
+};
+
+const cleanup = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await mongoose.connect(
+    process.env.MONGO_URL || "mongodb://localhost:27017/bookworld"
+  );
+
+  const orphans = findOrphans(await listFiles(), await allReferencedUrls(), {
+    now: Date.now(),
+    graceMs: GRACE_MS,
+  });
+  for (const { key } of orphans) {
+    console.log(`${dryRun ? "Would remove" : "Removing"} ${key}`);
+    if (dryRun) continue;
+    await removeFile(key);
+    await Asset.deleteMany({ driver: driverName, key });
+  }
+  console.log(
+    `${dryRun ? "Found" : "Removed"} ${orphans.length} orphaned files in the ${driverName} storage`
+  );
+};
+
+cleanup()
+  .catch((err) => {
+    console.log("Cleanup failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
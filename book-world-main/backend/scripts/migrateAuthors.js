@@ -0,0 +1,45 @@
+// links every book to Author documents made from its `author` string, run
+// once with `npm run migrate:authors`, running it again is harmless. books
+// linked already get their `author` string rewritten from their authors, so
+// strings from when co-authors were joined with `&` use `;`
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Book = require("../models/books");
+const { resolveAuthors } = require("../services/authors");
+const { joinAuthors } = require("../utils/authors");
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(
+    process.env.MONGO_URL || "mongodb://localhost:27017/bookworld"
+  );
+
+  let count = 0;
+  const books = Book.find({}, "author authors")
+    .withTrashed()
+    .populate("authors", "name");
+  for await (const book of books.cursor()) {
+    const authors =
+      book.authors.length > 0
+        ? book.authors
+        : await resolveAuthors(book.author);
+    if (authors.length === 0) continue;
+    await Book.updateOne(
+      { _id: book._id },
+      {
+        authors: authors.map((author) => author._id),
+        author: joinAuthors(authors.map((author) => author.name)),
+      }
+    ).withTrashed();
+    count++;
+  }
+  console.log(`Linked the authors of ${count} books`);
+};
+
+migrate()
+  .catch((err) => {
+    console.log("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,112 @@
+// fills the Genre collection with the starting taxonomy and adds the genres
+// already used by books as top-level genres, run with `npm run seed:genres`,
+// running it again keeps the genres and descriptions admins changed
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Book = require("../models/books");
+const Genre = require("../models/genres");
+const { slugify } = require("../utils/genres");
+
+dotenv.config();
+
+// each genre with its subgenres
+const TAXONOMY = {
+  Fiction: {
+    "Mystery & Crime": [
+      "Cozy Mystery",
+      "Detective Fiction",
+      "Historical Mystery",
+      "Police Procedural",
+    ],
+    Thriller: [
+      "Crime Thriller",
+      "Legal Thriller",
+      "Psychological Thriller",
+      "Spy Thriller",
+    ],
+    "Science Fiction": [
+      "Alien Invasion",
+      "Cyberpunk",
+      "Dystopian",
+      "Military Science Fiction",
+      "Post-Apocalyptic",
+      "Space Opera",
+    ],
+    Fantasy: [
+      "Dark Fantasy",
+      "Epic Fantasy",
+      "High Fantasy",
+      "Sword and Sorcery",
+      "Urban Fantasy",
+    ],
+    Romance: [
+      "Contemporary Romance",
+      "Historical Romance",
+      "Paranormal Romance",
+    ],
+    "Historical Fiction": [],
+    "Literary Fiction": [],
+    Horror: [],
+    Humor: [],
+    Adventure: ["Action Adventure Mystery"],
+    "Children's Fiction": [],
+    Classics: [],
+    "Coming-of-Age": [],
+    Drama: ["Tragedy"],
+  },
+  "Non-Fiction": {
+    History: [],
+    Biography: ["Memoir"],
+    "Self-Help": [],
+    Science: [],
+    Art: [],
+    "Social Sciences": [],
+    Travel: [],
+    "Food & Cooking": [],
+    "Religion & Spirituality": [],
+    "Business & Economics": [],
+  },
+};
+
+// creates the genre under `parent` unless a genre of that slug exists
+const upsertGenre = async (name, parent) => {
+  const existing = await Genre.findOne({ slug: slugify(name) });
+  if (existing) return { genre: existing, created: false };
+  return { genre: await Genre.create({ name, parent }), created: true };
+};
+
+const seed = async () => {
+  await mongoose.connect(
+    process.env.MONGO_URL || "mongodb://localhost:27017/bookworld"
+  );
+
+  let count = 0;
+  const add = async (name, parent = null) => {
+    const { genre, created } = await upsertGenre(name, parent);
+    if (created) count++;
+    return genre;
+  };
+
+  for (const [rootName, children] of Object.entries(TAXONOMY)) {
+    const root = await add(rootName);
+    for (const [name, subgenres] of Object.entries(children)) {
+      const genre = await add(name, root._id);
+      for (const subgenre of subgenres) {
+        await add(subgenre, genre._id);
+      }
+    }
+  }
+
+  const used = await Book.distinct("genre").withTrashed();
+  for (const name of used) {
+    await add(name);
+  }
+  console.log(`Added ${count} genres`);
+};
+
+seed()
+  .catch((err) => {
+    console.log("Seeding genres failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,65 @@
+const Asset = require("../models/assets");
+const Book = require("../models/books");
+const Author = require("../models/authors");
+const BookRevision = require("../models/bookRevisions");
+const { driverName, removeFile } = require("./storage");
+
+// every url a file may still be reached from: the covers of books, trashed
+// ones included, the covers their history can restore and the author photos
+module.exports.referencedUrls = async (urls) => {
+  const books = await Book.find(
+    { $or: [{ image_url: { $in: urls } }, { "images.url": { $in: urls } }] },
+    "image_url images.url"
+  ).withTrashed();
+  const [authors, revisions] = await Promise.all([
+    Author.find({ image_url: { $in: urls } }, "image_url"),
+    BookRevision.find(
+      { "snapshot.image_url": { $in: urls } },
+      "snapshot.image_url"
+    ),
+  ]);
+  return new Set([
+    ...books.flatMap((book) => [
+      book.image_url,
+      ...book.images.map((image) => image.url),
+    ]),
+    ...authors.map((author) => author.image_url),
+    ...revisions.map((revision) => revision.snapshot.image_url),
+  ]);
+};
+
+// keeps track of the files stored for a book or an author
+module.exports.recordAssets = (images, owner, ownerModel) =>
+  Asset.insertMany(
+    images.map(({ key, url }) => ({
+      key,
+      url,
+      driver: driverName,
+      owner,
+      ownerModel,
+    }))
+  );
+
+// removes the files of a book or an author nothing uses anymore, run after
+// their cover changes and once they are deleted. failures are only logged,
+// the maintenance script finds whatever is left behind
+module.exports.removeOrphanedAssets = async (owner) => {
+  try {
+    const assets = await Asset.find({ owner, driver: driverName });
+    if (assets.length === 0) return 0;
+    const used = await module.exports.referencedUrls(
+      assets.map((asset) => asset.url)
+    );
+
+    let removed = 0;
+    for (const asset of assets.filter((asset) => !used.has(asset.url))) {
+      await removeFile(asset.key);
+      await asset.deleteOne();
+      removed++;
+    }
+    return removed;
+  } catch (err) {
+    console.log("Error Removing Orphaned Files:", err.message);
+    return 0;
+  }
+};
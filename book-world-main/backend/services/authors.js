@@ -0,0 +1,43 @@
+const Author = require("../models/authors");
+const Book = require("../models/books");
+const { authorKey, splitAuthors, joinAuthors } = require("../utils/authors");
+
+// the authors named in an `author` string, in the same order, the ones not
+// known yet are created
+module.exports.resolveAuthors = async (text, session) => {
+  const authors = [];
+  for (const name of splitAuthors(text)) {
+    const key = authorKey(name);
+    const author = await Author.findOneAndUpdate(
+      { nameKeys: key },
+      { $setOnInsert: { name, aliases: [], nameKeys: [key] } },
+      { upsert: true, new: true, session }
+    );
+    authors.push(author);
+  }
+  return authors;
+};
+
+// removes the authors no book links to anymore, trashed books included, so a
+// book that failed to save leaves none of the authors made for it behind
+module.exports.removeUnusedAuthors = async (authorIds) => {
+  for (const authorId of authorIds) {
+    const used = await Book.exists({ authors: authorId }).withTrashed();
+    if (!used) await Author.deleteOne({ _id: authorId });
+  }
+};
+
+// rewrites the `author` string of every book of an author, after its name
+// was changed
+module.exports.syncAuthorNames = async (authorId) => {
+  const books = await Book.find({ authors: authorId }, "authors")
+    .withTrashed()
+    .populate("authors", "name");
+  for (const book of books) {
+    await Book.updateOne(
+      { _id: book._id },
+      { author: joinAuthors(book.authors.map((author) => author.name)) }
+    ).withTrashed();
+  }
+  return books.length;
+};
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const Book = require("../models/books");
+const Review = require("../models/review");
+
+// the rating fields of a book from its histogram of star counts
+const ratingOf = (histogram) => {
+  const ratingCount = histogram.reduce((sum, count) => sum + count, 0);
+  const total = histogram.reduce(
+    (sum, count, index) => sum + count * (index + 1),
+    0
+  );
+  return {
+    ratingCount,
+    ratingAverage: ratingCount
+      ? Math.round((total / ratingCount) * 100) / 100
+      : 0,
+    ratingHistogram: histogram,
+  };
+};
+
+// recomputes the rating fields of a book from its reviews, called after any
+// review of the book is created, changed or removed
+module.exports.refreshBookRating = async (bookId, session) => {
+  const counts = await Review.aggregate([
+    { $match: { bookId: new mongoose.Types.ObjectId(bookId) } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]).session(session || null);
+
+  const histogram = [0, 0, 0, 0, 0];
+  counts.forEach(({ _id: stars, count }) => {
+    histogram[stars - 1] = count;
+  });
+
+  const rating = ratingOf(histogram);
+  await Book.updateOne({ _id: bookId }, rating, { session }).withTrashed();
+  return rating;
+};
+
+// the rating of several books taken together, used to roll up the editions
+// of a work
+module.exports.combineRatings = (books) => {
+  const histogram = [0, 0, 0, 0, 0];
+  books.forEach((book) =>
+    (book.ratingHistogram || []).forEach((count, index) => {
+      histogram[index] += count;
+    })
+  );
+  return ratingOf(histogram);
+};
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const Book = require("../models/books");
+const Review = require("../models/review");
+const Comment = require("../models/comments");
+const User = require("../models/users");
+const BookRevision = require("../models/bookRevisions");
+const { removeOrphanedAssets } = require("./assets");
+const { withTransaction } = require("./transactions");
+
+// a comment with every reply below it, however deep, found in one query
+const commentTreeIds = async (commentId, session) => {
+  const [root] = await Comment.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(commentId) } },
+    {
+      $graphLookup: {
+        from: Comment.collection.name,
+        startWith: "$replies",
+        connectFromField: "replies",
+        connectToField: "_id",
+        as: "descendants",
+      },
+    },
+    { $project: { descendants: "$descendants._id" } },
+  ]).session(session || null);
+
+  return root ? [root._id, ...root.descendants] : [];
+};
+
+// drops the comments and the likes users gave them, returns how many went
+const removeComments = async (commentIds, session) => {
+  const { deletedCount } = await Comment.deleteMany(
+    { _id: { $in: commentIds } },
+    { session }
+  );
+  const { modifiedCount } = await User.updateMany(
+    { likedComments: { $in: commentIds } },
+    { $pull: { likedComments: { $in: commentIds } } },
+    { session }
+  );
+  return { comments: deletedCount, likedComments: modifiedCount };
+};
+
+// removes a comment and all of its replies
+module.exports.deleteCommentTree = async (commentId, session) => {
+  const commentIds = await commentTreeIds(commentId, session);
+  if (commentIds.length === 0) return { comments: 0, likedComments: 0 };
+  return removeComments(commentIds, session);
+};
+
+// removes a book together with its reviews, every comment on them, its
+// revision history and the favourites and likes users hold on any of them,
+// within `session` when there is one. the book goes last, so when it stops
+// halfway without a transaction deleting the book again finishes the job.
+// resolves with how many of each were removed
+module.exports.removeBookCascade = async (bookId, session) => {
+  const reviewIds = (await Review.find({ bookId }, "_id").session(session)).map(
+    (review) => review._id
+  );
+  const commentIds = (
+    await Comment.find({ reviewId: { $in: reviewIds } }, "_id").session(session)
+  ).map((comment) => comment._id);
+
+  const { comments, likedComments } = await removeComments(commentIds, session);
+  const reviews = await Review.deleteMany(
+    { _id: { $in: reviewIds } },
+    { session }
+  );
+  const likedReviews = await User.updateMany(
+    { likedReviews: { $in: reviewIds } },
+    { $pull: { likedReviews: { $in: reviewIds } } },
+    { session }
+  );
+  const favourites = await User.updateMany(
+    { favoriteBooks: bookId },
+    { $pull: { favoriteBooks: bookId } },
+    { session }
+  );
+  const revisions = await BookRevision.deleteMany({ bookId }, { session });
+  const books = await Book.deleteOne({ _id: bookId }, { session });
+
+  return {
+    books: books.deletedCount,
+    reviews: reviews.deletedCount,
+    comments,
+    revisions: revisions.deletedCount,
+    favourites: favourites.modifiedCount,
+    likedReviews: likedReviews.modifiedCount,
+    likedComments,
+  };
+};
+
+// removes a book and everything hanging off it in one transaction where the
+// server has them, its cover files are removed once that went through
+module.exports.deleteBookCascade = async (bookId) => {
+  const removed = await withTransaction((session) =>
+    module.exports.removeBookCascade(bookId, session)
+  );
+  await removeOrphanedAssets(bookId);
+
+  return removed;
+};
@@ -0,0 +1,102 @@
+const Book = require("../models/books");
+const Review = require("../models/review");
+const User = require("../models/users");
+const { escapeRegex } = require("../utils/bookQuery");
+const { titleKey, compareBooks } = require("../utils/duplicates");
+const { authorKey } = require("../utils/authors");
+const { refreshBookRating } = require("./bookRating");
+const { unlinkEdition } = require("./editions");
+const { removeBookCascade } = require("./cascadeDelete");
+const { removeOrphanedAssets } = require("./assets");
+const { withTransaction } = require("./transactions");
+
+// how many books the text search hands over to be compared
+const CANDIDATES = 50;
+
+// the books of the catalog looking like duplicates of `book`, given by its
+// title, author and isbn13, best matches first. `excludeId` leaves the book
+// itself out when it is already saved
+module.exports.findDuplicates = async (
+  { title, author, isbn13 },
+  { excludeId, limit = 5 } = {}
+) => {
+  const words = `${titleKey(title)} ${authorKey(author ?? "")}`.trim();
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const [byIsbn, byTitle, byWords] = await Promise.all([
+    isbn13 ? Book.find({ isbn13, ...exclude }) : [],
+    title
+      ? Book.find({
+          title: new RegExp(`^${escapeRegex(String(title).trim())}$`, "i"),
+          ...exclude,
+        }).limit(CANDIDATES)
+      : [],
+    words
+      ? Book.find(
+          { $text: { $search: words }, ...exclude },
+          { score: { $meta: "textScore" } }
+        )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(CANDIDATES)
+      : [],
+  ]);
+
+  const seen = new Set();
+  return [...byIsbn, ...byTitle, ...byWords]
+    .filter((candidate) => {
+      const id = candidate._id.toString();
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .map((candidate) => ({
+      book: candidate,
+      ...compareBooks({ title, author, isbn13 }, candidate),
+    }))
+    .filter((duplicate) => duplicate.score)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// folds `duplicate` into `book`: its reviews and the favourites users hold on
+// it move over, then it is removed like a book purged from the trash. users
+// who reviewed both keep their review of `book`. resolves with how many
+// reviews and favourites moved and what was removed with the duplicate. it
+// all happens in one transaction where the server has them, without one the
+// duplicate goes last, so merging again finishes a merge that failed halfway
+module.exports.mergeBooks = async (book, duplicate) => {
+  const result = await withTransaction(async (session) => {
+    const reviewers = (
+      await Review.find({ bookId: book._id }, "userId").session(session)
+    ).map((review) => review.userId);
+    const reviews = await Review.updateMany(
+      { bookId: duplicate._id, userId: { $nin: reviewers } },
+      { bookId: book._id },
+      { session }
+    );
+    const favourites = await User.updateMany(
+      { favoriteBooks: duplicate._id },
+      { $addToSet: { favoriteBooks: book._id } },
+      { session }
+    );
+    await User.updateMany(
+      { favoriteBooks: duplicate._id },
+      { $pull: { favoriteBooks: duplicate._id } },
+      { session }
+    );
+    await refreshBookRating(book._id, session);
+    await unlinkEdition(duplicate, session);
+    const removed = await removeBookCascade(duplicate._id, session);
+
+    return {
+      moved: {
+        reviews: reviews.modifiedCount,
+        favourites: favourites.matchedCount,
+      },
+      removed,
+    };
+  });
+
+  await removeOrphanedAssets(duplicate._id);
+  return result;
+};
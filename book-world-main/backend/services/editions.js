@@ -0,0 +1,50 @@
+const Book = require("../models/books");
+const Work = require("../models/works");
+
+// the ids of every edition of the book, the book itself included
+module.exports.editionIds = async (book) => {
+  if (!book.work) return [book._id];
+  const editions = await Book.find({ work: book.work }, "_id");
+  return editions.map((edition) => edition._id);
+};
+
+// makes two books editions of the same work, when both already had one the
+// editions of `other` move over to the work of `book`
+module.exports.linkEditions = async (book, other) => {
+  let workId = book.work;
+  if (!workId) {
+    workId = other.work || (await Work.create({ title: book.title }))._id;
+    await Book.updateOne({ _id: book._id }, { work: workId }).withTrashed();
+  }
+
+  if (!other.work) {
+    await Book.updateOne({ _id: other._id }, { work: workId }).withTrashed();
+  } else if (!other.work.equals(workId)) {
+    await Book.updateMany({ work: other.work }, { work: workId }).withTrashed();
+    await Work.deleteOne({ _id: other.work });
+  }
+  return workId;
+};
+
+// takes a book out of its work, a work left with a single edition is removed,
+// within `session` when there is one
+module.exports.unlinkEdition = async (book, session) => {
+  if (!book.work) return;
+  await Book.updateOne(
+    { _id: book._id },
+    { $unset: { work: 1 } },
+    { session }
+  ).withTrashed();
+
+  const remaining = await Book.find({ work: book.work }, "_id")
+    .withTrashed()
+    .session(session || null);
+  if (remaining.length < 2) {
+    await Book.updateMany(
+      { work: book.work },
+      { $unset: { work: 1 } },
+      { session }
+    ).withTrashed();
+    await Work.deleteOne({ _id: book.work }, { session });
+  }
+};
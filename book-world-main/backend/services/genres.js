@@ -0,0 +1,34 @@
+const Genre = require("../models/genres");
+const Book = require("../models/books");
+const {
+  resolveGenreNames,
+  expandGenreNames,
+  countBooksByGenre,
+} = require("../utils/genres");
+
+// the whole taxonomy, it is small enough to be walked in memory
+const loadGenres = () => Genre.find({}, "name slug description parent").lean();
+
+module.exports.loadGenres = loadGenres;
+
+module.exports.resolveGenres = async (names) =>
+  resolveGenreNames(await loadGenres(), names);
+
+module.exports.expandGenres = async (names) =>
+  expandGenreNames(await loadGenres(), names);
+
+// the taxonomy with the number of books of each genre and its subgenres
+module.exports.loadGenresWithCounts = async () => {
+  const [genres, combinations] = await Promise.all([
+    loadGenres(),
+    Book.aggregate([
+      { $group: { _id: "$genre", count: { $sum: 1 } } },
+      { $project: { _id: 0, genre: "$_id", count: 1 } },
+    ]),
+  ]);
+  const counts = countBooksByGenre(genres, combinations);
+  return genres.map((genre) => ({
+    ...genre,
+    bookCount: counts.get(String(genre._id)),
+  }));
+};
@@ -0,0 +1,69 @@
+const sharp = require("sharp");
+const ExpressError = require("../utils/ExpressErrors");
+const { saveFile, uniqueKey } = require("./storage");
+const { recordAssets } = require("./assets");
+
+// the widths each uploaded image is resized to, images are never enlarged
+const SIZES = {
+  thumbnail: 160,
+  card: 400,
+  full: 1024,
+};
+
+// every size is stored as a jpeg for any browser and as a lighter webp
+const FORMATS = {
+  jpeg: { extension: "jpg", mimetype: "image/jpeg", options: { quality: 80 } },
+  webp: { extension: "webp", mimetype: "image/webp", options: { quality: 75 } },
+};
+
+const resize = (buffer, width, format) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    // transparent pngs get a white background instead of a black one
+    .flatten({ background: "#ffffff" })
+    .toFormat(format, FORMATS[format].options)
+    .toBuffer({ resolveWithObject: true });
+
+// resizes an uploaded image to each of `sizes` in each of `formats` and
+// stores the results as files of `owner`, a book or an author, resolves to
+// the image list kept on books: [{ size, format, width, url, key }]
+module.exports.storeImage = async (
+  file,
+  {
+    baseUrl,
+    owner,
+    ownerModel,
+    sizes = Object.keys(SIZES),
+    formats = Object.keys(FORMATS),
+  }
+) => {
+  try {
+    await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw new ExpressError(
+      400,
+      "The image could not be read, upload a PNG, JPEG or WebP image"
+    );
+  }
+
+  const key = uniqueKey();
+  const images = [];
+  for (const size of sizes) {
+    for (const format of formats) {
+      const { data, info } = await resize(file.buffer, SIZES[size], format);
+      const stored = await saveFile(
+        { buffer: data, mimetype: FORMATS[format].mimetype },
+        `${key}-${size}.${FORMATS[format].extension}`,
+        { baseUrl }
+      );
+      images.push({ size, format, width: info.width, ...stored });
+    }
+  }
+  await recordAssets(images, owner, ownerModel);
+  return images;
+};
+
+// the url of an image of the list, the jpeg of the size by default
+module.exports.imageUrl = (images, size, format = "jpeg") =>
+  images.find((image) => image.size === size && image.format === format)?.url;
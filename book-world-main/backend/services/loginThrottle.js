@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const LoginFailure = require("../models/loginFailures");
+const { failureDelay } = require("../utils/throttle");
+
+// an account is locked after fewer attempts than an address, which may be
+// shared by many users
+const LIMITS = {
+  account: {
+    free: 3,
+    lockAfter: 10,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000,
+  },
+  ip: {
+    free: 10,
+    lockAfter: 50,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000,
+  },
+};
+
+// attempts this long ago do not count anymore
+const FAILURE_MEMORY_MS = 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+
+// unknown emails are counted too, so a lockout does not tell whether an
+// account exists
+const keysOf = (req, email) => ({
+  account: accountKey(email),
+  ip: `ip:${req.ip}`,
+});
+
+// the wait after each number of attempts, looked up by the update itself
+const delayTable = (limits) =>
+  Array.from({ length: limits.lockAfter + 1 }, (_, count) =>
+    failureDelay(count, limits)
+  );
+
+// counts the attempt and sets the wait before the next one in a single
+// update, unless the key is still waiting. concurrent attempts are counted
+// one after the other, so no more of them get through than sequential ones
+const countAttempt = async (kind, key, now) => {
+  const attemptId = new mongoose.Types.ObjectId();
+  try {
+    const failure = await LoginFailure.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            _open: { $not: [{ $gt: ["$lockedUntil", now] }] },
+            _remembered: {
+              $gt: [
+                "$lastAttemptAt",
+                new Date(now.getTime() - FAILURE_MEMORY_MS),
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            count: {
+              $cond: [
+                "$_open",
+                { $cond: ["$_remembered", { $add: ["$count", 1] }, 1] },
+                "$count",
+              ],
+            },
+            lastAttemptAt: { $cond: ["$_open", now, "$lastAttemptAt"] },
+            attemptId: { $cond: ["$_open", attemptId, "$attemptId"] },
+            expiresAt: {
+              $cond: [
+                "$_open",
+                new Date(now.getTime() + FAILURE_MEMORY_MS),
+                "$expiresAt",
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [
+                "$_open",
+                {
+                  $add: [
+                    now,
+                    {
+                      $arrayElemAt: [
+                        delayTable(LIMITS[kind]),
+                        { $min: ["$count", LIMITS[kind].lockAfter] },
+                      ],
+                    },
+                  ],
+                },
+                "$lockedUntil",
+              ],
+            },
+          },
+        },
+        { $unset: ["_open", "_remembered"] },
+      ],
+      { upsert: true, new: true }
+    );
+    return { kind, failure, counted: failure.attemptId.equals(attemptId) };
+  } catch (err) {
+    // another attempt of the same key inserted it first
+    if (err.code === 11000) return countAttempt(kind, key, now);
+    throw err;
+  }
+};
+
+// counts a login of `email` from the client of `req` before its password is
+// checked. resolves with null when it may go ahead, or with when it may be
+// tried again and whether the account is locked
+module.exports.startLoginAttempt = async (req, email) => {
+  const now = new Date();
+  const attempts = await Promise.all(
+    Object.entries(keysOf(req, email)).map(([kind, key]) =>
+      countAttempt(kind, key, now)
+    )
+  );
+  const refused = attempts.filter((attempt) => !attempt.counted);
+  if (refused.length === 0) return null;
+
+  const longest = refused.reduce((a, b) =>
+    a.failure.lockedUntil > b.failure.lockedUntil ? a : b
+  );
+  return {
+    until: longest.failure.lockedUntil,
+    locked: longest.failure.count >= LIMITS[longest.kind].lockAfter,
+  };
+};
+
+// a successful login forgets the attempts of the account and takes its own
+// attempt back from the address, so users sharing it are not slowed down
+module.exports.loginSucceeded = (req, email) =>
+  Promise.all([
+    module.exports.clearLoginFailures(email),
+    LoginFailure.updateOne(
+      { key: keysOf(req, email).ip, count: { $gt: 0 } },
+      { $inc: { count: -1 }, lockedUntil: null }
+    ),
+  ]);
+
+// forgets the attempts of the account, after a login or when an admin
+// unlocks it
+module.exports.clearLoginFailures = (email) =>
+  LoginFailure.deleteOne({ key: accountKey(email) });
+
+// the accounts of `emails` locked right now, by email
+module.exports.lockedAccounts = async (emails) => {
+  const failures = await LoginFailure.find({
+    key: { $in: emails.map(accountKey) },
+    lockedUntil: { $gt: new Date() },
+  });
+  return new Map(
+    failures.map((failure) => [
+      failure.key.slice("account:".length),
+      failure.lockedUntil,
+    ])
+  );
+};
@@ -0,0 +1,4 @@
+// emails printed to the console instead of being sent, for development
+module.exports.send = async ({ from, to, subject, text }) => {
+  console.log(`Email from ${from} to ${to}: ${subject}\n\n${text}\n`);
+};
@@ -0,0 +1,33 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// emails written as json files to MAIL_DIR (`mail` of the backend by
+// default) instead of being sent, for development and tests
+const dirOf = () => process.env.MAIL_DIR || path.join(__dirname, "../../mail");
+
+module.exports.send = async (message) => {
+  const dir = dirOf();
+  await fs.mkdir(dir, { recursive: true });
+  const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+  await fs.writeFile(
+    path.join(dir, name),
+    JSON.stringify({ ...message, date: new Date() }, null, 2)
+  );
+};
+
+// the emails written so far, oldest first
+module.exports.list = async () => {
+  const dir = dirOf();
+  const names = await fs.readdir(dir).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+  const messages = await Promise.all(
+    names
+      .filter((name) => name.endsWith(".json"))
+      .map(async (name) =>
+        JSON.parse(await fs.readFile(path.join(dir, name), "utf8"))
+      )
+  );
+  return messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
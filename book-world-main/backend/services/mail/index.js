@@ -0,0 +1,45 @@
+// how emails are sent, picked with MAIL_TRANSPORT. smtp is used once an smtp
+// server is configured, otherwise the emails are only printed to the console,
+// which production never falls back to as the emails would be lost
+const TRANSPORTS = {
+  smtp: "./smtp",
+  file: "./file",
+  console: "./console",
+};
+
+const defaultTransport = () => {
+  if (process.env.SMTP_HOST) return "smtp";
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT or SMTP_HOST must be set in production");
+  }
+  return "console";
+};
+
+const transportName = process.env.MAIL_TRANSPORT || defaultTransport();
+
+if (!TRANSPORTS[transportName]) {
+  throw new Error(
+    `MAIL_TRANSPORT must be one of ${Object.keys(TRANSPORTS).join(", ")}`
+  );
+}
+const transport = require(TRANSPORTS[transportName]);
+
+module.exports.transportName = transportName;
+
+// sends `message` ({ to, subject, text, html }) from MAIL_FROM
+module.exports.sendMail = (message) =>
+  transport.send({
+    from: process.env.MAIL_FROM || "Book World <no-reply@bookworld.local>",
+    ...message,
+  });
+
+// sends `message` for a request that goes on when it cannot be sent, the error
+// is logged and the promise resolves with whether it was sent
+module.exports.sendMailQuietly = (message) =>
+  module.exports.sendMail(message).then(
+    () => true,
+    (err) => {
+      console.log("Error Sending Email:", err.message);
+      return false;
+    }
+  );
@@ -0,0 +1,37 @@
+// the emails sent to users, the links in them lead to the frontend
+const frontendUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+
+module.exports.verificationMail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  return {
+    to: user.email,
+    subject: "Verify your Book World email",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "Welcome to Book World! Open the link below within a day to verify your email, then you can post reviews and comments:",
+      "",
+      link,
+      "",
+      "If you did not sign up, ignore this email.",
+    ].join("\n"),
+  };
+};
+
+module.exports.passwordResetMail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  return {
+    to: user.email,
+    subject: "Reset your Book World password",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "Someone asked to reset the password of your Book World account. Open the link below within an hour to choose a new one:",
+      "",
+      link,
+      "",
+      "If it was not you, ignore this email and your password stays the same.",
+    ].join("\n"),
+  };
+};
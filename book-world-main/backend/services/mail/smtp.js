@@ -0,0 +1,14 @@
+const nodemailer = require("nodemailer");
+
+// emails sent through the smtp server of SMTP_HOST, logging in when
+// SMTP_USER is set
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined,
+});
+
+module.exports.send = (message) => transporter.sendMail(message);
@@ -0,0 +1,28 @@
+const RateLimit = require("../models/rateLimits");
+
+// counts one more request of `key`, starting a new window of `windowMs` once
+// the last one ended. resolves with the count of the window and its end
+module.exports.hitRateLimit = async (key, windowMs) => {
+  const now = new Date();
+  const ongoing = { $gt: ["$resetAt", now] };
+  try {
+    return await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [ongoing, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [ongoing, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // another request of the same key inserted it first
+    if (err.code === 11000) return module.exports.hitRateLimit(key, windowMs);
+    throw err;
+  }
+};
@@ -0,0 +1,45 @@
+const Session = require("../models/sessions");
+const RefreshToken = require("../models/refreshTokens");
+
+// how long a login lasts without being used
+const sessionDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// last use is only written down once a minute, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+module.exports.sessionExpiry = () =>
+  new Date(Date.now() + sessionDays() * 86400000);
+
+// whether the tokens of the session are still accepted
+module.exports.isActive = (session) =>
+  !!session && !session.revokedAt && session.expiresAt > new Date();
+
+// a new session for a login from the device sending `req`
+module.exports.createSession = (user, req) =>
+  Session.create({
+    userId: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    expiresAt: module.exports.sessionExpiry(),
+  });
+
+module.exports.touchSession = async (session) => {
+  if (Date.now() - session.lastUsedAt < TOUCH_INTERVAL_MS) return;
+  await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+};
+
+// revokes the active sessions matching `filter` and drops their refresh
+// tokens, resolves with how many were revoked
+module.exports.revokeSessions = async (filter) => {
+  const sessionIds = (
+    await Session.find({ ...filter, revokedAt: null }, "_id")
+  ).map((session) => session._id);
+  if (sessionIds.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date() }
+  );
+  await RefreshToken.deleteMany({ sessionId: { $in: sessionIds } });
+  return sessionIds.length;
+};
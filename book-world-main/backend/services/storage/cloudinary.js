@@ -0,0 +1,46 @@
+const cloudinary = require("cloudinary").v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUD_NAME,
+  api_key: process.env.CLOUD_API_KEY,
+  api_secret: process.env.CLOUD_API_SECRET,
+});
+
+const FOLDER = "book-world";
+
+// keys are the public ids cloudinary knows the images by, they leave out the
+// extension so it is kept in the id for the formats of one image to differ
+module.exports.save = (file, key) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        { folder: FOLDER, public_id: key.replace(/\.([^.]+)$/, "-$1") },
+        (err, result) =>
+          err
+            ? reject(err)
+            : resolve({ key: result.public_id, url: result.secure_url })
+      )
+      .end(file.buffer);
+  });
+
+module.exports.remove = async (key) => {
+  await cloudinary.uploader.destroy(key);
+};
+
+module.exports.list = async () => {
+  const files = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: "upload",
+      prefix: `${FOLDER}/`,
+      max_results: 500,
+      next_cursor: cursor,
+    });
+    page.resources.forEach((resource) =>
+      files.push({ key: resource.public_id, lastModified: resource.created_at })
+    );
+    cursor = page.next_cursor;
+  } while (cursor);
+  return files;
+};
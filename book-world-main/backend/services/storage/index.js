@@ -0,0 +1,37 @@
+// where uploaded images are kept, picked with STORAGE_DRIVER, deployments
+// configured for cloudinary before it existed keep using cloudinary
+const DRIVERS = {
+  local: "./local",
+  cloudinary: "./cloudinary",
+  s3: "./s3",
+};
+
+const driverName =
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUD_NAME ? "cloudinary" : "local");
+
+if (!DRIVERS[driverName]) {
+  throw new Error(
+    `STORAGE_DRIVER must be one of ${Object.keys(DRIVERS).join(", ")}`
+  );
+}
+const driver = require(DRIVERS[driverName]);
+
+module.exports.driverName = driverName;
+
+// a new key, the files made from one upload share it with their own suffix
+module.exports.uniqueKey = () =>
+  Date.now() + "-" + Math.round(Math.random() * 1e9);
+
+// where the api is reached, used by drivers serving files from the api itself
+module.exports.baseUrlOf = (req) => `${req.protocol}://${req.get("host")}`;
+
+// stores `file` ({ buffer, mimetype }) under `key`, resolves to its key in
+// the storage and its public url
+module.exports.saveFile = (file, key, { baseUrl }) =>
+  driver.save(file, key, { baseUrl });
+
+module.exports.removeFile = (key) => driver.remove(key);
+
+// every file of the storage as { key, lastModified }
+module.exports.listFiles = () => driver.list();
@@ -0,0 +1,33 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// files served by the api itself from `public/uploads`, served by the
+// `/public` static route of index.js
+const ROOT = path.join(__dirname, "../../public/uploads");
+
+const urlOf = (key, baseUrl) =>
+  `${process.env.PUBLIC_URL || baseUrl}/public/uploads/${key}`;
+
+module.exports.save = async (file, key, { baseUrl }) => {
+  await fs.mkdir(ROOT, { recursive: true });
+  await fs.writeFile(path.join(ROOT, key), file.buffer);
+  return { key, url: urlOf(key, baseUrl) };
+};
+
+module.exports.remove = async (key) => {
+  await fs.rm(path.join(ROOT, path.basename(key)), { force: true });
+};
+
+// every stored file, for the cleanup of orphaned files
+module.exports.list = async () => {
+  const names = await fs.readdir(ROOT).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+  return Promise.all(
+    names.map(async (name) => ({
+      key: name,
+      lastModified: (await fs.stat(path.join(ROOT, name))).mtime,
+    }))
+  );
+};
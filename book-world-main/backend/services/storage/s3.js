@@ -0,0 +1,85 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  paginateListObjectsV2,
+} = require("@aws-sdk/client-s3");
+
+// any S3 compatible service, the bucket is addressed in the path so
+// endpoints like MinIO or R2 work the same as AWS
+const config = () => {
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = (
+    process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+  ).replace(/\/+$/, "");
+  const bucket = process.env.S3_BUCKET;
+  return {
+    region,
+    endpoint,
+    bucket,
+    // the bucket is usually served through a cdn or a website endpoint
+    publicUrl: (key) =>
+      process.env.S3_PUBLIC_URL
+        ? `${process.env.S3_PUBLIC_URL.replace(/\/+$/, "")}/${key}`
+        : `${endpoint}/${bucket}/${key}`,
+  };
+};
+
+// the files of the api are kept under their own prefix, so the bucket can be
+// shared and only these files are ever listed and cleaned up
+const FOLDER = "book-world";
+
+// without keys in the env the sdk finds credentials itself, like the role of
+// the instance the api runs on
+let client;
+const s3 = () => {
+  if (!client) {
+    const { region, endpoint } = config();
+    client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle: true,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+module.exports.save = async (file, name) => {
+  const { bucket, publicUrl } = config();
+  const key = `${FOLDER}/${name}`;
+  await s3().send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: file.buffer,
+      ContentType: file.mimetype,
+    })
+  );
+  return { key, url: publicUrl(key) };
+};
+
+module.exports.remove = async (key) => {
+  await s3().send(
+    new DeleteObjectCommand({ Bucket: config().bucket, Key: key })
+  );
+};
+
+module.exports.list = async () => {
+  const files = [];
+  const pages = paginateListObjectsV2(
+    { client: s3() },
+    { Bucket: config().bucket, Prefix: `${FOLDER}/` }
+  );
+  for await (const page of pages) {
+    page.Contents?.forEach((object) =>
+      files.push({ key: object.Key, lastModified: object.LastModified })
+    );
+  }
+  return files;
+};
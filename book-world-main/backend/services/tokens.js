@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const { SignJWT } = require("jose");
+const RefreshToken = require("../models/refreshTokens");
+const Session = require("../models/sessions");
+const User = require("../models/users");
+const ExpressError = require("../utils/ExpressErrors");
+const { sessionExpiry, isActive, revokeSessions } = require("./sessions");
+
+// how long an access token is accepted, in the time span format of jose
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+
+// a token exchanged this recently is not taken for a stolen one, as another
+// tab of the same browser may have refreshed at the same time
+const REUSE_GRACE_MS = 10 * 1000;
+
+// tokens are only stored hashed, so a leaked database cannot be used to log in
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+module.exports.hashToken = hashToken;
+
+// `sid` ties the token to its session, so it stops working once the session
+// is revoked
+module.exports.signAccessToken = (user, session) =>
+  new SignJWT({ id: user._id, role: user.role, sid: session._id })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuedAt()
+    .setExpirationTime(accessTokenTtl())
+    .sign(new TextEncoder().encode(process.env.JWT_SECRET));
+
+// a new refresh token for the session, valid as long as the session is
+module.exports.issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await RefreshToken.create({
+    userId: session.userId,
+    tokenHash: hashToken(token),
+    sessionId: session._id,
+    expiresAt: session.expiresAt,
+  });
+  return { token, expiresAt: session.expiresAt };
+};
+
+// exchanges a refresh token for a new access and refresh token and keeps the
+// session going. a token that was already exchanged revokes its session, so
+// whoever holds a stolen copy is logged out together with the owner
+module.exports.rotateRefreshToken = async (token) => {
+  const stored =
+    token && (await RefreshToken.findOne({ tokenHash: hashToken(token) }));
+  const session = stored && (await Session.findById(stored.sessionId));
+  if (!isActive(session)) {
+    throw new ExpressError(401, "Session expired, please log in again");
+  }
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    // unset when the token was exchanged since it was read
+    const usedAt = stored.usedAt || new Date();
+    if (Date.now() - usedAt < REUSE_GRACE_MS) {
+      throw new ExpressError(401, "Session already refreshed");
+    }
+    await revokeSessions({ _id: session._id });
+    throw new ExpressError(
+      401,
+      "Session revoked as it was used from elsewhere, please log in again"
+    );
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSessions({ _id: session._id });
+    throw new ExpressError(401, "Session expired, please log in again");
+  }
+  session.lastUsedAt = new Date();
+  session.expiresAt = sessionExpiry();
+  await session.save();
+
+  return {
+    user,
+    accessToken: await module.exports.signAccessToken(user, session),
+    refreshToken: await module.exports.issueRefreshToken(session),
+  };
+};
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+let supported;
+
+// transactions need a replica set or a sharded cluster, a standalone server
+// has none
+const supportsTransactions = async () => {
+  if (supported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName || hello.msg === "isdbgrid");
+  }
+  return supported;
+};
+
+// runs `fn` with a session in one transaction and resolves with what it
+// returns. on a standalone server `fn` gets no session and its writes are
+// done one by one, so it has to order them so that running it again
+// finishes what a failed run left over
+module.exports.withTransaction = async (fn) => {
+  if (!(await supportsTransactions())) return fn(null);
+
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const UserToken = require("../models/userTokens");
+const { hashToken } = require("./tokens");
+
+// how long the token of each purpose can be used
+const LIFETIMES_MS = {
+  passwordReset: 60 * 60 * 1000,
+  emailVerification: 24 * 60 * 60 * 1000,
+};
+
+// a new token for `purpose` of the user, the ones handed out before for the
+// same purpose stop working so only the latest email has a working link
+module.exports.issueUserToken = async (user, purpose) => {
+  await UserToken.deleteMany({ userId: user._id, purpose });
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + LIFETIMES_MS[purpose]),
+  });
+  return token;
+};
+
+// marks the token used and resolves with its user's id, or with null when it
+// is unknown, expired or was already used
+module.exports.consumeUserToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+  const stored = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+  return stored ? stored.userId : null;
+};
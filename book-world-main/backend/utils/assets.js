@@ -0,0 +1,22 @@
+const path = require("path");
+
+// the file name without its extension, the part a storage key and the urls
+// of the file always share, cloudinary keys have no extension and their urls
+// carry a version
+module.exports.fileStem = (keyOrUrl) => {
+  const name = path.posix.basename(String(keyOrUrl).split(/[?#]/)[0]);
+  return name.replace(/\.[^.]+$/, "");
+};
+
+// the stored files no url points at, `files` are { key, lastModified }, files
+// younger than `graceMs` are kept as their book may still be being saved
+module.exports.findOrphans = (files, referencedUrls, { now, graceMs }) => {
+  const referenced = new Set(
+    referencedUrls.filter(Boolean).map(module.exports.fileStem)
+  );
+  return files.filter(
+    ({ key, lastModified }) =>
+      !referenced.has(module.exports.fileStem(key)) &&
+      now - new Date(lastModified) > graceMs
+  );
+};
@@ -0,0 +1,30 @@
+// co-authors are written in one `author` string, separated by `;`, an `&` is
+// kept as part of names like "Penn & Teller"
+const SEPARATOR = "; ";
+
+// the form of a name used to tell whether two spellings are the same author:
+// case, accents, dots and spacing are ignored, so "J.K. Rowling" and
+// "j. k. rowling" give the same key
+module.exports.authorKey = (name) =>
+  String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.,'’\s-]+/g, " ")
+    .trim();
+
+// the names in an `author` string, without blanks or repeated authors
+module.exports.splitAuthors = (text) => {
+  const seen = new Set();
+  return String(text ?? "")
+    .split(";")
+    .map((name) => name.trim().replace(/\s+/g, " "))
+    .filter((name) => {
+      const key = module.exports.authorKey(name);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+module.exports.joinAuthors = (names) => names.join(SEPARATOR);
@@ -0,0 +1,171 @@
+const { toCsvRow } = require("./csv");
+const { escapeXml } = require("./xml");
+
+// columns match what the import accepts, so an export can be imported again
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "author",
+  "genre",
+  "year_published",
+  "isbn10",
+  "isbn13",
+  "description",
+  "image_url",
+];
+
+const escapeBibtex = (value) =>
+  String(value)
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([{}&%$#_])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+
+const csv = () => ({
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  header: () => toCsvRow(CSV_COLUMNS),
+  row: (book) =>
+    toCsvRow([
+      book._id,
+      book.title,
+      book.author,
+      (book.genre || []).join(";"),
+      book.year_published,
+      book.isbn10,
+      book.isbn13,
+      book.description,
+      book.image_url,
+    ]),
+  footer: () => "",
+});
+
+const jsonl = () => ({
+  contentType: "application/x-ndjson; charset=utf-8",
+  extension: "jsonl",
+  header: () => "",
+  row: (book) =>
+    JSON.stringify({
+      id: book._id,
+      title: book.title,
+      author: book.author,
+      genre: book.genre,
+      year_published: book.year_published,
+      isbn10: book.isbn10 ?? null,
+      isbn13: book.isbn13 ?? null,
+      description: book.description ?? null,
+      image_url: book.image_url,
+    }) + "\n",
+  footer: () => "",
+});
+
+// citation keys look like `herbert1965dune`, repeated keys get a letter added
+const bibtex = () => {
+  const used = new Map();
+  const citationKey = (book) => {
+    const word = (text) =>
+      String(text || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[^a-z0-9\s]/g, "")
+        .split(/\s+/)
+        .filter(Boolean);
+    const key =
+      (word(book.author).pop() || "book") +
+      (book.year_published || "") +
+      (word(book.title).find((w) => w.length > 3) || word(book.title)[0] || "");
+    const count = used.get(key) || 0;
+    used.set(key, count + 1);
+    return count === 0 ? key : key + String.fromCharCode(96 + count);
+  };
+
+  return {
+    contentType: "application/x-bibtex; charset=utf-8",
+    extension: "bib",
+    header: () => "",
+    row: (book) => {
+      const fields = [
+        ["title", book.title],
+        ["author", book.author],
+        ["year", book.year_published],
+        ["isbn", book.isbn13 || book.isbn10],
+        ["keywords", (book.genre || []).join(", ")],
+        ["abstract", book.description],
+        ["url", book.image_url],
+      ].filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      );
+
+      return (
+        `@book{${citationKey(book)},\n` +
+        fields
+          .map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`)
+          .join(",\n") +
+        "\n}\n\n"
+      );
+    },
+    footer: () => "",
+  };
+};
+
+const datafield = (tag, ind1, ind2, subfields) =>
+  `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">\n` +
+  subfields
+    .map(
+      ([code, value]) =>
+        `      <subfield code="${code}">${escapeXml(value)}</subfield>\n`
+    )
+    .join("") +
+  "    </datafield>\n";
+
+// one MARC 21 bibliographic record per book
+const marcxml = () => ({
+  contentType: "application/marcxml+xml; charset=utf-8",
+  extension: "xml",
+  header: () =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<collection xmlns="http://www.loc.gov/MARC21/slim">\n',
+  row: (book) => {
+    const fields = [
+      `    <controlfield tag="001">${escapeXml(book._id)}</controlfield>\n`,
+      ...[book.isbn13, book.isbn10]
+        .filter(Boolean)
+        .map((isbn) => datafield("020", " ", " ", [["a", isbn]])),
+      datafield("100", "1", " ", [["a", book.author]]),
+      datafield("245", "1", "0", [["a", book.title]]),
+      ...(book.year_published
+        ? [datafield("264", " ", "1", [["c", book.year_published]])]
+        : []),
+      ...(book.description
+        ? [datafield("520", " ", " ", [["a", book.description]])]
+        : []),
+      ...(book.genre || []).map((genre) =>
+        datafield("655", " ", "4", [["a", genre]])
+      ),
+      ...(book.image_url
+        ? [
+            datafield("856", "4", "2", [
+              ["u", book.image_url],
+              ["3", "Cover image"],
+            ]),
+          ]
+        : []),
+    ];
+
+    return (
+      "  <record>\n" +
+      "    <leader>00000nam a2200000 i 4500</leader>\n" +
+      fields.join("") +
+      "  </record>\n"
+    );
+  },
+  footer: () => "</collection>\n",
+});
+
+const formats = { csv, jsonl, bibtex, marcxml };
+
+module.exports.EXPORT_FORMATS = Object.keys(formats);
+
+// returns a fresh writer for the format, or undefined when it is unknown
+module.exports.createExportWriter = (format) =>
+  Object.hasOwn(formats, format) ? formats[format]() : undefined;
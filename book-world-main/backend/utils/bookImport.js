@@ -0,0 +1,140 @@
+const ExpressError = require("./ExpressErrors");
+const { parseCsvObjects } = require("./csv");
+const { normalizeIsbn, resolveIsbns } = require("./isbn");
+const { joinAuthors } = require("./authors");
+
+const MAX_ROWS = 5000;
+
+// the characters a file may separate co-authors with besides `;`
+const AUTHOR_SEPARATORS = ["&", "|", "/"];
+module.exports.AUTHOR_SEPARATORS = AUTHOR_SEPARATORS;
+
+// column names accepted for each book field, compared case-insensitively
+const COLUMNS = {
+  title: ["title"],
+  author: ["author", "authors"],
+  description: ["description", "summary"],
+  genre: ["genre", "genres"],
+  year_published: ["year_published", "year", "published"],
+  isbn10: ["isbn10", "isbn_10", "isbn-10"],
+  isbn13: ["isbn13", "isbn_13", "isbn-13"],
+  isbn: ["isbn"],
+  image_url: ["image_url", "image", "cover"],
+};
+
+// reads the uploaded csv or json file into plain row objects
+module.exports.readImportFile = (file) => {
+  if (!file) {
+    throw new ExpressError(400, "A CSV or JSON file is required");
+  }
+
+  const text = file.buffer.toString("utf8");
+  const isJson =
+    file.mimetype === "application/json" || /\.json$/i.test(file.originalname);
+
+  let rows;
+  if (isJson) {
+    try {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed.books;
+    } catch (err) {
+      throw new ExpressError(400, `Invalid JSON file: ${err.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw new ExpressError(
+        400,
+        "JSON file must hold an array of books or a { books: [] } object"
+      );
+    }
+  } else {
+    rows = parseCsvObjects(text);
+  }
+
+  if (rows.length === 0) {
+    throw new ExpressError(400, "The file does not contain any books");
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ExpressError(400, `A file can hold at most ${MAX_ROWS} books`);
+  }
+  return rows;
+};
+
+const pick = (row, names) => {
+  const key = Object.keys(row).find((column) =>
+    names.includes(column.trim().toLowerCase())
+  );
+  const value = key === undefined ? undefined : row[key];
+  return typeof value === "string" ? value.trim() : value;
+};
+
+// genres come as an array in json and `;` or `|` separated in csv
+const toGenres = (value) => {
+  if (Array.isArray(value)) return value.map(String).map((g) => g.trim());
+  if (!value) return [];
+  return String(value)
+    .split(/[;|]/)
+    .map((genre) => genre.trim())
+    .filter(Boolean);
+};
+
+// maps one row of the file onto the book fields, problems that can be found
+// without the database are returned in `errors`. co-authors separated by
+// `authorSeparator` are rewritten to the `;` separated form
+module.exports.toBookData = (row, { authorSeparator } = {}) => {
+  const errors = [];
+  if (row === null || typeof row !== "object" || Array.isArray(row)) {
+    return { data: null, errors: ["Row must be an object"] };
+  }
+
+  const value = (field) => pick(row, COLUMNS[field]);
+  const data = { genre: toGenres(value("genre")) };
+  // json may hold any kind of value, numbers are taken as text
+  ["title", "author", "description", "image_url"].forEach((field) => {
+    const text = value(field);
+    if (text === undefined || text === null || text === "") return;
+    if (typeof text === "number") {
+      data[field] = String(text);
+    } else if (typeof text === "string") {
+      data[field] = text;
+    } else {
+      errors.push(`${field} must be text`);
+    }
+  });
+  if (data.author && authorSeparator) {
+    data.author = joinAuthors(
+      data.author.split(authorSeparator).map((name) => name.trim())
+    );
+  }
+
+  const year = value("year_published");
+  if (year !== undefined && year !== "") {
+    if (!Number.isInteger(Number(year))) {
+      errors.push(`year_published "${year}" is not a year`);
+    } else {
+      data.year_published = Number(year);
+    }
+  }
+
+  // a plain `isbn` column may hold either kind
+  let isbn10 = value("isbn10");
+  let isbn13 = value("isbn13");
+  const isbn = value("isbn");
+  if (isbn) {
+    if (normalizeIsbn(isbn).length === 13) isbn13 = isbn13 || isbn;
+    else isbn10 = isbn10 || isbn;
+  }
+  try {
+    const isbns = resolveIsbns({ isbn10, isbn13 });
+    if (isbns.isbn13) data.isbn13 = isbns.isbn13;
+    if (isbns.isbn10) data.isbn10 = isbns.isbn10;
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  return { data, errors };
+};
+
+// identifies the same book across rows of a file
+module.exports.importKey = (data) =>
+  data.isbn13 ||
+  `${String(data.title).toLowerCase()}|${String(data.author).toLowerCase()}`;
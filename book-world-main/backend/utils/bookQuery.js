@@ -0,0 +1,105 @@
+const ExpressError = require("./ExpressErrors");
+
+// each sort param and the book field it sorts on
+const SORT_FIELDS = {
+  title: "title",
+  author: "author",
+  year_published: "year_published",
+  rating: "ratingAverage",
+  reviews: "ratingCount",
+  relevance: null,
+};
+const SORTABLE_FIELDS = Object.keys(SORT_FIELDS);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// accepts `genre=A,B`, `genre=A&genre=B` or a mix of both
+const toList = (value) =>
+  []
+    .concat(value)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// a repeated param comes as an array and `name[key]=` as an object
+const toText = (value, name) => {
+  if (typeof value !== "string") {
+    throw new ExpressError(400, `${name} must be given once`);
+  }
+  return value;
+};
+
+const toYear = (value, name) => {
+  const year = Number(value);
+  if (!Number.isInteger(year)) {
+    throw new ExpressError(400, `${name} must be a year`);
+  }
+  return year;
+};
+
+// turns the GET /books filter params into a mongo filter, the `q` search is
+// added separately as it needs the text index
+module.exports.buildBookFilter = (query) => {
+  const { genre, author, year_from, year_to } = query;
+  const conditions = [];
+
+  if (genre) {
+    conditions.push({ genre: { $in: toList(genre) } });
+  }
+
+  if (author) {
+    conditions.push({
+      author: new RegExp(escapeRegex(toText(author, "author").trim()), "i"),
+    });
+  }
+
+  if (year_from !== undefined || year_to !== undefined) {
+    const range = {};
+    if (year_from !== undefined) range.$gte = toYear(year_from, "year_from");
+    if (year_to !== undefined) range.$lte = toYear(year_to, "year_to");
+    if (range.$gte > range.$lte) {
+      throw new ExpressError(400, "year_from cannot be after year_to");
+    }
+    conditions.push({ year_published: range });
+  }
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// `sort=title` sorts ascending, `sort=-title` descending, searches are
+// sorted by relevance unless asked otherwise. `hasScore` is false for the
+// searches that cannot match anything, as those run without $text
+module.exports.buildBookSort = (
+  sort,
+  isSearch = false,
+  hasScore = isSearch
+) => {
+  if (!sort && isSearch) sort = "relevance";
+  if (!sort) return { _id: 1 };
+
+  toText(sort, "sort");
+  const direction = sort.startsWith("-") ? -1 : 1;
+  const field = sort.replace(/^-/, "");
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw new ExpressError(
+      400,
+      `sort must be one of ${SORTABLE_FIELDS.join(", ")}`
+    );
+  }
+
+  if (field === "relevance") {
+    if (!isSearch) {
+      throw new ExpressError(400, "sort=relevance needs a search query");
+    }
+    return hasScore ? { score: { $meta: "textScore" }, _id: 1 } : { _id: 1 };
+  }
+
+  // _id keeps the order stable between pages when values are equal
+  return { [SORT_FIELDS[field]]: direction, _id: 1 };
+};
+
+module.exports.escapeRegex = escapeRegex;
+module.exports.toList = toList;
+module.exports.toText = toText;
@@ -0,0 +1,63 @@
+// minimal RFC 4180 csv reader and writer, quoted fields may contain commas,
+// quotes ("") and line breaks
+
+module.exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // a byte order mark is common in files exported from spreadsheets
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // blank lines are not rows
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// parses a csv whose first line holds the column names into objects
+module.exports.parseCsvObjects = (text) => {
+  const [header = [], ...rows] = module.exports.parseCsv(text);
+  const keys = header.map((key) => key.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ""]))
+  );
+};
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports.toCsvRow = (values) =>
+  values.map(escapeCsvField).join(",") + "\r\n";
@@ -0,0 +1,85 @@
+const { authorKey, splitAuthors } = require("./authors");
+
+// how alike the titles and the authors of two books have to be, from 0 to 1,
+// for one to be offered as a duplicate of the other
+const TITLE_THRESHOLD = 0.85;
+const AUTHOR_THRESHOLD = 0.7;
+
+// the form of a title two spellings of it share: case, accents, punctuation
+// and a leading article are ignored, so "The Hobbit!" and "hobbit" match
+module.exports.titleKey = (title) =>
+  String(title ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+
+const bigrams = (text) => {
+  const letters = text.replace(/\s+/g, "");
+  const counts = new Map();
+  for (let i = 0; i < letters.length - 1; i++) {
+    const pair = letters.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+// the share of letter pairs two texts have in common (Sørensen–Dice), 1 for
+// equal texts, it forgives typos and swapped words better than exact matches
+module.exports.similarity = (a, b) => {
+  if (a === b) return 1;
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let size = 0;
+  let common = 0;
+  first.forEach((count, pair) => {
+    size += count;
+    common += Math.min(count, second.get(pair) || 0);
+  });
+  second.forEach((count) => (size += count));
+  return size ? (2 * common) / size : 0;
+};
+
+// the best match between any author of one book and any of the other, so a
+// book by one of the co-authors of another still counts
+const authorSimilarity = (a, b) => {
+  const keys = splitAuthors(b).map(authorKey);
+  return Math.max(
+    0,
+    ...splitAuthors(a).flatMap((name) =>
+      keys.map((key) => module.exports.similarity(authorKey(name), key))
+    )
+  );
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// tells whether `other` looks like a duplicate of `book`, returns
+// { score, matches } with the fields that matched or null. books with
+// different isbns are different editions, never duplicates
+module.exports.compareBooks = (book, other) => {
+  if (book.isbn13 && other.isbn13) {
+    return book.isbn13 === other.isbn13
+      ? { score: 1, matches: ["isbn"] }
+      : null;
+  }
+
+  const title = module.exports.similarity(
+    module.exports.titleKey(book.title),
+    module.exports.titleKey(other.title)
+  );
+  if (title < TITLE_THRESHOLD) return null;
+  if (!book.author || !other.author) {
+    return { score: round(title * 0.9), matches: ["title"] };
+  }
+
+  const author = authorSimilarity(book.author, other.author);
+  if (author < AUTHOR_THRESHOLD) return null;
+  return {
+    score: round(title * 0.7 + author * 0.3),
+    matches: ["title", "author"],
+  };
+};
@@ -0,0 +1,103 @@
+// the url form of a genre name, "Food & Cooking" becomes "food-and-cooking"
+module.exports.slugify = (name) =>
+  String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// the genre of a name or slug, names are matched ignoring case
+const findByName = (genres, name) => {
+  const wanted = String(name).trim().toLowerCase();
+  return genres.find(
+    (genre) => genre.name.toLowerCase() === wanted || genre.slug === wanted
+  );
+};
+
+// the ids of a genre and of every genre below it
+const subtreeIds = (genres, rootId) => {
+  const ids = new Set([String(rootId)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    genres.forEach((genre) => {
+      if (genre.parent && ids.has(String(genre.parent))) {
+        if (!ids.has(String(genre._id))) {
+          ids.add(String(genre._id));
+          grew = true;
+        }
+      }
+    });
+  }
+  return ids;
+};
+
+// splits genre names into the known ones, spelled as in the taxonomy, and the
+// unknown ones
+module.exports.resolveGenreNames = (genres, names) => {
+  const known = [];
+  const unknown = [];
+  names.forEach((name) => {
+    const genre = findByName(genres, name);
+    if (!genre) unknown.push(name);
+    else if (!known.includes(genre.name)) known.push(genre.name);
+  });
+  return { known, unknown };
+};
+
+// the names to search for a genre filter, each genre brings its subgenres
+// along, names that are not in the taxonomy are kept as they are
+module.exports.expandGenreNames = (genres, names) => {
+  const expanded = new Set();
+  names.forEach((name) => {
+    const genre = findByName(genres, name);
+    if (!genre) {
+      expanded.add(name);
+      return;
+    }
+    const ids = subtreeIds(genres, genre._id);
+    genres
+      .filter((one) => ids.has(String(one._id)))
+      .forEach((one) => expanded.add(one.name));
+  });
+  return [...expanded];
+};
+
+// whether putting the genre under `parentId` would make it its own ancestor
+module.exports.createsCycle = (genres, genreId, parentId) =>
+  subtreeIds(genres, genreId).has(String(parentId));
+
+// the genres above a genre, the top-level one first
+module.exports.ancestorsOf = (genres, genre) => {
+  const ancestors = [];
+  let parent = genres.find((one) => String(one._id) === String(genre.parent));
+  while (parent && !ancestors.includes(parent)) {
+    ancestors.unshift(parent);
+    parent = genres.find((one) => String(one._id) === String(parent.parent));
+  }
+  return ancestors;
+};
+
+// the number of books of each genre and its subgenres by genre id, from the
+// number of books of each combination of genres (`{ genre: [names], count }`)
+// so a book with two subgenres of a genre counts once for it
+module.exports.countBooksByGenre = (genres, combinations) => {
+  const byName = new Map(genres.map((genre) => [genre.name, genre]));
+  const byId = new Map(genres.map((genre) => [String(genre._id), genre]));
+  const counts = new Map(genres.map((genre) => [String(genre._id), 0]));
+
+  combinations.forEach(({ genre: names, count }) => {
+    const ids = new Set();
+    names.forEach((name) => {
+      let genre = byName.get(name);
+      while (genre && !ids.has(String(genre._id))) {
+        ids.add(String(genre._id));
+        genre = genre.parent && byId.get(String(genre.parent));
+      }
+    });
+    ids.forEach((id) => counts.set(id, counts.get(id) + count));
+  });
+  return counts;
+};
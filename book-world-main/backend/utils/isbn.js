@@ -0,0 +1,91 @@
+const ExpressError = require("./ExpressErrors");
+
+// strips the hyphens and spaces people usually type isbns with
+const normalizeIsbn = (isbn) =>
+  String(isbn).replace(/[\s-]/g, "").toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce(
+    (total, digit, index) => total + Number(digit) * (10 - index),
+    0
+  );
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (isbn) => {
+  const value = normalizeIsbn(isbn);
+  return (
+    /^\d{9}[\dX]$/.test(value) &&
+    isbn10CheckDigit(value.slice(0, 9)) === value[9]
+  );
+};
+
+const isValidIsbn13 = (isbn) => {
+  const value = normalizeIsbn(isbn);
+  return (
+    /^97[89]\d{10}$/.test(value) &&
+    isbn13CheckDigit(value.slice(0, 12)) === value[12]
+  );
+};
+
+const isbn10To13 = (isbn10) => {
+  const first12 = "978" + normalizeIsbn(isbn10).slice(0, 9);
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// only 978 isbns have an isbn-10 counterpart
+const isbn13To10 = (isbn13) => {
+  const value = normalizeIsbn(isbn13);
+  if (!value.startsWith("978")) return null;
+  const first9 = value.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
+
+// validates whichever of the two isbns were given and fills in the other one,
+// empty values are returned as null
+const resolveIsbns = ({ isbn10, isbn13 }) => {
+  const ten = isbn10 ? normalizeIsbn(isbn10) : null;
+  const thirteen = isbn13 ? normalizeIsbn(isbn13) : null;
+
+  if (ten && !isValidIsbn10(ten)) {
+    throw new ExpressError(400, `${isbn10} is not a valid ISBN-10`);
+  }
+  if (thirteen && !isValidIsbn13(thirteen)) {
+    throw new ExpressError(400, `${isbn13} is not a valid ISBN-13`);
+  }
+  if (ten && thirteen && isbn10To13(ten) !== thirteen) {
+    throw new ExpressError(400, "ISBN-10 and ISBN-13 do not match");
+  }
+
+  return {
+    isbn10: ten || (thirteen && isbn13To10(thirteen)) || null,
+    isbn13: thirteen || (ten && isbn10To13(ten)) || null,
+  };
+};
+
+// the isbn-13 for any valid isbn, used to look books up
+const toIsbn13 = (isbn) => {
+  const value = normalizeIsbn(isbn);
+  if (isValidIsbn13(value)) return value;
+  if (isValidIsbn10(value)) return isbn10To13(value);
+  throw new ExpressError(400, `${isbn} is not a valid ISBN`);
+};
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  resolveIsbns,
+  toIsbn13,
+};
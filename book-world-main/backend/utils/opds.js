@@ -0,0 +1,106 @@
+const { escapeXml } = require("./xml");
+
+const NAVIGATION = "application/atom+xml;profile=opds-catalog;kind=navigation";
+const ACQUISITION =
+  "application/atom+xml;profile=opds-catalog;kind=acquisition";
+const OPENSEARCH = "application/opensearchdescription+xml";
+
+const link = ({ rel, href, type, title }) =>
+  `  <link rel="${escapeXml(rel)}" href="${escapeXml(href)}"` +
+  (type ? ` type="${escapeXml(type)}"` : "") +
+  (title ? ` title="${escapeXml(title)}"` : "") +
+  "/>\n";
+
+const indent = (text) =>
+  text
+    .split("\n")
+    .map((line) => (line ? `  ${line}` : line))
+    .join("\n");
+
+// an atom feed holding already rendered entries
+const feed = ({ id, title, links, entries }) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/"' +
+  ' xmlns:opds="http://opds-spec.org/2010/catalog"' +
+  ' xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">\n' +
+  `  <id>${escapeXml(id)}</id>\n` +
+  `  <title>${escapeXml(title)}</title>\n` +
+  `  <updated>${new Date().toISOString()}</updated>\n` +
+  "  <author><name>Book World</name></author>\n" +
+  links.map(link).join("") +
+  entries.map(indent).join("") +
+  "</feed>\n";
+
+// an entry of a navigation feed, pointing at another feed
+const navigationEntry = ({ id, title, content, href, type = NAVIGATION }) =>
+  "<entry>\n" +
+  `  <id>${escapeXml(id)}</id>\n` +
+  `  <title>${escapeXml(title)}</title>\n` +
+  `  <updated>${new Date().toISOString()}</updated>\n` +
+  `  <content type="text">${escapeXml(content)}</content>\n` +
+  link({ rel: "subsection", href, type }) +
+  "</entry>\n";
+
+// books have no downloadable files, so the acquisition link leads to the
+// book's page on the website, or to the api when no website is configured
+const bookEntry = (book, { apiUrl, frontendUrl }) => {
+  const page = frontendUrl
+    ? { href: `${frontendUrl}/books/${book._id}`, type: "text/html" }
+    : { href: `${apiUrl}/books/${book._id}`, type: "application/json" };
+
+  const isbn = book.isbn13 || book.isbn10;
+  return (
+    "<entry>\n" +
+    `  <id>urn:book-world:book:${book._id}</id>\n` +
+    `  <title>${escapeXml(book.title)}</title>\n` +
+    `  <author><name>${escapeXml(book.author)}</name></author>\n` +
+    `  <updated>${book._id.getTimestamp().toISOString()}</updated>\n` +
+    (book.year_published
+      ? `  <dc:issued>${book.year_published}</dc:issued>\n`
+      : "") +
+    (isbn ? `  <dc:identifier>urn:isbn:${isbn}</dc:identifier>\n` : "") +
+    (book.genre || [])
+      .map(
+        (genre) =>
+          `  <category term="${escapeXml(genre)}" label="${escapeXml(
+            genre
+          )}"/>\n`
+      )
+      .join("") +
+    (book.description
+      ? `  <summary type="text">${escapeXml(book.description)}</summary>\n`
+      : "") +
+    (book.image_url
+      ? link({ rel: "http://opds-spec.org/image", href: book.image_url }) +
+        link({
+          rel: "http://opds-spec.org/image/thumbnail",
+          href: book.image_url,
+        })
+      : "") +
+    link({ rel: "http://opds-spec.org/acquisition", ...page }) +
+    "</entry>\n"
+  );
+};
+
+// lets e-reader apps search the catalog, `{searchTerms}` is filled in by them
+const openSearchDescription = ({ searchUrl }) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">\n' +
+  "  <ShortName>Book World</ShortName>\n" +
+  "  <Description>Search the Book World catalog</Description>\n" +
+  "  <InputEncoding>UTF-8</InputEncoding>\n" +
+  "  <OutputEncoding>UTF-8</OutputEncoding>\n" +
+  `  <Url type="${escapeXml(ACQUISITION)}" template="${escapeXml(
+    searchUrl
+  )}?q={searchTerms}"/>\n` +
+  "</OpenSearchDescription>\n";
+
+module.exports = {
+  NAVIGATION,
+  ACQUISITION,
+  OPENSEARCH,
+  feed,
+  navigationEntry,
+  bookEntry,
+  openSearchDescription,
+};
@@ -0,0 +1,60 @@
+const ExpressError = require("./ExpressErrors");
+
+const toPositiveInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ExpressError(400, `${name} must be a positive integer`);
+  }
+  return number;
+};
+
+// reads `page` and `limit` from the query string, falling back to defaults
+module.exports.parsePagination = (
+  query,
+  { defaultLimit = 20, maxLimit = 100 } = {}
+) => {
+  const page = query.page === undefined ? 1 : toPositiveInt(query.page, "page");
+  const limit =
+    query.limit === undefined
+      ? defaultLimit
+      : toPositiveInt(query.limit, "limit");
+
+  if (limit > maxLimit) {
+    throw new ExpressError(400, `limit cannot be more than ${maxLimit}`);
+  }
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// builds the envelope sent alongside a page of results, with links that keep
+// every other query param of the original request
+module.exports.paginate = (req, { total, page, limit }) => {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const base = `${req.protocol}://${req.get("host")}${
+    req.originalUrl.split("?")[0]
+  }`;
+
+  const linkTo = (target) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      [].concat(value).forEach((v) => params.append(key, v));
+    }
+    params.set("page", target);
+    params.set("limit", limit);
+    return `${base}?${params.toString()}`;
+  };
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    links: {
+      self: linkTo(page),
+      first: linkTo(1),
+      prev: page > 1 ? linkTo(page - 1) : null,
+      next: page < totalPages ? linkTo(page + 1) : null,
+      last: linkTo(totalPages),
+    },
+  };
+};
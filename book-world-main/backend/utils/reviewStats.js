@@ -0,0 +1,131 @@
+const ExpressError = require("./ExpressErrors");
+
+const MAX_MONTHS = 60;
+
+const average = (ratingSum, reviews) =>
+  reviews ? Math.round((ratingSum / reviews) * 100) / 100 : null;
+
+// change from `previous` to `current` in percent, null when there is nothing
+// to compare against
+const growth = (current, previous) =>
+  previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+
+// reads how many months the monthly trend covers, counting the current one
+module.exports.parseMonths = (query) => {
+  if (query.months === undefined) return 12;
+  const months = Number(query.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+    throw new ExpressError(
+      400,
+      `months must be a whole number from 1 to ${MAX_MONTHS}`
+    );
+  }
+  return months;
+};
+
+// last year from its first day up to the date and time of `now`, so this year
+// so far is compared with the same part of last year
+module.exports.previousYearWindow = (now) => ({
+  from: new Date(Date.UTC(now.getUTCFullYear() - 1, 0, 1)),
+  to: new Date(
+    Date.UTC(
+      now.getUTCFullYear() - 1,
+      now.getUTCMonth(),
+      now.getUTCDate(),
+      now.getUTCHours(),
+      now.getUTCMinutes(),
+      now.getUTCSeconds(),
+      now.getUTCMilliseconds()
+    )
+  ),
+});
+
+// turns the review counts per calendar month (UTC) into the stats of a book:
+// `buckets` are { year, month, reviews, ratingSum } with months from 1 to 12,
+// `previousYearToDate` is { reviews, ratingSum } of the same part of last year
+module.exports.buildReviewStats = (
+  buckets,
+  previousYearToDate,
+  { now, months }
+) => {
+  const byMonth = new Map(
+    buckets.map((bucket) => [`${bucket.year}-${bucket.month}`, bucket])
+  );
+
+  // every month of the window, oldest first, including the empty ones
+  const monthly = [];
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const date = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1)
+    );
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const { reviews = 0, ratingSum = 0 } =
+      byMonth.get(`${year}-${month}`) || {};
+    monthly.push({
+      year,
+      month,
+      reviews,
+      averageRating: average(ratingSum, reviews),
+    });
+  }
+
+  // every year from the first review up to the current one, the current year
+  // is still running so its growth is taken from `yearToDate` below
+  const totals = new Map();
+  buckets.forEach(({ year, reviews, ratingSum }) => {
+    const total = totals.get(year) || { reviews: 0, ratingSum: 0 };
+    totals.set(year, {
+      reviews: total.reviews + reviews,
+      ratingSum: total.ratingSum + ratingSum,
+    });
+  });
+  const currentYear = now.getUTCFullYear();
+  const firstYear = Math.min(currentYear, ...totals.keys());
+  const yearly = [];
+  for (let year = firstYear; year <= currentYear; year++) {
+    const { reviews, ratingSum } = totals.get(year) || {
+      reviews: 0,
+      ratingSum: 0,
+    };
+    const previous = yearly[yearly.length - 1];
+    yearly.push({
+      year,
+      reviews,
+      averageRating: average(ratingSum, reviews),
+      growth: previous ? growth(reviews, previous.reviews) : null,
+    });
+  }
+
+  const thisYear = totals.get(currentYear) || { reviews: 0, ratingSum: 0 };
+  const yearToDateGrowth = growth(thisYear.reviews, previousYearToDate.reviews);
+  yearly[yearly.length - 1].growth = yearToDateGrowth;
+
+  const total = [...totals.values()].reduce(
+    (sum, year) => ({
+      reviews: sum.reviews + year.reviews,
+      ratingSum: sum.ratingSum + year.ratingSum,
+    }),
+    { reviews: 0, ratingSum: 0 }
+  );
+
+  return {
+    total: {
+      reviews: total.reviews,
+      averageRating: average(total.ratingSum, total.reviews),
+    },
+    yearToDate: {
+      year: currentYear,
+      reviews: thisYear.reviews,
+      averageRating: average(thisYear.ratingSum, thisYear.reviews),
+      previousReviews: previousYearToDate.reviews,
+      previousAverageRating: average(
+        previousYearToDate.ratingSum,
+        previousYearToDate.reviews
+      ),
+      growth: yearToDateGrowth,
+    },
+    monthly,
+    yearly,
+  };
+};
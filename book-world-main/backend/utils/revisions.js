@@ -0,0 +1,39 @@
+// the book fields kept in its revision history
+const TRACKED_FIELDS = [
+  "title",
+  "author",
+  "description",
+  "genre",
+  "year_published",
+  "isbn10",
+  "isbn13",
+  "image_url",
+  "series",
+  "seriesPosition",
+  "format",
+  "publisher",
+  "language",
+];
+
+const valueOf = (book, field) => {
+  const value = book?.[field];
+  if (value === undefined || value === null || value === "") return null;
+  return Array.isArray(value) ? [...value] : value;
+};
+
+// the tracked fields of a book as plain values
+module.exports.snapshotOf = (book) =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, valueOf(book, field)])
+  );
+
+// the fields that differ between two versions of a book, `before` is null for
+// a newly created book
+module.exports.diffBooks = (before, after) =>
+  TRACKED_FIELDS.map((field) => ({
+    field,
+    from: valueOf(before, field),
+    to: valueOf(after, field),
+  })).filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
@@ -0,0 +1,99 @@
+const ExpressError = require("./ExpressErrors");
+
+const SNIPPET_LENGTH = 160;
+
+// rough english stemmer, only used to decide which words to highlight, the
+// actual matching is done by the mongo text index
+const stem = (word) =>
+  word
+    .toLowerCase()
+    .replace(/(ing|ed|es|s)$/, "")
+    .replace(/(.)\1$/, "$1");
+
+// splits a search box query into "quoted phrases", prefix* terms, -excluded
+// terms and plain terms
+module.exports.parseSearchQuery = (q) => {
+  const phrases = [];
+  const rest = q.replace(/"([^"]+)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return " ";
+  });
+
+  const terms = [];
+  const prefixes = [];
+  const excluded = [];
+  rest
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      if (word.startsWith("-") && word.length > 1) {
+        excluded.push(word.slice(1));
+      } else if (word.endsWith("*") && word.length > 1) {
+        prefixes.push(word.replace(/\*+$/, ""));
+      } else if (word !== "-" && word !== "*") {
+        terms.push(word);
+      }
+    });
+
+  if (terms.length + phrases.length + prefixes.length === 0) {
+    throw new ExpressError(400, "Search must contain at least one word");
+  }
+
+  return { phrases, terms, prefixes, excluded };
+};
+
+// builds the $search string for a mongo $text query, `prefixWords` are the
+// indexed words found for the prefix terms
+module.exports.toTextSearch = ({ phrases, terms, excluded }, prefixWords) =>
+  [
+    ...phrases.map((phrase) => `"${phrase.replace(/"/g, "")}"`),
+    ...terms,
+    ...prefixWords,
+    ...excluded.map((word) => `-${word}`),
+  ].join(" ");
+
+// finds the words in `text` starting with `prefix`
+module.exports.wordsWithPrefix = (text, prefix) =>
+  (text.match(/[\p{L}\p{N}']+/gu) || []).filter((word) =>
+    word.toLowerCase().startsWith(prefix.toLowerCase())
+  );
+
+const isMatch = (word, { phrases, terms, prefixes }) => {
+  const lower = word.toLowerCase();
+  const stemmed = stem(word);
+  return (
+    terms.some((term) => stem(term) === stemmed) ||
+    prefixes.some((prefix) => lower.startsWith(prefix.toLowerCase())) ||
+    phrases.some((phrase) =>
+      phrase.split(/\s+/).some((part) => stem(part) === stemmed)
+    )
+  );
+};
+
+// wraps matched words of `text` in <mark></mark>, long texts are cut down to
+// a snippet around the first match
+module.exports.highlight = (text, search, length = SNIPPET_LENGTH) => {
+  if (!text) return text;
+
+  let first = -1;
+  const marked = text.replace(/[\p{L}\p{N}']+/gu, (word, offset) => {
+    if (!isMatch(word, search)) return word;
+    if (first === -1) first = offset;
+    return `<mark>${word}</mark>`;
+  });
+  if (first === -1 || text.length <= length) {
+    return first === -1 ? null : marked;
+  }
+
+  // cut the snippet out of the original text, then mark it again so a
+  // <mark> tag is never split in half
+  const start = Math.max(0, text.lastIndexOf(" ", Math.max(0, first - 40)));
+  const end = Math.min(text.length, start + length);
+  const snippet = text.slice(start, end).trim();
+  return `${start > 0 ? "…" : ""}${module.exports.highlight(
+    snippet,
+    search,
+    Infinity
+  )}${end < text.length ? "…" : ""}`;
+};
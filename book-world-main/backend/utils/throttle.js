@@ -0,0 +1,34 @@
+// the first failures are free, then each one doubles the wait before the
+// next attempt up to `maxDelayMs`. at `lockAfter` failures the wait becomes
+// a lockout of `lockoutMs`
+module.exports.failureDelay = (
+  failures,
+  { free, lockAfter, baseDelayMs = 1000, maxDelayMs, lockoutMs }
+) => {
+  if (failures >= lockAfter) return lockoutMs;
+  if (failures < free) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - free), maxDelayMs);
+};
+
+// whole seconds until `until`, as sent in the Retry-After header
+module.exports.retryAfterSeconds = (until, now = Date.now()) =>
+  Math.max(1, Math.ceil((until - now) / 1000));
+
+// "45 seconds", "3 minutes" for the messages of throttled requests
+module.exports.formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} ${seconds === 1 ? "second" : "seconds"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+};
+
+// answers 429, with the seconds to wait until `until` in Retry-After
+module.exports.sendTooManyRequests = (res, until, message) => {
+  const seconds = module.exports.retryAfterSeconds(until);
+  res
+    .set("Retry-After", String(seconds))
+    .status(429)
+    .json({
+      message: `${message}, try again in ${module.exports.formatWait(seconds)}`,
+      retryAfter: seconds,
+    });
+};
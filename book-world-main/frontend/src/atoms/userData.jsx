@@ -40,6 +40,12 @@ export const userAvatarSelector = selector({
   },
 });
 
+// accounts that signed up with a password can only post once verified
+export const isEmailVerifiedAtom = atom({
+  key: "isEmailVerified",
+  default: true,
+});
+
 export const isLoggedInAtom = atom({
   key: "isLoggedIn",
   default: !!localStorage.getItem("token"),
@@ -1,16 +1,19 @@
 import { Link } from "react-router-dom";
 import { Badge } from "./ui/badge";
 import { Suspense } from "react";
+import Highlight from "./Highlight";
+import CoverImage from "./CoverImage";
 const BookCard = ({ book }) => {
-  const image = book.image_url.replace("/upload", "/upload/h_400");
   return (
     <Link
       to={`/books/` + book._id}
       className="w-full sm:w-1/3 md:w-1/4 lg:w-1/6 xl:58 fixed-height overflow-hidden">
       <div className="relative m-2 group rounded-lg aspect-w-3 aspect-h-4">
         <Suspense fallback={<>loading...</>}>
-          <img
-            src={image}
+          <CoverImage
+            book={book}
+            transformation="h_400"
+            sizes="(min-width: 1024px) 17vw, (min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw"
             alt="Book cover"
             className="w-full h-full object-cover object-center transition-transform duration-500 rounded-lg shadow-md group-hover:scale-105"
           />
@@ -20,11 +23,16 @@ const BookCard = ({ book }) => {
           <h3
             className="z-10 mx-2 text-lg leading-[1.2] line-clamp-2 font-bold text-white"
             title={book.title}>
-            {book.title}
+            <Highlight text={book.highlights?.title} fallback={book.title} />
           </h3>
           <div className="z-10 mx-2 overflow-hidden text-sm text-gray-300">
-            {book.author}
+            <Highlight text={book.highlights?.author} fallback={book.author} />
           </div>
+          {book.highlights?.description && (
+            <p className="z-10 mx-2 mt-1 text-xs text-gray-300 line-clamp-3">
+              <Highlight text={book.highlights.description} />
+            </p>
+          )}
           {/* <div className="z-10 mx-2 mt-2 flex flex-wrap gap-2 text-white">
             {book.genre?.slice(0, 3).map((genre, index) => (
               <Badge
@@ -0,0 +1,129 @@
+import axios from "axios";
+import { Merge } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useRecoilValue } from "recoil";
+import { toast } from "sonner";
+import { userRoleAtom } from "@/atoms/userData";
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { Button } from "@/components/ui/button";
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+// lets admins merge the books looking like duplicates of this one into it,
+// their reviews and favourites move over and the duplicate is removed
+const BookDuplicates = ({ book }) => {
+  const role = useRecoilValue(userRoleAtom);
+  const navigate = useNavigate();
+  const [duplicates, setDuplicates] = useState([]);
+
+  useEffect(() => {
+    if (role !== "admin") return;
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/books/duplicates`, {
+        params: {
+          title: book.title,
+          author: book.author,
+          isbn: book.isbn13 || undefined,
+          exclude: book._id,
+        },
+      })
+      .then((response) => setDuplicates(response.data.duplicates))
+      .catch((error) => toast.error(errorMessage(error)));
+  }, [book._id, book.title, book.author, book.isbn13, role]);
+
+  const merge = (duplicate) => {
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/merge`,
+      { duplicateId: duplicate._id },
+      {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      }
+    );
+
+    toast.promise(promise, {
+      loading: "Merging...",
+      success: (response) => {
+        // reloads the page so the moved reviews and the new rating show
+        navigate(0);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  if (role !== "admin" || duplicates.length === 0) return null;
+
+  return (
+    <div className="w-full border-2 rounded-lg p-4 border-amber-300 dark:border-amber-700">
+      <h3 className="text-xl font-semibold tracking-tight mb-2">
+        Possible Duplicates
+      </h3>
+      <ul className="grid gap-2 text-sm">
+        {duplicates.map(({ book: duplicate }) => (
+          <li key={duplicate._id} className="flex flex-wrap items-center gap-2">
+            <Link
+              to={`/books/${duplicate._id}`}
+              className="font-medium hover:underline">
+              {duplicate.title}
+            </Link>
+            <span className="text-gray-500">
+              by {duplicate.author}, {duplicate.year_published} ·{" "}
+              {duplicate.ratingCount}{" "}
+              {duplicate.ratingCount === 1 ? "review" : "reviews"}
+            </span>
+            <AlertDialog>
+              <AlertDialogTrigger asChild>
+                <Button variant="outline" size="sm" className="ml-auto">
+                  <Merge className="mr-2 h-4 w-4" />
+                  Merge into this Book
+                </Button>
+              </AlertDialogTrigger>
+              <AlertDialogContent className="w-11/12">
+                <AlertDialogHeader>
+                  <AlertDialogTitle>Merge {duplicate.title}?</AlertDialogTitle>
+                  <AlertDialogDescription>
+                    Its reviews and favourites move to {book.title}, then it is
+                    deleted permanently. Users who reviewed both books keep
+                    their review of {book.title}.
+                  </AlertDialogDescription>
+                </AlertDialogHeader>
+                <AlertDialogFooter>
+                  <AlertDialogCancel>Cancel</AlertDialogCancel>
+                  <Button
+                    variant="destructive"
+                    onClick={() => merge(duplicate)}>
+                    Merge
+                  </Button>
+                </AlertDialogFooter>
+              </AlertDialogContent>
+            </AlertDialog>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BookDuplicates;
@@ -0,0 +1,138 @@
+import axios from "axios";
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useRecoilValue } from "recoil";
+import { toast } from "sonner";
+import { userRoleAtom } from "@/atoms/userData";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import bookFormats from "@/utilities/bookFormats";
+
+const formatLabel = (format) =>
+  bookFormats.find((option) => option.value === format)?.label;
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+// the other editions of the work of the book, admins can add one by its isbn
+// or take the book out of the group
+const BookEditions = ({ book }) => {
+  const role = useRecoilValue(userRoleAtom);
+  const [editions, setEditions] = useState([]);
+  const [isbn, setIsbn] = useState("");
+  const [counter, setCounter] = useState(0);
+
+  useEffect(() => {
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/editions`)
+      .then((response) => setEditions(response.data.editions))
+      .catch((error) => toast.error(errorMessage(error)));
+  }, [book._id, counter]);
+
+  const act = (request) => {
+    let promise = request({
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    });
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        setIsbn("");
+        setCounter((c) => c + 1);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  const others = editions.filter((edition) => edition._id !== book._id);
+  if (others.length === 0 && role !== "admin") return null;
+
+  return (
+    <div className="w-full border-2 rounded-lg p-4 border-slate-200 dark:border-zinc-800">
+      <h3 className="text-xl font-semibold tracking-tight mb-2">
+        Other Editions
+      </h3>
+      {others.length === 0 ? (
+        <p className="text-sm text-gray-500">No other editions</p>
+      ) : (
+        <ul className="grid gap-2 text-sm">
+          {others.map((edition) => (
+            <li key={edition._id} className="flex flex-wrap items-center gap-2">
+              <Link
+                to={`/books/${edition._id}`}
+                className="font-medium hover:underline">
+                {edition.title}
+              </Link>
+              {edition.format && (
+                <Badge variant="outline">{formatLabel(edition.format)}</Badge>
+              )}
+              <span className="text-gray-500">
+                {[edition.publisher, edition.year_published, edition.language]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {role === "admin" && (
+        <div className="flex flex-wrap gap-2 mt-4">
+          <Input
+            className="max-w-52"
+            placeholder="ISBN of another edition"
+            value={isbn}
+            onChange={(event) => setIsbn(event.target.value)}
+          />
+          <Button
+            variant="outline"
+            disabled={!isbn.trim()}
+            onClick={() =>
+              act((config) =>
+                axios.post(
+                  `${import.meta.env.VITE_BACKEND_URL}/books/${
+                    book._id
+                  }/editions`,
+                  { isbn },
+                  config
+                )
+              )
+            }>
+            Add Edition
+          </Button>
+          {others.length > 0 && (
+            <Button
+              variant="outline"
+              className="text-red-500"
+              onClick={() =>
+                act((config) =>
+                  axios.delete(
+                    `${import.meta.env.VITE_BACKEND_URL}/books/${
+                      book._id
+                    }/editions`,
+                    config
+                  )
+                )
+              }>
+              Remove from Editions
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookEditions;
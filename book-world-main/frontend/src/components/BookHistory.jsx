@@ -0,0 +1,199 @@
+import axios from "axios";
+import { History, Loader2, RotateCcw } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import BookPagination from "@/components/BookPagination";
+
+const fieldLabels = {
+  title: "Title",
+  author: "Author",
+  description: "Description",
+  genre: "Genre",
+  year_published: "Year Published",
+  isbn10: "ISBN-10",
+  isbn13: "ISBN-13",
+  image_url: "Cover",
+  series: "Series",
+  seriesPosition: "Volume",
+  format: "Format",
+  publisher: "Publisher",
+  language: "Language",
+};
+
+const actionLabels = {
+  create: "Created",
+  update: "Edited",
+  import: "Imported",
+  revert: "Reverted",
+};
+
+const showValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+};
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+// every saved version of a book with what changed, any of them can be restored
+const BookHistory = ({ bookId, onRevert }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [counter, setCounter] = useState(0);
+
+  useEffect(() => {
+    if (!bookId) return;
+    setIsLoading(true);
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/books/${bookId}/history`, {
+        params: { page, limit: 10 },
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      })
+      .then((response) => {
+        setRevisions(response.data.revisions);
+        setTotalPages(response.data.totalPages);
+      })
+      .catch((error) => toast.error(errorMessage(error)))
+      .finally(() => setIsLoading(false));
+  }, [bookId, page, counter]);
+
+  const revert = (revision) => {
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/books/${bookId}/history/${
+        revision._id
+      }/revert`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      }
+    );
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        onRevert(response.data.book);
+        setPage(1);
+        setCounter((c) => c + 1);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  return (
+    <Card className="w-full max-w-xl mx-auto rounded-lg shadow-md overflow-hidden">
+      <CardHeader className="border-b border-slate-200 dark:border-zinc-800">
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5" />
+          History
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-4 py-5">
+        {isLoading ? (
+          <Loader2 className="mx-auto h-6 w-6 animate-spin" />
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes recorded yet</p>
+        ) : (
+          revisions.map((revision, index) => (
+            <div
+              key={revision._id}
+              className="grid gap-2 border-b border-slate-200 pb-4 last:border-0 dark:border-zinc-800">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <Badge variant="secondary">
+                  {actionLabels[revision.action]}
+                </Badge>
+                <span>{new Date(revision.createdAt).toLocaleString()}</span>
+                {revision.editorId && (
+                  <span className="text-gray-500">
+                    by {revision.editorId.firstName}{" "}
+                    {revision.editorId.lastName}
+                  </span>
+                )}
+                {!(page === 1 && index === 0) && (
+                  <AlertDialog>
+                    <AlertDialogTrigger asChild>
+                      <Button variant="outline" size="sm" className="ml-auto">
+                        <RotateCcw className="mr-2 h-4 w-4" />
+                        Revert
+                      </Button>
+                    </AlertDialogTrigger>
+                    <AlertDialogContent className="w-11/12">
+                      <AlertDialogHeader>
+                        <AlertDialogTitle>
+                          Revert to this version?
+                        </AlertDialogTitle>
+                        <AlertDialogDescription>
+                          The Book will get the details it had after this
+                          change. The current version stays in the history.
+                        </AlertDialogDescription>
+                      </AlertDialogHeader>
+                      <AlertDialogFooter>
+                        <AlertDialogCancel>Cancel</AlertDialogCancel>
+                        <Button onClick={() => revert(revision)}>Revert</Button>
+                      </AlertDialogFooter>
+                    </AlertDialogContent>
+                  </AlertDialog>
+                )}
+              </div>
+              <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm">
+                {revision.changes.map((change) => (
+                  <div key={change.field} className="contents">
+                    <dt className="font-medium">{fieldLabels[change.field]}</dt>
+                    <dd className="break-words">
+                      {revision.action !== "create" && (
+                        <>
+                          <del className="text-red-500">
+                            {showValue(change.from)}
+                          </del>{" "}
+                          →{" "}
+                        </>
+                      )}
+                      <ins className="text-green-600 no-underline">
+                        {showValue(change.to)}
+                      </ins>
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          ))
+        )}
+        <BookPagination
+          page={page}
+          totalPages={totalPages}
+          onPageChange={setPage}
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BookHistory;
@@ -0,0 +1,32 @@
+import { Button } from "@/components/ui/button";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+const BookPagination = ({ page, totalPages, onPageChange }) => {
+  if (totalPages <= 1) return <></>;
+
+  return (
+    <div className="flex gap-2 items-center justify-center my-4">
+      <Button
+        variant="outline"
+        className="h-8 w-8 p-0"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}>
+        <span className="sr-only">Go to previous page</span>
+        <ChevronLeft className="h-4 w-4" />
+      </Button>
+      <div className="text-sm font-medium dark:text-zinc-50">
+        Page {page} of {totalPages}
+      </div>
+      <Button
+        variant="outline"
+        className="h-8 w-8 p-0"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}>
+        <span className="sr-only">Go to next page</span>
+        <ChevronRight className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+};
+
+export default BookPagination;
@@ -8,6 +8,8 @@ import {
   LogIn,
   LogOut,
   Menu,
+  Tags,
+  Trash2,
   User2,
   Users2,
 } from "lucide-react";
@@ -21,6 +23,7 @@ import {
 } from "@/atoms/userData";
 import { toast } from "sonner";
 import { googleLogout } from "@react-oauth/google";
+import { logOut } from "@/utilities/logOut";
 
 const CollapsibleSidebar = () => {
   const [isLoggedIn, setIsLoggedIn] = useRecoilState(isLoggedInAtom);
@@ -65,6 +68,16 @@ const CollapsibleSidebar = () => {
             <Home size={20} />
             Home
           </NavLink>
+          <NavLink
+            to="genres"
+            className={({ isActive }) =>
+              isActive
+                ? " flex items-center gap-4 px-2.5 text-slate-950 font-bold hover:text-zinc-950 dark:text-zinc-50"
+                : "flex items-center gap-4 px-2.5 text-gray-600 hover:text-zinc-950 dark:hover:text-zinc-400"
+            }>
+            <Tags className="h-5 w-5" />
+            Genres
+          </NavLink>
           {isLoggedIn && (
             <NavLink
               to={"users/" + userId}
@@ -102,13 +115,27 @@ const CollapsibleSidebar = () => {
               Users
             </NavLink>
           )}
+          {role === "admin" && (
+            <NavLink
+              to="trash"
+              end
+              className={({ isActive }) =>
+                isActive
+                  ? " flex items-center gap-4 px-2.5 text-slate-950 font-bold hover:text-zinc-950 dark:text-zinc-50"
+                  : "flex items-center gap-4 px-2.5 text-gray-600 hover:text-zinc-950 dark:hover:text-zinc-400"
+              }>
+              <Trash2 className="h-5 w-5" />
+              Trash
+            </NavLink>
+          )}
           {isLoggedIn ? (
             <Link
               onClick={() => {
-                localStorage.removeItem("token");
-                googleLogout();
-                setIsLoggedIn(false);
-                toast.success("Logged Out Successfully");
+                logOut().then(() => {
+                  googleLogout();
+                  setIsLoggedIn(false);
+                  toast.success("Logged Out Successfully");
+                });
               }}
               className="flex items-center gap-4 px-2.5 text-gray-600 hover:text-zinc-950 dark:hover:text-zinc-400">
               <LogOut className="h-5 w-5" />
@@ -0,0 +1,39 @@
+import resizeImage from "@/utilities/resizeImage";
+
+// the `srcSet` of the images of one format, widest last
+const srcSetOf = (images, format) =>
+  images
+    .filter((image) => image.format === format)
+    .sort((a, b) => a.width - b.width)
+    .map((image) => `${image.url} ${image.width}w`)
+    .join(", ");
+
+// the cover of a book at the size the browser needs, webp when supported,
+// covers without uploaded sizes fall back to `transformation` on cloudinary,
+// the other props go to the img
+const CoverImage = ({ book, sizes, transformation, ...props }) => {
+  const images = book?.images || [];
+  const fallback = resizeImage(book?.image_url, transformation);
+
+  if (images.length === 0) {
+    return <img src={fallback} {...props} />;
+  }
+
+  return (
+    <picture>
+      <source
+        type="image/webp"
+        srcSet={srcSetOf(images, "webp")}
+        sizes={sizes}
+      />
+      <img
+        src={fallback}
+        srcSet={srcSetOf(images, "jpeg")}
+        sizes={sizes}
+        {...props}
+      />
+    </picture>
+  );
+};
+
+export default CoverImage;
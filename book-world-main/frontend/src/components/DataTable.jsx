@@ -19,10 +19,24 @@ import { useState } from "react";
 import DataTableToolbar from "./DataTableToolbar";
 import DataTablePagination from "./DataTablePagination";
 
-export function DataTable({ columns, data, children, searchBy = "name" }) {
-  const [sorting, setSorting] = useState([]);
+// passing `pageCount` switches the table to server side paging and sorting,
+// `pagination` and `sorting` are then controlled by the parent
+export function DataTable({
+  columns,
+  data,
+  children,
+  searchBy = "name",
+  pageCount,
+  pagination,
+  onPaginationChange,
+  sorting: serverSorting,
+  onSortingChange,
+}) {
+  const isServerSide = pageCount !== undefined;
+  const [localSorting, setLocalSorting] = useState([]);
   const [columnFilters, setColumnFilters] = useState([]);
   const [columnVisibility, setColumnVisibility] = useState({});
+  const sorting = isServerSide ? serverSorting : localSorting;
 
   const table = useReactTable({
     data,
@@ -31,13 +45,20 @@ export function DataTable({ columns, data, children, searchBy = "name" }) {
       sorting,
       columnFilters,
       columnVisibility,
+      ...(isServerSide && { pagination }),
     },
     initialState: {
       pagination: {
         pageSize: 5,
       },
     },
-    onSortingChange: setSorting,
+    ...(isServerSide && {
+      manualPagination: true,
+      manualSorting: true,
+      pageCount,
+      onPaginationChange,
+    }),
+    onSortingChange: isServerSide ? onSortingChange : setLocalSorting,
     onColumnFiltersChange: setColumnFilters,
     onColumnVisibilityChange: setColumnVisibility,
     getCoreRowModel: getCoreRowModel(),
@@ -2,6 +2,7 @@ import {
   DropdownMenu,
   DropdownMenuCheckboxItem,
   DropdownMenuContent,
+  DropdownMenuItem,
   DropdownMenuLabel,
   DropdownMenuSeparator,
   DropdownMenuTrigger,
@@ -16,10 +17,56 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { EyeOff } from "lucide-react";
+import { Download, EyeOff } from "lucide-react";
+import { useLocation } from "react-router-dom";
+import { useRecoilValue } from "recoil";
+import { userRoleAtom } from "@/atoms/userData";
+import axios from "axios";
+import { toast } from "sonner";
+
+const exportFormats = [
+  { value: "csv", label: "CSV", extension: "csv" },
+  { value: "jsonl", label: "JSON Lines", extension: "jsonl" },
+  { value: "bibtex", label: "BibTeX", extension: "bib" },
+  { value: "marcxml", label: "MARCXML", extension: "xml" },
+];
+
+// downloads every book matching the current search and filters
+const exportBooks = (search, format) => {
+  const params = new URLSearchParams(search);
+  params.delete("page");
+  params.delete("limit");
+  params.set("format", format.value);
+
+  let promise = axios.get(
+    `${import.meta.env.VITE_BACKEND_URL}/books/export?${params}`,
+    {
+      responseType: "blob",
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    }
+  );
+
+  toast.promise(promise, {
+    loading: "Exporting...",
+    success: (response) => {
+      const name = `books.${format.extension}`;
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(response.data);
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      return `Exported ${name}`;
+    },
+    error: () => "Could not export the books. Please try again.",
+  });
+};
 
 const DataTableToolbar = ({ table, children, searchBy }) => {
   const [searchByState, setSearchByState] = useState(searchBy);
+  const role = useRecoilValue(userRoleAtom);
+  const location = useLocation();
 
   return (
     <div className="flex justify-between mb-2 gap-2">
@@ -71,6 +118,27 @@ const DataTableToolbar = ({ table, children, searchBy }) => {
               })}
           </DropdownMenuContent>
         </DropdownMenu>
+        {role === "admin" && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" className="flex">
+                <Download className="mr-2 h-4 w-4" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>Export as</DropdownMenuLabel>
+              <DropdownMenuSeparator />
+              {exportFormats.map((format) => (
+                <DropdownMenuItem
+                  key={format.value}
+                  onClick={() => exportBooks(location.search, format)}>
+                  {format.label}
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        )}
       </div>
 
       {children}
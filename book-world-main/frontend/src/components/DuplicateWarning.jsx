@@ -0,0 +1,84 @@
+import axios from "axios";
+import { TriangleAlert } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { isValidIsbn10, isValidIsbn13 } from "@/utilities/isbn";
+
+// how long typing has to pause before the catalog is searched
+const DELAY = 500;
+
+const matchLabels = { isbn: "ISBN", title: "title", author: "author" };
+
+// warns while a book is being added that the catalog may already have it,
+// the admin has to confirm it is a different book for it to be added
+const DuplicateWarning = ({ form, allowDuplicate, onAllowDuplicateChange }) => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [title, author, isbn13, isbn10] = form.watch([
+    "title",
+    "author",
+    "isbn13",
+    "isbn10",
+  ]);
+
+  useEffect(() => {
+    const isbn = [isbn13, isbn10].find(
+      (value) => isValidIsbn13(value || "") || isValidIsbn10(value || "")
+    );
+    if (title.trim().length < 2 && !isbn) {
+      setDuplicates([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      axios
+        .get(`${import.meta.env.VITE_BACKEND_URL}/books/duplicates`, {
+          params: { title: title.trim() || undefined, author, isbn },
+        })
+        .then((response) => setDuplicates(response.data.duplicates))
+        // the warning is only a hint, the backend checks again on submit
+        .catch(() => setDuplicates([]));
+    }, DELAY);
+    return () => clearTimeout(timeout);
+  }, [title, author, isbn13, isbn10]);
+
+  useEffect(() => {
+    if (duplicates.length === 0) onAllowDuplicateChange(false);
+  }, [duplicates, onAllowDuplicateChange]);
+
+  if (duplicates.length === 0) return null;
+
+  return (
+    <div className="sm:col-span-3 grid gap-2 rounded-lg border-2 border-amber-300 bg-amber-50 p-3 text-sm dark:border-amber-700 dark:bg-amber-950">
+      <p className="flex items-center gap-2 font-medium">
+        <TriangleAlert className="h-4 w-4 text-amber-500" />
+        This book may already be in the catalog
+      </p>
+      <ul className="grid gap-1">
+        {duplicates.map(({ book, matches }) => (
+          <li key={book._id}>
+            <Link
+              to={`/books/${book._id}`}
+              target="_blank"
+              className="font-medium hover:underline">
+              {book.title}
+            </Link>{" "}
+            <span className="text-gray-500">
+              by {book.author}, {book.year_published} · matching{" "}
+              {matches.map((match) => matchLabels[match]).join(" and ")}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={allowDuplicate}
+          onChange={(event) => onAllowDuplicateChange(event.target.checked)}
+        />
+        It is a different book, add it anyway
+      </label>
+    </div>
+  );
+};
+
+export default DuplicateWarning;
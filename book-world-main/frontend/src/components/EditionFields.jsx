@@ -0,0 +1,209 @@
+import axios from "axios";
+import { Plus } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import {
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import bookFormats from "@/utilities/bookFormats";
+
+// select items cannot have an empty value, this one stands for "not set"
+const NONE = "none";
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+// the series of the book with its place in it, and the details of the edition
+const EditionFields = ({ form }) => {
+  const [series, setSeries] = useState([]);
+  const [newSeries, setNewSeries] = useState();
+
+  useEffect(() => {
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/series`, {
+        params: { limit: 100 },
+      })
+      .then((response) => setSeries(response.data.series))
+      .catch((error) => toast.error(errorMessage(error)));
+  }, []);
+
+  const createSeries = () => {
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/series`,
+      { name: newSeries },
+      {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      }
+    );
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        setSeries((current) => [...current, response.data.series]);
+        form.setValue("series", response.data.series._id);
+        setNewSeries(undefined);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  return (
+    <>
+      <FormField
+        control={form.control}
+        name="series"
+        render={({ field }) => (
+          <FormItem className="space-y-0 sm:col-span-2">
+            <FormLabel className="text-left">Series</FormLabel>
+            <div className="flex gap-2">
+              {newSeries === undefined ? (
+                <Select
+                  value={field.value || NONE}
+                  onValueChange={(value) =>
+                    field.onChange(value === NONE ? "" : value)
+                  }>
+                  <FormControl>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Not part of a series" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Not part of a series</SelectItem>
+                    {series.map((one) => (
+                      <SelectItem key={one._id} value={one._id}>
+                        {one.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              ) : (
+                <Input
+                  autoFocus
+                  placeholder="Name of the new series"
+                  value={newSeries}
+                  onChange={(event) => setNewSeries(event.target.value)}
+                />
+              )}
+              {newSeries === undefined ? (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="icon"
+                  title="New series"
+                  onClick={() => setNewSeries("")}>
+                  <Plus className="h-4 w-4" />
+                </Button>
+              ) : (
+                <Button
+                  type="button"
+                  disabled={!newSeries.trim()}
+                  onClick={createSeries}>
+                  Add
+                </Button>
+              )}
+            </div>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+      <FormField
+        control={form.control}
+        name="seriesPosition"
+        render={({ field }) => (
+          <FormItem className="space-y-0">
+            <FormLabel className="text-left">Volume</FormLabel>
+            <FormControl>
+              <Input
+                placeholder="Number in the series"
+                type="number"
+                step="0.5"
+                {...field}
+                value={field.value ?? ""}
+              />
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+      <FormField
+        control={form.control}
+        name="format"
+        render={({ field }) => (
+          <FormItem className="space-y-0">
+            <FormLabel className="text-left">Format</FormLabel>
+            <Select
+              value={field.value || NONE}
+              onValueChange={(value) =>
+                field.onChange(value === NONE ? "" : value)
+              }>
+              <FormControl>
+                <SelectTrigger>
+                  <SelectValue placeholder="Format" />
+                </SelectTrigger>
+              </FormControl>
+              <SelectContent>
+                <SelectItem value={NONE}>Unknown</SelectItem>
+                {bookFormats.map((format) => (
+                  <SelectItem key={format.value} value={format.value}>
+                    {format.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+      {[
+        { name: "publisher", label: "Publisher", placeholder: "Publisher" },
+        { name: "language", label: "Language", placeholder: "English" },
+      ].map(({ name, label, placeholder }) => (
+        <FormField
+          key={name}
+          control={form.control}
+          name={name}
+          render={({ field }) => (
+            <FormItem className="space-y-0">
+              <FormLabel className="text-left">{label}</FormLabel>
+              <FormControl>
+                <Input
+                  placeholder={placeholder}
+                  {...field}
+                  value={field.value ?? ""}
+                />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+      ))}
+    </>
+  );
+};
+
+export default EditionFields;
@@ -0,0 +1,113 @@
+import { Star } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+const FacetOption = ({ label, count, isSelected, onClick, depth = 0 }) => (
+  <li>
+    <button
+      type="button"
+      onClick={onClick}
+      className={cn(
+        "flex w-full items-center justify-between gap-2 rounded-md px-2 py-1 text-left text-sm hover:bg-slate-200 dark:hover:bg-zinc-800",
+        isSelected && "bg-slate-200 font-semibold dark:bg-zinc-800"
+      )}
+      style={{ paddingLeft: `${0.5 + depth}rem` }}>
+      <span className="truncate">{label}</span>
+      <span className="text-xs text-zinc-500">{count}</span>
+    </button>
+  </li>
+);
+
+const FacetGroup = ({ title, children }) => (
+  <div className="pb-3 mb-3 border-b border-slate-200 dark:border-zinc-800">
+    <h3 className="px-2 mb-1 text-sm font-semibold tracking-tight">{title}</h3>
+    <ul className="space-y-0.5">{children}</ul>
+  </div>
+);
+
+// `genres` are the genres in tree order, the ones used by no book of the
+// results are left out
+const FacetSidebar = ({ facets, genres, searchParams, onChange }) => {
+  if (!facets) return <></>;
+
+  const selectedGenres = (searchParams.get("genre") || "")
+    .split(",")
+    .filter(Boolean);
+  const genreCounts = Object.fromEntries(
+    facets.genre.map(({ value, count }) => [value, count])
+  );
+  // genres of books that are not in the taxonomy are listed after it
+  const genreOptions = [
+    ...genres,
+    ...facets.genre
+      .filter(({ value }) => !genres.some((genre) => genre.name === value))
+      .map(({ value }) => ({ name: value, depth: 0 })),
+  ];
+  const yearFrom = searchParams.get("year_from");
+
+  const toggleGenre = (genre) => {
+    const next = selectedGenres.includes(genre)
+      ? selectedGenres.filter((selected) => selected !== genre)
+      : [...selectedGenres, genre];
+    onChange({ genre: next.join(","), page: "" });
+  };
+
+  const toggleDecade = (decade) => {
+    const isSelected = yearFrom === `${decade}`;
+    onChange({
+      year_from: isSelected ? "" : decade,
+      year_to: isSelected ? "" : decade + 9,
+      page: "",
+    });
+  };
+
+  return (
+    <aside className="hidden md:block w-56 shrink-0 md:sticky md:top-[81px] h-fit p-2 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
+      <FacetGroup title="Genre">
+        {genreOptions
+          .filter(
+            ({ name }) => genreCounts[name] || selectedGenres.includes(name)
+          )
+          .map(({ name, depth }) => (
+            <FacetOption
+              key={name}
+              label={name}
+              depth={depth}
+              count={genreCounts[name] || 0}
+              isSelected={selectedGenres.includes(name)}
+              onClick={() => toggleGenre(name)}
+            />
+          ))}
+      </FacetGroup>
+      <FacetGroup title="Decade">
+        {facets.decade.map(({ value, count }) => (
+          <FacetOption
+            key={value}
+            label={`${value}s`}
+            count={count}
+            isSelected={yearFrom === `${value}`}
+            onClick={() => toggleDecade(value)}
+          />
+        ))}
+      </FacetGroup>
+      <FacetGroup title="Average Rating">
+        {[...facets.rating].reverse().map(({ value, count }) => (
+          <li
+            key={value}
+            className="flex items-center justify-between px-2 py-1 text-sm">
+            {value === 0 ? (
+              <span>Not rated yet</span>
+            ) : (
+              <span className="flex items-center gap-1">
+                {value} - {value + 1}
+                <Star size={14} color="gold" fill="gold" />
+              </span>
+            )}
+            <span className="text-xs text-zinc-500">{count}</span>
+          </li>
+        ))}
+      </FacetGroup>
+    </aside>
+  );
+};
+
+export default FacetSidebar;
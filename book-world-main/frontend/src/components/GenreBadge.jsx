@@ -0,0 +1,16 @@
+import { Link } from "react-router-dom";
+import { Badge } from "./ui/badge";
+import slugify from "@/utilities/slugify";
+
+// a genre badge opening the page of the genre
+const GenreBadge = ({ genre, variant = "outline", className }) => (
+  <Link to={`/genres/${slugify(genre)}`} title={`Browse ${genre}`}>
+    <Badge
+      variant={variant}
+      className={`hover:bg-slate-200 dark:hover:bg-zinc-800 ${className || ""}`}>
+      {genre}
+    </Badge>
+  </Link>
+);
+
+export default GenreBadge;
@@ -0,0 +1,23 @@
+// renders search highlights sent by the backend, matched words come wrapped
+// in <mark></mark> and everything else is kept as plain text
+const Highlight = ({ text, fallback }) => {
+  if (!text) return <>{fallback}</>;
+
+  return (
+    <>
+      {text.split(/<mark>(.*?)<\/mark>/g).map((part, index) =>
+        index % 2 === 1 ? (
+          <mark
+            key={index}
+            className="bg-yellow-200 text-inherit rounded-sm dark:bg-yellow-600/60">
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      )}
+    </>
+  );
+};
+
+export default Highlight;
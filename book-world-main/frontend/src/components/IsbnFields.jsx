@@ -0,0 +1,71 @@
+import {
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import {
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+} from "@/utilities/isbn";
+import { cn } from "@/lib/utils";
+
+// ISBN-13 and ISBN-10 inputs, a valid value typed in one of them fills in the
+// other one when it is still empty
+const IsbnFields = ({ form }) => {
+  const fillOther = (name, value) => {
+    if (
+      name === "isbn13" &&
+      !form.getValues("isbn10") &&
+      isValidIsbn13(value)
+    ) {
+      form.setValue("isbn10", isbn13To10(value), { shouldValidate: true });
+    }
+    if (
+      name === "isbn10" &&
+      !form.getValues("isbn13") &&
+      isValidIsbn10(value)
+    ) {
+      form.setValue("isbn13", isbn10To13(value), { shouldValidate: true });
+    }
+  };
+
+  return [
+    {
+      name: "isbn13",
+      label: "ISBN-13",
+      placeholder: "978-0-306-40615-7",
+      className: "sm:col-span-2",
+    },
+    { name: "isbn10", label: "ISBN-10", placeholder: "0-306-40615-2" },
+  ].map(({ name, label, placeholder, className }) => (
+    <FormField
+      key={name}
+      control={form.control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className={cn("space-y-0", className)}>
+          <FormLabel className="text-left">{label}</FormLabel>
+          <FormControl>
+            <Input
+              placeholder={placeholder}
+              {...field}
+              value={field.value ?? ""}
+              onBlur={(event) => {
+                field.onBlur();
+                fillOther(name, event.target.value);
+              }}
+            />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  ));
+};
+
+export default IsbnFields;
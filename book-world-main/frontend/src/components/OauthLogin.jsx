@@ -18,7 +18,8 @@ export const OauthLogin = () => {
             {
               token: credentialResponse.credential,
               auth_method: "google",
-            }
+            },
+            { withCredentials: true }
           );
           toast.promise(promise, {
             loading: "Loading...",
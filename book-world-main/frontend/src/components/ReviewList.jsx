@@ -1,23 +1,47 @@
-import { Loader2, Star, TrendingUp } from "lucide-react";
+import { Loader2, Star, TrendingDown, TrendingUp } from "lucide-react";
 import { useEffect, useState } from "react";
 import axios from "axios";
 import ReviewCard from "./ReviewCard";
+import ReviewTrendChart from "./ReviewTrendChart";
 import { Progress } from "./ui/progress";
 import { formatNumber } from "@/utilities/formatNum";
 import { toast } from "sonner";
-import { set } from "react-hook-form";
 
 const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
   const [reviews, setReviews] = useState([]);
+  const [rating, setRating] = useState(book);
+  const [stats, setStats] = useState();
   const [isLoading, setIsLoading] = useState(true);
   const [counter, setCounter] = useState(0);
+  // editions of one work can show their reviews and rating together
+  const [allEditions, setAllEditions] = useState(false);
 
+  // the rating totals are kept on the book, so they are fetched again with
+  // the reviews and their stats whenever a review changes
   useEffect(() => {
     setIsLoading(true);
-    axios
-      .get(`${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/reviews/`)
-      .then((response) => {
-        setReviews(response.data.reviews);
+    const params = allEditions ? { editions: true } : {};
+    Promise.all([
+      axios.get(
+        `${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/reviews/`,
+        { params }
+      ),
+      allEditions
+        ? axios.get(
+            `${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/editions`
+          )
+        : axios.get(`${import.meta.env.VITE_BACKEND_URL}/books/${book._id}`),
+      axios.get(
+        `${import.meta.env.VITE_BACKEND_URL}/books/${book._id}/reviews/stats`,
+        { params }
+      ),
+    ])
+      .then(([reviewsResponse, ratingResponse, statsResponse]) => {
+        setReviews(reviewsResponse.data.reviews);
+        setRating(
+          allEditions ? ratingResponse.data.rating : ratingResponse.data.book
+        );
+        setStats(statsResponse.data);
       })
       .catch((err) => {
         if (
@@ -32,30 +56,20 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
         }
       })
       .finally(() => setIsLoading(false));
-  }, [counter, userReplyCounter]);
+  }, [counter, userReplyCounter, allEditions]);
 
-  const [meta, setMeta] = useState({
-    totalReviews: 4000,
-    averageRating: 4.0,
-    initialReviews: 3340,
-    stars: [50, 200, 300, 1000, 2000],
-  });
-  const stars = [0, 0, 0, 0, 0];
-
-  useEffect(() => {
-    if (!reviews) return;
-    let total = 0;
-    reviews.map((review) => {
-      stars[review.rating - 1]++;
-      total += review.rating;
-    });
-    setMeta({
-      totalReviews: reviews.length,
-      averageRating: reviews.length === 0 ? 0 : total / reviews.length,
-      initialReviews: 1,
-      stars: stars,
-    });
-  }, [reviews]);
+  const thisYear = stats?.yearToDate;
+  const meta = {
+    totalReviews: rating?.ratingCount || 0,
+    growth: thisYear?.growth ?? null,
+    // falls back to every review when none was written this year
+    averageRating: thisYear?.averageRating ?? rating?.ratingAverage ?? 0,
+    averageOfYear: !!thisYear?.averageRating,
+    stars: rating?.ratingHistogram || [0, 0, 0, 0, 0],
+  };
+  // share of the reviews giving `star` stars, in percent
+  const starShare = (star) =>
+    meta.totalReviews ? (meta.stars[star - 1] / meta.totalReviews) * 100 : 0;
 
   if (isLoading) {
     return (
@@ -70,6 +84,16 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
       <h2 className="scroll-m-20 text-2xl font-semibold tracking-tight lg:text-3xl">
         Ratings and Reviews
       </h2>
+      {book.work && (
+        <label className="flex items-center gap-2 mt-2 text-sm">
+          <input
+            type="checkbox"
+            checked={allEditions}
+            onChange={(event) => setAllEditions(event.target.checked)}
+          />
+          Include the reviews of other editions
+        </label>
+      )}
       <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-4 text-sm py-4 my-2 border-b-2 border-slate-200   dark:border-zinc-800">
         <div className="flex flex-col justify-center p-4 pl-10 sm:pl-4 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
           <h3 className="text-md font-bold mb-2">Total Reviews</h3>
@@ -77,17 +101,21 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             <p className="text-4xl font-bold">
               {formatNumber(meta.totalReviews)}
             </p>
-            <p className="bg-green-100 text-green-700 rounded-full px-3 py-1 font-medium flex items-center gap-1">
-              {(
-                ((meta.totalReviews - meta.initialReviews) /
-                  meta.initialReviews) *
-                100
-              ).toFixed(0)}
-              % <TrendingUp size={20} />
-            </p>
+            {meta.growth !== null &&
+              (meta.growth >= 0 ? (
+                <p className="bg-green-100 text-green-700 rounded-full px-3 py-1 font-medium flex items-center gap-1">
+                  {meta.growth.toFixed(0)}% <TrendingUp size={20} />
+                </p>
+              ) : (
+                <p className="bg-red-100 text-red-700 rounded-full px-3 py-1 font-medium flex items-center gap-1">
+                  {meta.growth.toFixed(0)}% <TrendingDown size={20} />
+                </p>
+              ))}
           </div>
           <p className="text-gray-500/60 text-sm">
-            Growth in reviews this year
+            {meta.growth !== null
+              ? "Growth in reviews this year"
+              : `${thisYear?.reviews || 0} reviews this year`}
           </p>
         </div>
         <div className="flex flex-col justify-center p-4 pl-10 sm:pl-4 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
@@ -99,7 +127,11 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
 
             <Star size={30} color="gold" fill="gold" />
           </div>
-          <p className="text-gray-500/60 text-sm">Average Rating this year</p>
+          <p className="text-gray-500/60 text-sm">
+            {meta.averageOfYear
+              ? "Average Rating this year"
+              : "Average of all reviews"}
+          </p>
         </div>
         <div className="flex flex-col sm:col-span-2 md:col-span-1 gap-2 justify-center p-4 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
           <div className="flex h-3 items-center gap-2">
@@ -111,7 +143,7 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             />
             <span>5</span>
             <Progress
-              value={(meta.stars[4] / meta.totalReviews) * 100}
+              value={starShare(5)}
               innerClass="rounded-full bg-teal-400"
               className="h-2"
             />
@@ -125,7 +157,7 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             />
             <span>4</span>
             <Progress
-              value={(meta.stars[3] / meta.totalReviews) * 100}
+              value={starShare(4)}
               innerClass="rounded-full bg-purple-400"
               className="h-2"
             />
@@ -139,7 +171,7 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             />
             <span>3</span>
             <Progress
-              value={(meta.stars[2] / meta.totalReviews) * 100}
+              value={starShare(3)}
               innerClass="rounded-full bg-yellow-400"
               className="h-2"
             />
@@ -153,7 +185,7 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             />
             <span>2</span>
             <Progress
-              value={(meta.stars[1] / meta.totalReviews) * 100}
+              value={starShare(2)}
               innerClass="rounded-full bg-blue-400"
               className="h-2"
             />
@@ -167,12 +199,17 @@ const ReviewList = ({ book, userReplyCounter, setUserReplyCounter }) => {
             />
             <span>1</span>
             <Progress
-              value={(meta.stars[0] / meta.totalReviews) * 100}
+              value={starShare(1)}
               innerClass="rounded-full bg-red-400"
               className="h-2"
             />
           </div>
         </div>
+        {stats && (
+          <div className="sm:col-span-2 md:col-span-3">
+            <ReviewTrendChart monthly={stats.monthly} />
+          </div>
+        )}
       </div>
       {reviews.length !== 0 ? (
         reviews?.map((review, index) => (
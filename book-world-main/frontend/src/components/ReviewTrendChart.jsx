@@ -0,0 +1,49 @@
+const monthNames = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// a bar per month with the number of reviews written in it
+const ReviewTrendChart = ({ monthly }) => {
+  const highest = Math.max(...monthly.map((month) => month.reviews), 1);
+
+  return (
+    <div className="p-4 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
+      <h3 className="text-md font-bold mb-4">Reviews per Month</h3>
+      <div className="flex h-24 items-end gap-1">
+        {monthly.map(({ year, month, reviews, averageRating }) => (
+          <div
+            key={`${year}-${month}`}
+            title={`${monthNames[month - 1]} ${year}: ${reviews} ${
+              reviews === 1 ? "review" : "reviews"
+            }${averageRating ? `, average ${averageRating.toFixed(1)}` : ""}`}
+            className="flex h-full flex-1 flex-col justify-end">
+            <div
+              className="min-h-[2px] rounded-t bg-teal-400"
+              style={{ height: `${(reviews / highest) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1 text-xs text-gray-500">
+        {monthly.map(({ year, month }) => (
+          <span key={`${year}-${month}`} className="flex-1 text-center">
+            {monthNames[month - 1][0]}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewTrendChart;
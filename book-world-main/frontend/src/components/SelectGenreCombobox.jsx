@@ -18,6 +18,8 @@ import {
 import { useEffect, useState } from "react";
 import { cn } from "@/lib/utils";
 
+// `options` are the genres in tree order, subgenres are indented under their
+// parent genre
 const SelectGenreCombobox = ({ options, form, name, previousGenre }) => {
   const [selectedValues, setSelectedValues] = useState(new Set());
 
@@ -77,11 +79,12 @@ const SelectGenreCombobox = ({ options, form, name, previousGenre }) => {
           <CommandList>
             <CommandEmpty>No results found.</CommandEmpty>
             <CommandGroup>
-              {options.map((option) => {
+              {options.map(({ name: option, depth }) => {
                 const isSelected = selectedValues.has(option);
                 return (
                   <CommandItem
                     key={option}
+                    style={{ paddingLeft: `${0.5 + depth}rem` }}
                     onSelect={() => {
                       if (isSelected) {
                         selectedValues.delete(option);
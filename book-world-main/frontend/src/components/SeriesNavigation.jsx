@@ -0,0 +1,56 @@
+import axios from "axios";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+
+// "Book 2 of 7" of the series of the book, with links to the volumes before
+// and after it
+const SeriesNavigation = ({ book }) => {
+  const [volumes, setVolumes] = useState([]);
+  const seriesId = book.series?._id;
+
+  useEffect(() => {
+    if (!seriesId) return;
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/series/${seriesId}`)
+      .then((response) => setVolumes(response.data.volumes))
+      .catch(() => setVolumes([]));
+  }, [seriesId]);
+
+  if (!book.series) return null;
+
+  const index = volumes.findIndex((volume) => volume._id === book._id);
+  const previous = volumes[index - 1];
+  const next = index === -1 ? undefined : volumes[index + 1];
+  const position = book.seriesPosition ?? (index === -1 ? null : index + 1);
+  const total = book.series.totalVolumes || volumes.length;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+      {previous ? (
+        <Link
+          to={`/books/${previous._id}`}
+          title={previous.title}
+          className="flex items-center text-gray-500 hover:underline">
+          <ChevronLeft className="h-4 w-4" />
+          Previous
+        </Link>
+      ) : null}
+      <span>
+        {position !== null && total ? `Book ${position} of ${total} in ` : ""}
+        <span className="font-semibold">{book.series.name}</span>
+      </span>
+      {next ? (
+        <Link
+          to={`/books/${next._id}`}
+          title={next.title}
+          className="flex items-center text-gray-500 hover:underline">
+          Next
+          <ChevronRight className="h-4 w-4" />
+        </Link>
+      ) : null}
+    </div>
+  );
+};
+
+export default SeriesNavigation;
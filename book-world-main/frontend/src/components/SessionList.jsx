@@ -0,0 +1,132 @@
+import axios from "axios";
+import { Loader2, LogOut, Monitor } from "lucide-react";
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+import { toast } from "sonner";
+import { googleLogout } from "@react-oauth/google";
+import { isLoggedInAtom } from "@/atoms/userData";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { describeUserAgent } from "@/utilities/describeUserAgent";
+import { formatDate } from "@/utilities/formatDate";
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+const authHeaders = () => ({
+  headers: {
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  },
+});
+
+// the devices the user is logged in on, each can be logged out from here
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [counter, setCounter] = useState(0);
+  const setIsLoggedIn = useSetRecoilState(isLoggedInAtom);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    axios
+      .get(
+        `${import.meta.env.VITE_BACKEND_URL}/users/me/sessions`,
+        authHeaders()
+      )
+      .then((response) => setSessions(response.data.sessions))
+      .catch((error) => toast.error(errorMessage(error)))
+      .finally(() => setIsLoading(false));
+  }, [counter]);
+
+  const revoke = (session) => {
+    let promise = axios.delete(
+      `${import.meta.env.VITE_BACKEND_URL}/users/me/sessions/${session._id}`,
+      authHeaders()
+    );
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        setCounter((c) => c + 1);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  const logOutAll = () => {
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/users/logout/all`,
+      null,
+      { ...authHeaders(), withCredentials: true }
+    );
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        localStorage.removeItem("token");
+        googleLogout();
+        setIsLoggedIn(false);
+        navigate("/login");
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  return (
+    <div className="p-4 w-full rounded-lg border border-slate-200 dark:border-zinc-800 text-left">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="text-xl font-semibold tracking-tight">Devices</h3>
+        <Button variant="outline" size="sm" onClick={logOutAll}>
+          <LogOut className="mr-2 h-4 w-4" />
+          Log Out All Devices
+        </Button>
+      </div>
+      {isLoading ? (
+        <Loader2 className="mx-auto h-6 w-6 animate-spin" />
+      ) : (
+        <ul className="grid gap-3 text-sm">
+          {sessions.map((session) => (
+            <li key={session._id} className="flex items-center gap-3">
+              <Monitor className="h-5 w-5 shrink-0 text-gray-500" />
+              <div className="grid flex-1">
+                <span className="flex items-center gap-2 font-medium">
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <Badge variant="outline">This device</Badge>
+                  )}
+                </span>
+                <span className="text-gray-500">
+                  Last used {formatDate(session.lastUsedAt)}, logged in{" "}
+                  {formatDate(session.createdAt)}
+                </span>
+              </div>
+              {!session.current && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-500"
+                  onClick={() => revoke(session)}>
+                  Log Out
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
@@ -1,6 +1,15 @@
 import { Link, NavLink, useNavigate } from "react-router-dom";
 
-import { BookOpen, Heart, Home, LogIn, LogOut, Users2 } from "lucide-react";
+import {
+  BookOpen,
+  Heart,
+  Home,
+  LogIn,
+  LogOut,
+  Tags,
+  Trash2,
+  Users2,
+} from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
@@ -16,6 +25,7 @@ import {
 } from "@/atoms/userData";
 import { toast } from "sonner";
 import { googleLogout } from "@react-oauth/google";
+import { logOut } from "@/utilities/logOut";
 
 const Sidebar = () => {
   const [isLoggedIn, setIsLoggedIn] = useRecoilState(isLoggedInAtom);
@@ -69,6 +79,23 @@ const Sidebar = () => {
             <TooltipContent side="right">Home</TooltipContent>
           </Tooltip>
         </TooltipProvider>
+        <TooltipProvider>
+          <Tooltip>
+            <TooltipTrigger>
+              <NavLink
+                to="genres"
+                className={({ isActive }) =>
+                  isActive
+                    ? "flex items-center justify-center rounded-lg h-10 w-10 hover:bg-slate-200 transition-colors bg-slate-200 dark:bg-zinc-800 dark:text-zinc-50"
+                    : "flex items-center justify-center rounded-lg h-10 w-10 border border-slate-200 hover:bg-slate-200 transition-colors bg-white dark:bg-zinc-950 dark:text-zinc-50 dark:border-zinc-800 dark:hover:bg-zinc-800"
+                }>
+                <Tags className="h-5 w-5" />
+                <span className="sr-only">Genres</span>
+              </NavLink>
+            </TooltipTrigger>
+            <TooltipContent side="right">Genres</TooltipContent>
+          </Tooltip>
+        </TooltipProvider>
         <TooltipProvider>
           <Tooltip>
             <TooltipTrigger>
@@ -108,6 +135,27 @@ const Sidebar = () => {
             </Tooltip>
           </TooltipProvider>
         )}
+
+        {role === "admin" && (
+          <TooltipProvider>
+            <Tooltip>
+              <TooltipTrigger>
+                <NavLink
+                  to="trash"
+                  end
+                  className={({ isActive }) =>
+                    isActive
+                      ? "flex items-center justify-center rounded-lg h-10 w-10 hover:bg-slate-200 transition-colors bg-slate-200 dark:bg-zinc-800 dark:text-zinc-50"
+                      : "flex items-center justify-center rounded-lg h-10 w-10 border border-slate-200 hover:bg-slate-200 transition-colors bg-white dark:bg-zinc-950 dark:text-zinc-50 dark:border-zinc-800 dark:hover:bg-zinc-800"
+                  }>
+                  <Trash2 className="h-5 w-5" />
+                  <span className="sr-only">Trash</span>
+                </NavLink>
+              </TooltipTrigger>
+              <TooltipContent side="right">Trash</TooltipContent>
+            </Tooltip>
+          </TooltipProvider>
+        )}
       </nav>
       <nav className="mt-auto flex flex-col items-center gap-2 px-2 border-t border-slate-200 dark:border-zinc-800 py-2">
         <TooltipProvider>
@@ -116,10 +164,11 @@ const Sidebar = () => {
               {isLoggedIn ? (
                 <span
                   onClick={() => {
-                    localStorage.removeItem("token");
-                    googleLogout();
-                    setIsLoggedIn(false);
-                    toast.success("Logged Out Successfully");
+                    logOut().then(() => {
+                      googleLogout();
+                      setIsLoggedIn(false);
+                      toast.success("Logged Out Successfully");
+                    });
                   }}
                   className="flex items-center justify-center rounded-lg h-10 w-10 border border-slate-200 bg-white hover:bg-slate-200 transition-colors dark:bg-zinc-950 dark:text-zinc-50 dark:border-zinc-800 dark:hover:bg-zinc-800">
                   <LogOut className="h-5 w-5 text-slate-950 dark:text-zinc-50" />
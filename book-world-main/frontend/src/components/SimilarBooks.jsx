@@ -9,7 +9,10 @@ import {
 import BookCard from "./BookCard";
 
 const SimilarBooks = ({ book }) => {
-  const { books } = useBooks(book.genre.join(" "));
+  const { books } = useBooks({
+    genre: book.genre.join(","),
+    limit: 12,
+  });
   if (books.length == 1) return <></>;
   return (
     <Carousel
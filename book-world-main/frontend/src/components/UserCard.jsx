@@ -1,4 +1,11 @@
-import { AlertCircle, Heart, Loader2, MoreVertical, Star } from "lucide-react";
+import {
+  AlertCircle,
+  Heart,
+  Loader2,
+  Lock,
+  MoreVertical,
+  Star,
+} from "lucide-react";
 import { Badge } from "./ui/badge";
 import { useState } from "react";
 import axios from "axios";
@@ -18,18 +25,36 @@ const UserCard = ({ user, handleReload }) => {
   const svgBase64 = `data:image/svg+xml;base64,${btoa(svgCode)}`;
   if (user.picture) console.log(user);
 
-  const handlePromotion = async () => {
-    setIsLoading(true);
-    let promise = axios.put(
-      `${import.meta.env.VITE_BACKEND_URL}/users/${user._id}/promote`,
-      {},
-      {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem("token")}`,
-        },
-      }
+  const handlePromotion = () =>
+    handleAction(
+      axios.put(
+        `${import.meta.env.VITE_BACKEND_URL}/users/${user._id}/promote`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      )
+    );
+
+  // lets a user locked out after too many failed logins log in again
+  const handleUnlock = () =>
+    handleAction(
+      axios.post(
+        `${import.meta.env.VITE_BACKEND_URL}/users/${user._id}/unlock`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+          },
+        }
+      )
     );
 
+  const handleAction = (promise) => {
+    setIsLoading(true);
+
     toast.promise(promise, {
       loading: "Loading...",
       success: (response) => {
@@ -78,13 +103,20 @@ const UserCard = ({ user, handleReload }) => {
             {isLoading ? (
               <Loader2 className="animate-spin" />
             ) : (
-              <Badge
-                variant={user?.role == "admin" ? "default" : "outline"}
-                title={user?.role == "admin" ? "Demote User" : "Promote User"}
-                className="m-1"
-              >
-                {user?.role}
-              </Badge>
+              <>
+                {user?.loginLockedUntil && (
+                  <span title="Locked out after too many failed logins">
+                    <Lock size={18} className="text-red-500" />
+                  </span>
+                )}
+                <Badge
+                  variant={user?.role == "admin" ? "default" : "outline"}
+                  title={user?.role == "admin" ? "Demote User" : "Promote User"}
+                  className="m-1"
+                >
+                  {user?.role}
+                </Badge>
+              </>
             )}
             <DropdownMenu>
               <DropdownMenuTrigger>
@@ -98,6 +130,11 @@ const UserCard = ({ user, handleReload }) => {
                 <DropdownMenuItem onClick={handlePromotion}>
                   {user?.role == "admin" ? "Demote User" : "Promote User"}
                 </DropdownMenuItem>
+                {user?.loginLockedUntil && (
+                  <DropdownMenuItem onClick={handleUnlock}>
+                    Unlock Login
+                  </DropdownMenuItem>
+                )}
               </DropdownMenuContent>
             </DropdownMenu>
           </div>
@@ -0,0 +1,54 @@
+import axios from "axios";
+import { MailWarning } from "lucide-react";
+import { useRecoilValue } from "recoil";
+import { toast } from "sonner";
+import { isEmailVerifiedAtom, isLoggedInAtom } from "@/atoms/userData";
+import { Button } from "@/components/ui/button";
+
+// reminds users who did not verify their email yet that they cannot post
+const VerifyEmailBanner = () => {
+  const isLoggedIn = useRecoilValue(isLoggedInAtom);
+  const isEmailVerified = useRecoilValue(isEmailVerifiedAtom);
+
+  if (!isLoggedIn || isEmailVerified) return null;
+
+  const resend = () => {
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/users/email/resend`,
+      null,
+      {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      }
+    );
+
+    toast.promise(promise, {
+      loading: "Sending...",
+      success: (response) => response.data.message,
+      error: (error) => {
+        if (
+          error &&
+          error.response &&
+          error.response.data &&
+          error.response.data.message
+        ) {
+          return error.response.data.message;
+        }
+        return "An unexpected error occurred. Please try again.";
+      },
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 border-b border-amber-300 bg-amber-50 px-4 py-2 text-sm sm:px-6 dark:border-amber-700 dark:bg-amber-950 dark:text-zinc-50">
+      <MailWarning className="h-4 w-4 text-amber-500" />
+      Verify your email with the link we sent you to post reviews and comments.
+      <Button variant="link" size="sm" className="h-auto p-0" onClick={resend}>
+        Send the link again
+      </Button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
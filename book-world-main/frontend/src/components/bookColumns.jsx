@@ -1,5 +1,5 @@
 import { Button } from "./ui/button";
-import { Badge } from "./ui/badge";
+import GenreBadge from "./GenreBadge";
 import { useNavigate } from "react-router-dom";
 import DataTableColumnHeader from "./DataTableColumnHeader";
 
@@ -47,9 +47,12 @@ export const bookColumns = [
       return (
         <div className="flex flex-wrap max-w-sm gap-2">
           {data?.slice(0, 2).map((genre, index) => (
-            <Badge variant="dark:secondary" className="rounded-md" key={index}>
-              {genre}
-            </Badge>
+            <GenreBadge
+              genre={genre}
+              variant="dark:secondary"
+              className="rounded-md"
+              key={index}
+            />
           ))}
           {data?.length > 2 && (
             <span className="text-gray-400 text-xs self-center">
@@ -3,21 +3,48 @@ import { useEffect, useState } from "react";
 import { useLocation } from "react-router-dom";
 import { toast } from "sonner";
 
-const useBooks = (genre) => {
+const BOOK_QUERY_PARAMS = [
+  "q",
+  "page",
+  "limit",
+  "sort",
+  "genre",
+  "author",
+  "year_from",
+  "year_to",
+];
+
+// query params are read from the url, `overrides` take precedence over them,
+// pass `{ facets: true }` to also get the counts for the filter sidebar
+const useBooks = (overrides = {}) => {
   const [books, setBooks] = useState([]);
+  const [pagination, setPagination] = useState({
+    total: 0,
+    page: 1,
+    limit: 20,
+    totalPages: 1,
+  });
+  const [facets, setFacets] = useState();
   const location = useLocation();
   const [isLoading, setIsLoading] = useState(false);
+  const overridesKey = JSON.stringify(overrides);
 
   useEffect(() => {
     const queryParams = new URLSearchParams(location.search);
-    let searchQuery = genre || queryParams.get("q") || "";
+    const params = {};
+    BOOK_QUERY_PARAMS.forEach((key) => {
+      if (queryParams.get(key)) params[key] = queryParams.get(key);
+    });
+    Object.assign(params, JSON.parse(overridesKey));
+
     setIsLoading(true);
     axios
-      .get(`${import.meta.env.VITE_BACKEND_URL}/books`, {
-        params: { q: searchQuery },
-      })
+      .get(`${import.meta.env.VITE_BACKEND_URL}/books`, { params })
       .then((response) => {
-        setBooks(response.data.books);
+        const { books, total, page, limit, totalPages, facets } = response.data;
+        setBooks(books);
+        setPagination({ total, page, limit, totalPages });
+        setFacets(facets);
       })
       .catch((err) => {
         if (
@@ -32,9 +59,9 @@ const useBooks = (genre) => {
         }
       })
       .finally(() => setIsLoading(false));
-  }, [location.search, genre]);
+  }, [location.search, overridesKey]);
 
-  return { books, isLoading };
+  return { books, pagination, facets, isLoading };
 };
 
 export default useBooks;
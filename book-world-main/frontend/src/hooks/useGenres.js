@@ -0,0 +1,44 @@
+import axios from "axios";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+// the genres in tree order, every genre followed by its subgenres, each with
+// its `depth` below the top-level genres
+const toTree = (genres) => {
+  const childrenOf = (parent) =>
+    genres.filter((genre) => (genre.parent || null) === parent);
+  const walk = (parent, depth) =>
+    childrenOf(parent).flatMap((genre) => [
+      { ...genre, depth },
+      ...walk(genre._id, depth + 1),
+    ]);
+  return walk(null, 0);
+};
+
+const useGenres = () => {
+  const [genres, setGenres] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/genres`)
+      .then((response) => setGenres(toTree(response.data.genres)))
+      .catch((err) => {
+        if (
+          err &&
+          err.response &&
+          err.response.data &&
+          err.response.data.message
+        ) {
+          toast.error(err.response.data.message);
+        } else {
+          toast.error("An unexpected error occurred. Please try again.");
+        }
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  return { genres, isLoading };
+};
+
+export default useGenres;
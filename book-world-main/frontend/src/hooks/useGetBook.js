@@ -29,6 +29,6 @@ const useGetBook = () => {
       .finally(() => setIsDetailLoading(false));
   }, [id]);
 
-  return { book, id, isDetailLoading };
+  return { book, setBook, id, isDetailLoading };
 };
 export default useGetBook;
@@ -2,6 +2,7 @@ import { useState, useEffect } from "react";
 import axios from "axios";
 import { useRecoilState, useSetRecoilState } from "recoil";
 import {
+  isEmailVerifiedAtom,
   isLoggedInAtom,
   isUserLoadingAtom,
   likedCommentsAtom,
@@ -20,6 +21,7 @@ const useUserData = () => {
   const setLikedComments = useSetRecoilState(likedCommentsAtom);
   const setIsUserLoading = useSetRecoilState(isUserLoadingAtom);
   const setUserAvatar = useSetRecoilState(userAvatarSelector);
+  const setIsEmailVerified = useSetRecoilState(isEmailVerifiedAtom);
   const [isLoggedIn, setIsLoggedIn] = useRecoilState(isLoggedInAtom);
 
   const fetchUser = async () => {
@@ -34,6 +36,7 @@ const useUserData = () => {
         setUserRole(response.data.user.role);
         setUserId(response.data.user._id);
         setUserAvatar(response.data.user.picture || "");
+        setIsEmailVerified(response.data.user.emailVerified !== false);
         setIsLoggedIn(true);
         setUsersFavouriteBooks(response.data.user.favoriteBooks || []);
         setLikedReviews(response.data.user.likedReviews || []);
@@ -59,6 +62,7 @@ const useUserData = () => {
       setUserRole("");
       setUserId("");
       setUserAvatar("");
+      setIsEmailVerified(true);
       setUsersFavouriteBooks([]);
       setLikedReviews([]);
       setLikedComments([]);
@@ -19,16 +19,27 @@ import { ThemeProvider } from "./components/theme-provider";
 import UserDetails from "./pages/UserDetails";
 import { Toaster } from "sonner";
 import { GoogleOAuthProvider } from "@react-oauth/google";
+import { setupAuthInterceptor } from "./utilities/authInterceptor";
+
+setupAuthInterceptor();
 
 const AddBook = lazy(() => import("./pages/AddBook"));
+const ImportBooks = lazy(() => import("./pages/ImportBooks"));
 const Homepage = lazy(() => import("./pages/Homepage"));
 const BookDetails = lazy(() => import("./pages/BookDetails"));
 const EditBook = lazy(() => import("./pages/EditBook"));
 const LoginForm = lazy(() => import("./pages/Login"));
 const SignupForm = lazy(() => import("./pages/Signup"));
+const ForgotPassword = lazy(() => import("./pages/ForgotPassword"));
+const ResetPassword = lazy(() => import("./pages/ResetPassword"));
+const VerifyEmail = lazy(() => import("./pages/VerifyEmail"));
 const NotFound = lazy(() => import("./pages/NotFound"));
 const FavouriteBooks = lazy(() => import("./pages/FavouriteBooks"));
 const Users = lazy(() => import("./pages/Users"));
+const Trash = lazy(() => import("./pages/Trash"));
+const AuthorDetails = lazy(() => import("./pages/AuthorDetails"));
+const Genres = lazy(() => import("./pages/Genres"));
+const GenreDetails = lazy(() => import("./pages/GenreDetails"));
 
 const ProtectedRoute = ({ children, roles }) => {
   const userRole = useRecoilValue(userRoleAtom);
@@ -75,6 +86,48 @@ const router = createBrowserRouter([
       </Suspense>
     ),
   },
+  {
+    path: "/forgot-password",
+    element: (
+      <Suspense
+        fallback={
+          <div className="w-full grid items-center h-screen">
+            <Loader2 className="mx-auto  h-10 w-10 animate-spin dark:text-zinc-50" />
+          </div>
+        }
+      >
+        <ForgotPassword />
+      </Suspense>
+    ),
+  },
+  {
+    path: "/reset-password",
+    element: (
+      <Suspense
+        fallback={
+          <div className="w-full grid items-center h-screen">
+            <Loader2 className="mx-auto  h-10 w-10 animate-spin dark:text-zinc-50" />
+          </div>
+        }
+      >
+        <ResetPassword />
+      </Suspense>
+    ),
+  },
+  {
+    path: "/verify-email",
+    element: (
+      <Suspense
+        fallback={
+          <div className="w-full grid items-center h-screen">
+            <Loader2 className="mx-auto  h-10 w-10 animate-spin dark:text-zinc-50" />
+          </div>
+        }
+      >
+        <VerifyEmail />
+      </Suspense>
+    ),
+  },
   {
     path: "/",
     element: <App />,
@@ -113,6 +166,22 @@ const router = createBrowserRouter([
           </ProtectedRoute>
         ),
       },
+      {
+        path: "/books/import",
+        element: (
+          <ProtectedRoute roles={["admin"]}>
+            <Suspense
+              fallback={
+                <div className="w-full">
+                  <Loader2 className="mx-auto h-10 w-10 animate-spin dark:text-zinc-50" />
+                </div>
+              }
+            >
+              <ImportBooks />
+            </Suspense>
+          </ProtectedRoute>
+        ),
+      },
       {
         path: "/favourites",
         element: (
@@ -145,6 +214,22 @@ const router = createBrowserRouter([
           </ProtectedRoute>
         ),
       },
+      {
+        path: "/trash",
+        element: (
+          <ProtectedRoute roles={["admin"]}>
+            <Suspense
+              fallback={
+                <div className="w-full">
+                  <Loader2 className="mx-auto h-10 w-10 animate-spin dark:text-zinc-50" />
+                </div>
+              }
+            >
+              <Trash />
+            </Suspense>
+          </ProtectedRoute>
+        ),
+      },
       {
         path: "/users/:userId",
         element: (
@@ -173,6 +258,48 @@ const router = createBrowserRouter([
           </Suspense>
         ),
       },
+      {
+        path: "/authors/:id",
+        element: (
+          <Suspense
+            fallback={
+              <div className="w-full">
+                <Loader2 className="mx-auto h-10 w-10 animate-spin dark:text-zinc-50" />
+              </div>
+            }
+          >
+            <AuthorDetails />
+          </Suspense>
+        ),
+      },
+      {
+        path: "/genres",
+        element: (
+          <Suspense
+            fallback={
+              <div className="w-full">
+                <Loader2 className="mx-auto h-10 w-10 animate-spin dark:text-zinc-50" />
+              </div>
+            }
+          >
+            <Genres />
+          </Suspense>
+        ),
+      },
+      {
+        path: "/genres/:slug",
+        element: (
+          <Suspense
+            fallback={
+              <div className="w-full">
+                <Loader2 className="mx-auto h-10 w-10 animate-spin dark:text-zinc-50" />
+              </div>
+            }
+          >
+            <GenreDetails />
+          </Suspense>
+        ),
+      },
       {
         path: "/books/:id/edit",
         element: (
@@ -24,7 +24,10 @@ import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import { bookSchema } from "@/schema";
 import SelectGenreCombobox from "@/components/SelectGenreCombobox";
-import genres from "@/utilities/genres";
+import IsbnFields from "@/components/IsbnFields";
+import EditionFields from "@/components/EditionFields";
+import DuplicateWarning from "@/components/DuplicateWarning";
+import useGenres from "@/hooks/useGenres";
 import { useSetRecoilState } from "recoil";
 import { pageTitleAtom } from "@/atoms/meta";
 import { toast } from "sonner";
@@ -32,6 +35,7 @@ import { toast } from "sonner";
 const AddBook = () => {
   const setPageTitle = useSetRecoilState(pageTitleAtom);
   useEffect(() => setPageTitle("Add Book"), []);
+  const { genres } = useGenres();
   const form = useForm({
     resolver: zodResolver(bookSchema),
     defaultValues: {
@@ -41,16 +45,24 @@ const AddBook = () => {
       genre: [],
       image: "",
       year_published: new Date().getFullYear(),
+      isbn13: "",
+      isbn10: "",
+      series: "",
+      seriesPosition: "",
+      format: "",
+      publisher: "",
+      language: "",
     },
   });
   const navigate = useNavigate();
   const fileRef = form.register("file");
   const [isLoading, setIsLoading] = useState(false);
+  const [allowDuplicate, setAllowDuplicate] = useState(false);
   const onSubmit = (values) => {
     setIsLoading(true);
     let promise = axios.post(
       `${import.meta.env.VITE_BACKEND_URL}/books`,
-      values,
+      { ...values, allowDuplicate },
       {
         headers: {
           "Content-Type": "multipart/form-data",
@@ -109,7 +121,10 @@ const AddBook = () => {
                   <FormItem className="space-y-0 sm:col-span-2">
                     <FormLabel className="text-left">Author</FormLabel>
                     <FormControl>
-                      <Input placeholder="Author of the Book" {...field} />
+                      <Input
+                        placeholder="Author of the Book, co-authors separated by ;"
+                        {...field}
+                      />
                     </FormControl>
                     <FormMessage />
                   </FormItem>
@@ -132,6 +147,13 @@ const AddBook = () => {
                   </FormItem>
                 )}
               />
+              <IsbnFields form={form} />
+              <DuplicateWarning
+                form={form}
+                allowDuplicate={allowDuplicate}
+                onAllowDuplicateChange={setAllowDuplicate}
+              />
+              <EditionFields form={form} />
               <FormField
                 control={form.control}
                 name="description"
@@ -7,9 +7,18 @@ import axios from "axios";
 import { useEffect } from "react";
 import { Outlet, useNavigate } from "react-router-dom";
 import { toast } from "sonner";
+import { SESSION_EXPIRED_EVENT } from "@/utilities/authInterceptor";
 
 function App() {
   const [isLoggedIn, setIsLoggedIn] = useUserData();
+  useEffect(() => {
+    const logOut = () => {
+      setIsLoggedIn(false);
+      toast.error("Your session has expired, please log in again");
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, logOut);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, logOut);
+  }, [setIsLoggedIn]);
   useEffect(() => {
     const logVisit = async () => {
       const userAgent = navigator.userAgent;
@@ -32,7 +41,8 @@ function App() {
         {
           token: credentialResponse.credential,
           auth_method: "google",
-        }
+        },
+        { withCredentials: true }
       );
       toast.promise(promise, {
         loading: "Loading...",
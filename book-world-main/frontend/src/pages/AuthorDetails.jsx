@@ -0,0 +1,110 @@
+import NotFound from "@/pages/NotFound";
+import BookCard from "@/components/BookCard";
+import { Badge } from "@/components/ui/badge";
+import axios from "axios";
+import { Loader2, UserRound } from "lucide-react";
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+import { pageTitleAtom } from "@/atoms/meta";
+import { toast } from "sonner";
+
+const lifespan = (author) => {
+  if (!author.birth_year && !author.death_year) return null;
+  return `${author.birth_year || "?"} – ${author.death_year || ""}`;
+};
+
+const AuthorDetails = () => {
+  const [author, setAuthor] = useState();
+  const [books, setBooks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  let { id } = useParams();
+  const setPageTitle = useSetRecoilState(pageTitleAtom);
+  useEffect(() => setPageTitle("Author"), []);
+
+  useEffect(() => {
+    setIsLoading(true);
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/authors/${id}`)
+      .then((response) => {
+        setAuthor(response.data.author);
+        setBooks(response.data.books);
+      })
+      .catch((err) => {
+        if (
+          err &&
+          err.response &&
+          err.response.data &&
+          err.response.data.message
+        ) {
+          toast.error(err.response.data.message);
+        } else {
+          toast.error("An unexpected error occurred. Please try again.");
+        }
+      })
+      .finally(() => setIsLoading(false));
+  }, [id]);
+
+  if (isLoading) {
+    return (
+      <div className="w-full">
+        <Loader2 className="mx-auto h-10 w-10 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!author) {
+    return <NotFound />;
+  }
+
+  return (
+    <div className="grid p-4 sm:p-6 gap-4 dark:text-zinc-50">
+      <div className="flex flex-col sm:flex-row gap-5 w-full max-w-5xl m-auto border-2 rounded-lg p-4 border-slate-200 dark:border-zinc-800">
+        {author.image_url ? (
+          <img
+            src={author.image_url}
+            alt={author.name}
+            className="w-32 h-32 rounded-full object-cover shadow-md"
+          />
+        ) : (
+          <div className="grid w-32 h-32 shrink-0 place-items-center rounded-full bg-slate-100 dark:bg-zinc-800">
+            <UserRound className="h-16 w-16 text-slate-400" />
+          </div>
+        )}
+        <div className="space-y-2">
+          <h1 className="scroll-m-20 text-4xl font-bold tracking-tight lg:text-5xl">
+            {author.name}
+          </h1>
+          {lifespan(author) && (
+            <p className="text-gray-500">{lifespan(author)}</p>
+          )}
+          {author.aliases?.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="italic">Also known as</span>
+              {author.aliases.map((alias) => (
+                <Badge variant="outline" key={alias}>
+                  {alias}
+                </Badge>
+              ))}
+            </div>
+          )}
+          {author.bio && (
+            <blockquote className="my-4 italic">{author.bio}</blockquote>
+          )}
+        </div>
+      </div>
+      <section className="w-full max-w-5xl m-auto">
+        <h2 className="scroll-m-20 text-2xl font-semibold tracking-tight lg:text-3xl">
+          Books
+        </h2>
+        <div className="grid grid-cols-2 sm:flex sm:flex-wrap">
+          {books.map((book) => (
+            <BookCard key={book._id} book={book} />
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AuthorDetails;
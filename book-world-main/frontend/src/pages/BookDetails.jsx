@@ -10,12 +10,13 @@ import {
   AlertDialogTitle,
   AlertDialogTrigger,
 } from "@/components/ui/alert-dialog";
-import { Badge } from "@/components/ui/badge";
+import GenreBadge from "@/components/GenreBadge";
+import CoverImage from "@/components/CoverImage";
 import { Button } from "@/components/ui/button";
 import axios from "axios";
 import { Loader2, Pencil, Star, Trash2 } from "lucide-react";
 import { Suspense, lazy, useEffect, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { formatDate } from "@/utilities/formatDate";
 import useGetBook from "@/hooks/useGetBook";
 import { useRecoilState, useRecoilValue, useSetRecoilState } from "recoil";
@@ -26,6 +27,9 @@ import {
   usersFavouriteBooksAtom,
 } from "@/atoms/userData";
 import SimilarBooks from "@/components/SimilarBooks";
+import SeriesNavigation from "@/components/SeriesNavigation";
+import BookEditions from "@/components/BookEditions";
+import BookDuplicates from "@/components/BookDuplicates";
 import { pageTitleAtom } from "@/atoms/meta";
 import { toast } from "sonner";
 const ReviewList = lazy(() => import("@/components/ReviewList"));
@@ -124,7 +128,6 @@ const BookDetails = () => {
     }
   };
 
-  const image = book?.image_url.replace("upload/", "upload/w_512/");
   if (isDetailLoading) {
     return (
       <div className="w-full">
@@ -138,10 +141,11 @@ const BookDetails = () => {
     <div className="grid p-4 sm:p-6 gap-2 dark:text-zinc-50">
       <div className="flex flex-col sm:flex-row gap-5 w-full max-w-5xl m-auto">
         <div className="flex flex-col items-center sm:sticky sm:top-[81px] pb-2 rounded-lg h-full">
-          <img
+          <CoverImage
+            book={book}
+            transformation="w_512"
+            sizes="(min-width: 640px) 512px, 100vw"
             width="512px"
-            loading="loading..."
-            src={image}
             alt="Book cover"
             className="min-w-full md:min-w-lg object-cover rounded-md"
           />
@@ -154,20 +158,39 @@ const BookDetails = () => {
             <div className="flex gap-2 items-end">
               <h3 className="italic">by</h3>
               <h2 className="text-2xl font-semibold tracking-tight">
-                {book?.author}
+                {book?.authors?.length
+                  ? book.authors.map((author, index) => (
+                      <span key={author._id}>
+                        {index > 0 && " & "}
+                        <Link
+                          to={`/authors/${author._id}`}
+                          className="hover:underline"
+                        >
+                          {author.name}
+                        </Link>
+                      </span>
+                    ))
+                  : book?.author}
               </h2>
             </div>
+            <SeriesNavigation book={book} />
             <div className="flex space-x-4 text-sm py-4 my-2 border-b-2 border-t-2 border-slate-200 dark:border-zinc-800">
               <div className="pr-4 border-r-2 text-right border-slate-200 dark:border-zinc-800">
                 <h3 className="italic w-24 pb-2">Year Published</h3>
                 <h4 className="font-semibold">{book?.year_published}</h4>
               </div>
+              {book?.isbn13 && (
+                <div className="pr-4 border-r-2 text-right border-slate-200 dark:border-zinc-800">
+                  <h3 className="italic pb-2">ISBN</h3>
+                  <h4 className="font-semibold" title={book?.isbn10 || ""}>
+                    {book?.isbn13}
+                  </h4>
+                </div>
+              )}
               <div className="flex flex-wrap gap-2">
                 <h3 className="italic w-full">Genre</h3>
                 {book?.genre?.map((genre, index) => (
-                  <Badge variant="outline" key={index}>
-                    {genre}
-                  </Badge>
+                  <GenreBadge genre={genre} key={index} />
                 ))}
               </div>
             </div>
@@ -183,6 +206,9 @@ const BookDetails = () => {
             )}
           </div>
 
+          <BookEditions book={book} />
+          <BookDuplicates book={book} />
+
           {isLoggedIn && myReview && (
             <div className="relative flex flex-col border-2 rounded-md p-3 sm:p-4 mt-4 w-full overflow-y-auto border-slate-200 dark:border-zinc-800">
               <div className="flex items-center w-full gap-2">
@@ -285,8 +311,9 @@ const BookDetails = () => {
                         Are you absolutely sure?
                       </AlertDialogTitle>
                       <AlertDialogDescription>
-                        This action cannot be undone. This will permanently
-                        delete the Book data.
+                        The Book will be moved to the Trash together with its
+                        reviews. An admin can restore it from the Trash until it
+                        is purged.
                       </AlertDialogDescription>
                     </AlertDialogHeader>
                     <AlertDialogFooter>
@@ -25,14 +25,18 @@ import { useNavigate, useParams } from "react-router-dom";
 import axios from "axios";
 import { bookSchema } from "@/schema";
 import SelectGenreCombobox from "@/components/SelectGenreCombobox";
+import IsbnFields from "@/components/IsbnFields";
+import EditionFields from "@/components/EditionFields";
+import BookHistory from "@/components/BookHistory";
 import useGetBook from "@/hooks/useGetBook";
-import genres from "@/utilities/genres";
+import useGenres from "@/hooks/useGenres";
 import { useSetRecoilState } from "recoil";
 import { pageTitleAtom } from "@/atoms/meta";
 import { toast } from "sonner";
 
 const EditBook = () => {
-  const { book, id } = useGetBook();
+  const { book, setBook, id } = useGetBook();
+  const { genres } = useGenres();
   const navigate = useNavigate();
   const setPageTitle = useSetRecoilState(pageTitleAtom);
   useEffect(() => setPageTitle("Edit Book"), []);
@@ -46,6 +50,13 @@ const EditBook = () => {
       genre: [],
       image: "",
       year_published: new Date().getFullYear(),
+      isbn13: "",
+      isbn10: "",
+      series: "",
+      seriesPosition: "",
+      format: "",
+      publisher: "",
+      language: "",
     },
   });
   const [previewURL, setPreviewURL] = useState("");
@@ -70,6 +81,13 @@ const EditBook = () => {
       genre: book?.genre,
       image: "",
       year_published: book?.year_published,
+      isbn13: book?.isbn13 || "",
+      isbn10: book?.isbn10 || "",
+      series: book?.series?._id || "",
+      seriesPosition: book?.seriesPosition ?? "",
+      format: book?.format || "",
+      publisher: book?.publisher || "",
+      language: book?.language || "",
     });
 
     setPreviewURL(book?.image_url);
@@ -141,7 +159,10 @@ const EditBook = () => {
                   <FormItem className="space-y-0 sm:col-span-2">
                     <FormLabel className="text-left">Author</FormLabel>
                     <FormControl>
-                      <Input placeholder="Author of the Book" {...field} />
+                      <Input
+                        placeholder="Author of the Book, co-authors separated by ;"
+                        {...field}
+                      />
                     </FormControl>
                     <FormMessage />
                   </FormItem>
@@ -164,6 +185,8 @@ const EditBook = () => {
                   </FormItem>
                 )}
               />
+              <IsbnFields form={form} />
+              <EditionFields form={form} />
               <FormField
                 control={form.control}
                 name="description"
@@ -249,6 +272,7 @@ const EditBook = () => {
           </form>
         </Form>
       </Card>
+      <BookHistory bookId={id} onRevert={setBook} />
     </div>
   );
 };
@@ -0,0 +1,117 @@
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { forgotPasswordSchema } from "@/schema";
+import { zodResolver } from "@hookform/resolvers/zod";
+import axios from "axios";
+import { Loader2 } from "lucide-react";
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+
+const ForgotPassword = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  const form = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+    defaultValues: {
+      email: "",
+    },
+  });
+
+  const onSubmit = (values) => {
+    setIsLoading(true);
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/users/password/forgot`,
+      values
+    );
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        setIsSent(true);
+        return response.data.message;
+      },
+      error: (error) => {
+        if (
+          error &&
+          error.response &&
+          error.response.data &&
+          error.response.data.message
+        ) {
+          return error.response.data.message;
+        }
+        return "An unexpected error occurred. Please try again.";
+      },
+      finally: () => setIsLoading(false),
+    });
+  };
+
+  return (
+    <div className="grid items-center p-4 min-h-svh dark:bg-zinc-950">
+      <Card className="mx-auto max-w-sm">
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <CardHeader>
+              <CardTitle className="text-2xl">Forgot Password</CardTitle>
+              <CardDescription>
+                {isSent
+                  ? "Check your inbox, the link to reset your password works for an hour"
+                  : "Enter the email of your account and we will send you a link to reset your password"}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid gap-4">
+                <FormField
+                  control={form.control}
+                  name="email"
+                  render={({ field }) => (
+                    <FormItem className="grid">
+                      <FormLabel className="text-left">Email</FormLabel>
+                      <FormControl>
+                        <Input placeholder="m@email.com" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                {isLoading ? (
+                  <Button disabled>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Please wait
+                  </Button>
+                ) : (
+                  <Button type="submit" className="w-full">
+                    {isSent ? "Send Again" : "Send Reset Link"}
+                  </Button>
+                )}
+              </div>
+              <div className="mt-4 text-center text-sm">
+                Remembered it?{" "}
+                <Link to="/login" className="underline">
+                  Login
+                </Link>
+              </div>
+            </CardContent>
+          </form>
+        </Form>
+      </Card>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,153 @@
+import NotFound from "@/pages/NotFound";
+import BookCard from "@/components/BookCard";
+import BookPagination from "@/components/BookPagination";
+import { Badge } from "@/components/ui/badge";
+import {
+  Carousel,
+  CarouselContent,
+  CarouselItem,
+  CarouselNext,
+  CarouselPrevious,
+} from "@/components/ui/carousel";
+import axios from "axios";
+import { ChevronRight, Loader2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+import { pageTitleAtom } from "@/atoms/meta";
+import { toast } from "sonner";
+
+const BookShelf = ({ title, books }) => {
+  if (books.length === 0) return <></>;
+  return (
+    <Carousel
+      className="w-full max-w-5xl mx-auto"
+      opts={{ dragFree: true, slidesToScroll: 2 }}>
+      <h2 className="scroll-m-20 text-2xl font-semibold tracking-tight lg:text-3xl mb-4">
+        {title}
+      </h2>
+      <CarouselContent className="-ml-2">
+        {books.map((book) => (
+          <CarouselItem
+            key={book._id}
+            className="pl-0 basis-1/2 sm:basis-1/3 md:basis-1/4 lg:basis-1/5">
+            <BookCard book={book} />
+          </CarouselItem>
+        ))}
+      </CarouselContent>
+      <CarouselPrevious />
+      <CarouselNext />
+    </Carousel>
+  );
+};
+
+const GenreDetails = () => {
+  const [page, setPage] = useState();
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchParams, setSearchParams] = useSearchParams();
+  let { slug } = useParams();
+  const setPageTitle = useSetRecoilState(pageTitleAtom);
+  useEffect(() => setPageTitle("Genre"), []);
+
+  useEffect(() => {
+    setIsLoading(true);
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/genres/${slug}`, {
+        params: { page: searchParams.get("page") || 1, sort: "title" },
+      })
+      .then((response) => setPage(response.data))
+      .catch((err) => {
+        setPage(undefined);
+        if (
+          err &&
+          err.response &&
+          err.response.data &&
+          err.response.data.message
+        ) {
+          toast.error(err.response.data.message);
+        } else {
+          toast.error("An unexpected error occurred. Please try again.");
+        }
+      })
+      .finally(() => setIsLoading(false));
+  }, [slug, searchParams]);
+
+  if (isLoading) {
+    return (
+      <div className="w-full">
+        <Loader2 className="mx-auto h-10 w-10 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!page) {
+    return <NotFound />;
+  }
+
+  const { genre, ancestors, children, stats } = page;
+
+  return (
+    <div className="grid p-4 sm:p-6 gap-6 dark:text-zinc-50">
+      <div className="w-full max-w-5xl m-auto space-y-2 border-2 rounded-lg p-4 border-slate-200 dark:border-zinc-800">
+        <nav className="flex flex-wrap items-center gap-1 text-sm text-gray-500">
+          <Link to="/genres" className="hover:underline">
+            Genres
+          </Link>
+          {ancestors.map((ancestor) => (
+            <span key={ancestor._id} className="flex items-center gap-1">
+              <ChevronRight className="h-4 w-4" />
+              <Link to={`/genres/${ancestor.slug}`} className="hover:underline">
+                {ancestor.name}
+              </Link>
+            </span>
+          ))}
+        </nav>
+        <h1 className="scroll-m-20 text-4xl font-bold tracking-tight lg:text-5xl">
+          {genre.name}
+        </h1>
+        <p className="text-gray-500">
+          {stats.books} {stats.books === 1 ? "book" : "books"} · {stats.reviews}{" "}
+          {stats.reviews === 1 ? "review" : "reviews"}
+          {stats.averageRating !== null &&
+            ` · ${stats.averageRating.toFixed(1)} average rating`}
+        </p>
+        {genre.description && (
+          <blockquote className="italic">{genre.description}</blockquote>
+        )}
+        {children.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="italic">Subgenres</span>
+            {children.map((child) => (
+              <Link key={child._id} to={`/genres/${child.slug}`}>
+                <Badge
+                  variant="outline"
+                  className="hover:bg-slate-200 dark:hover:bg-zinc-800">
+                  {child.name} ({child.bookCount})
+                </Badge>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+      <BookShelf title="Top Rated" books={page.topRated} />
+      <BookShelf title="Most Reviewed" books={page.mostReviewed} />
+      <section className="w-full max-w-5xl m-auto">
+        <h2 className="scroll-m-20 text-2xl font-semibold tracking-tight lg:text-3xl">
+          All Books
+        </h2>
+        <div className="grid grid-cols-2 sm:flex sm:flex-wrap">
+          {page.books.map((book) => (
+            <BookCard key={book._id} book={book} />
+          ))}
+        </div>
+        <BookPagination
+          page={page.page}
+          totalPages={page.totalPages}
+          onPageChange={(next) => setSearchParams({ page: next })}
+        />
+      </section>
+    </div>
+  );
+};
+
+export default GenreDetails;
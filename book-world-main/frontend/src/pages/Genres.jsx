@@ -0,0 +1,67 @@
+import { Loader2 } from "lucide-react";
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+import { pageTitleAtom } from "@/atoms/meta";
+import useGenres from "@/hooks/useGenres";
+
+const Genres = () => {
+  const { genres, isLoading } = useGenres();
+  const setPageTitle = useSetRecoilState(pageTitleAtom);
+  useEffect(() => setPageTitle("Genres"), []);
+
+  if (isLoading) {
+    return (
+      <div className="w-full">
+        <Loader2 className="mx-auto h-10 w-10 animate-spin" />
+      </div>
+    );
+  }
+
+  // a column per top-level genre, with its subgenres indented below it
+  const sections = genres.reduce((all, genre) => {
+    if (genre.depth === 0) all.push([]);
+    all[all.length - 1].push(genre);
+    return all;
+  }, []);
+
+  return (
+    <div className="grid p-4 sm:p-6 gap-4 dark:text-zinc-50">
+      <div className="w-full max-w-5xl m-auto columns-1 sm:columns-2 lg:columns-3 gap-4">
+        {sections.map(([root, ...subgenres]) => (
+          <section
+            key={root._id}
+            className="break-inside-avoid mb-4 p-4 rounded-lg border-2 border-slate-200 dark:border-zinc-800">
+            <Link
+              to={`/genres/${root.slug}`}
+              className="flex justify-between text-xl font-semibold tracking-tight hover:underline">
+              {root.name}
+              <span className="text-sm font-normal text-gray-500">
+                {root.bookCount}
+              </span>
+            </Link>
+            {root.description && (
+              <p className="text-sm text-gray-500">{root.description}</p>
+            )}
+            <ul className="mt-2 space-y-1">
+              {subgenres.map((genre) => (
+                <li
+                  key={genre._id}
+                  style={{ paddingLeft: `${genre.depth - 1}rem` }}>
+                  <Link
+                    to={`/genres/${genre.slug}`}
+                    className="flex justify-between text-sm hover:underline">
+                    {genre.name}
+                    <span className="text-gray-500">{genre.bookCount}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Genres;
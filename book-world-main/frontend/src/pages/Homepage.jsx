@@ -1,27 +1,75 @@
-import { LayoutGrid, Loader2, PlusCircle, Table } from "lucide-react";
+import { LayoutGrid, Loader2, PlusCircle, Table, Upload } from "lucide-react";
 import { lazy, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { DataTable } from "@/components/DataTable";
 import { bookColumns } from "@/components/bookColumns";
+import BookPagination from "@/components/BookPagination";
+import FacetSidebar from "@/components/FacetSidebar";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 const BookCard = lazy(() => import("@/components/BookCard"));
 import useBooks from "@/hooks/useBooks";
+import useGenres from "@/hooks/useGenres";
 import { useRecoilValue, useSetRecoilState } from "recoil";
 import { userRoleAtom } from "@/atoms/userData";
 import { pageTitleAtom } from "@/atoms/meta";
 
+const sortOptions = [
+  { value: "title", label: "Title (A-Z)" },
+  { value: "-title", label: "Title (Z-A)" },
+  { value: "author", label: "Author" },
+  { value: "-year_published", label: "Newest" },
+  { value: "year_published", label: "Oldest" },
+  { value: "-rating", label: "Top Rated" },
+  { value: "-reviews", label: "Most Reviewed" },
+];
+
 const Homepage = () => {
   const role = useRecoilValue(userRoleAtom);
   const navigate = useNavigate();
-  const { books, isLoading } = useBooks();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { books, pagination, facets, isLoading } = useBooks({ facets: true });
+  const { genres } = useGenres();
   const setPageTitle = useSetRecoilState(pageTitleAtom);
   useEffect(() => setPageTitle("The Book World"), []);
 
+  const isSearch = !!searchParams.get("q");
+  const sort = searchParams.get("sort") || (isSearch ? "relevance" : "");
+  const sorting =
+    sort && sort !== "relevance"
+      ? [{ id: sort.replace(/^-/, ""), desc: sort.startsWith("-") }]
+      : [];
+  const tablePagination = {
+    pageIndex: pagination.page - 1,
+    pageSize: pagination.limit,
+  };
+
+  const updateSearchParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    setSearchParams(params);
+  };
+
   return (
-    <main className="grid flex-1 items-start p-2 sm:px-4 md:gap-8">
-      <Tabs defaultValue="block">
-        <div className="flex items-center px-2 pt-2">
+    <main className="flex flex-col md:flex-row flex-1 items-start gap-2 p-2 sm:px-4 md:gap-4">
+      <FacetSidebar
+        facets={facets}
+        genres={genres}
+        searchParams={searchParams}
+        onChange={updateSearchParams}
+      />
+      <Tabs defaultValue="block" className="w-full min-w-0">
+        <div className="flex items-center px-2 pt-2 gap-2">
           <TabsList>
             <TabsTrigger default value="block" className="flex gap-2">
               <LayoutGrid size={20} />{" "}
@@ -31,6 +79,23 @@ const Homepage = () => {
               <Table size={20} /> <h3 className="not-hidden sm:block">Table</h3>
             </TabsTrigger>
           </TabsList>
+          <Select
+            value={sort}
+            onValueChange={(value) =>
+              updateSearchParams({ sort: value, page: "" })
+            }>
+            <SelectTrigger className="h-10 max-w-36">
+              <SelectValue placeholder="Sort By" />
+            </SelectTrigger>
+            <SelectContent>
+              {isSearch && <SelectItem value="relevance">Relevance</SelectItem>}
+              {sortOptions.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
           {role === "admin" && (
             <div className="ml-auto flex items-center gap-2">
               <Button
@@ -42,6 +107,15 @@ const Homepage = () => {
                 <PlusCircle size={20} />
                 Add Book
               </Button>
+              <Button
+                variant="outline"
+                className="h-10 gap-2"
+                onClick={() => {
+                  navigate("import");
+                }}>
+                <Upload size={20} />
+                Import
+              </Button>
             </div>
           )}
         </div>
@@ -52,18 +126,48 @@ const Homepage = () => {
               <Loader2 className="mx-auto  h-10 w-10 animate-spin" />
             </div>
           ) : (
-            <div className="grid grid-cols-2 sm:flex sm:flex-wrap">
-              {books?.map((book, index) => (
-                <BookCard key={index} book={book} />
-              ))}
-            </div>
+            <>
+              <div className="grid grid-cols-2 sm:flex sm:flex-wrap">
+                {books?.map((book, index) => (
+                  <BookCard key={index} book={book} />
+                ))}
+              </div>
+              <BookPagination
+                page={pagination.page}
+                totalPages={pagination.totalPages}
+                onPageChange={(page) => updateSearchParams({ page })}
+              />
+            </>
           )}
         </TabsContent>
         <TabsContent value="table" className="grid">
           <DataTable
             searchBy="title"
             columns={bookColumns}
-            data={books}></DataTable>
+            data={books}
+            pageCount={pagination.totalPages}
+            pagination={tablePagination}
+            onPaginationChange={(updater) => {
+              const next =
+                typeof updater === "function"
+                  ? updater(tablePagination)
+                  : updater;
+              updateSearchParams({
+                page:
+                  next.pageSize !== pagination.limit ? "" : next.pageIndex + 1,
+                limit: next.pageSize,
+              });
+            }}
+            sorting={sorting}
+            onSortingChange={(updater) => {
+              const next =
+                typeof updater === "function" ? updater(sorting) : updater;
+              const [first] = next;
+              updateSearchParams({
+                sort: first ? `${first.desc ? "-" : ""}${first.id}` : "",
+                page: "",
+              });
+            }}></DataTable>
         </TabsContent>
       </Tabs>
     </main>
@@ -0,0 +1,180 @@
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Loader2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { useSetRecoilState } from "recoil";
+import { pageTitleAtom } from "@/atoms/meta";
+import { toast } from "sonner";
+
+const statusVariant = {
+  created: "default",
+  updated: "secondary",
+  error: "destructive",
+};
+
+const ImportBooks = () => {
+  const setPageTitle = useSetRecoilState(pageTitleAtom);
+  useEffect(() => setPageTitle("Import Books"), []);
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [allowDuplicates, setAllowDuplicates] = useState(false);
+  const [ampersandAuthors, setAmpersandAuthors] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const upload = (dryRun) => {
+    setIsLoading(true);
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/books/import`,
+      {
+        file,
+        dryRun,
+        allowDuplicates,
+        authorSeparator: ampersandAuthors ? "&" : "",
+      },
+      {
+        headers: {
+          "Content-Type": "multipart/form-data",
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      }
+    );
+
+    toast.promise(promise, {
+      loading: dryRun ? "Checking file..." : "Importing...",
+      success: (response) => {
+        setReport(response.data);
+        return response.data.message;
+      },
+      error: (error) => {
+        if (
+          error &&
+          error.response &&
+          error.response.data &&
+          error.response.data.message
+        ) {
+          return error.response.data.message;
+        }
+        return "An unexpected error occurred. Please try again.";
+      },
+      finally: () => setIsLoading(false),
+    });
+  };
+
+  return (
+    <div className="grid flex-1 gap-4 p-4 sm:px-6 md:gap-8">
+      <Card className="w-full max-w-3xl mx-auto rounded-lg shadow-md overflow-hidden">
+        <CardHeader className="border-b border-slate-200 dark:border-zinc-800">
+          <CardTitle>Import Books</CardTitle>
+          <CardDescription>
+            Upload a CSV file with a header row or a JSON array of books.
+            Columns: title, author (co-authors separated by ;), genre (separated
+            by ;), description, year_published, isbn10, isbn13, image_url. Books
+            with the same ISBN, or the same title and author, are updated. Rows
+            looking like a book already in the catalog are skipped unless
+            possible duplicates are allowed.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-4 py-5">
+          <Input
+            type="file"
+            accept=".csv,.json"
+            onChange={(event) => {
+              setFile(event.target.files[0] ?? null);
+              setReport(null);
+            }}
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={allowDuplicates}
+              onChange={(event) => setAllowDuplicates(event.target.checked)}
+            />
+            Import possible duplicates as new books
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={ampersandAuthors}
+              onChange={(event) => setAmpersandAuthors(event.target.checked)}
+            />
+            Co-authors in the file are separated by &amp;
+          </label>
+          {report && (
+            <div className="grid gap-3">
+              <div className="flex flex-wrap gap-2 text-sm">
+                {report.dryRun && <Badge variant="outline">Preview</Badge>}
+                <span>{report.summary.created} new</span>
+                <span>{report.summary.updated} updated</span>
+                <span>{report.summary.error} with errors</span>
+              </div>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Errors</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.results.map((result) => (
+                    <TableRow key={result.row}>
+                      <TableCell>{result.row}</TableCell>
+                      <TableCell>{result.title}</TableCell>
+                      <TableCell>
+                        <Badge variant={statusVariant[result.status]}>
+                          {result.status}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-red-500">
+                        {result.errors.join(", ")}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className="flex justify-end gap-2 border-t border-slate-200 py-4 dark:border-zinc-800">
+          <Button variant="outline" onClick={() => navigate("/books/")}>
+            Back
+          </Button>
+          <Button
+            variant="outline"
+            disabled={!file || isLoading}
+            onClick={() => upload(true)}
+          >
+            Preview
+          </Button>
+          <Button disabled={!file || isLoading} onClick={() => upload(false)}>
+            {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Import
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default ImportBooks;
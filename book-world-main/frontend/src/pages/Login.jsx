@@ -49,7 +49,8 @@ const LoginForm = () => {
     setIsLoading(true);
     let promise = axios.post(
       `${import.meta.env.VITE_BACKEND_URL}/users/login`,
-      values
+      values,
+      { withCredentials: true }
     );
     toast.promise(promise, {
       loading: "Loading...",
@@ -110,7 +111,7 @@ const LoginForm = () => {
                         <div className="flex">
                           <FormLabel className="text-left">Password</FormLabel>
                           <Link
-                            href="#"
+                            to="/forgot-password"
                             className="ml-auto inline-block text-sm underline"
                           >
                             Forgot your password?
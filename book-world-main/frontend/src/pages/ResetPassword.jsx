@@ -0,0 +1,146 @@
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { resetPasswordSchema } from "@/schema";
+import { zodResolver } from "@hookform/resolvers/zod";
+import axios from "axios";
+import { Loader2 } from "lucide-react";
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { toast } from "sonner";
+
+// opened from the link of the password reset email, which carries the token
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+  const form = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+    defaultValues: {
+      password: "",
+      confirmPassword: "",
+    },
+  });
+
+  const onSubmit = ({ password }) => {
+    setIsLoading(true);
+    let promise = axios.post(
+      `${import.meta.env.VITE_BACKEND_URL}/users/password/reset`,
+      { token, password }
+    );
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        // every session was logged out, the one of this browser too
+        localStorage.removeItem("token");
+        navigate("/login");
+        return response.data.message;
+      },
+      error: (error) => {
+        if (
+          error &&
+          error.response &&
+          error.response.data &&
+          error.response.data.message
+        ) {
+          return error.response.data.message;
+        }
+        return "An unexpected error occurred. Please try again.";
+      },
+      finally: () => setIsLoading(false),
+    });
+  };
+
+  return (
+    <div className="grid items-center p-4 min-h-svh dark:bg-zinc-950">
+      <Card className="mx-auto max-w-sm">
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <CardHeader>
+              <CardTitle className="text-2xl">Reset Password</CardTitle>
+              <CardDescription>
+                {token
+                  ? "Choose a new password, you will be logged out of every device"
+                  : "This link is missing its token, open the link of the email again"}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="grid gap-4">
+                <FormField
+                  control={form.control}
+                  name="password"
+                  render={({ field }) => (
+                    <FormItem className="grid">
+                      <FormLabel className="text-left">New Password</FormLabel>
+                      <FormControl>
+                        <Input
+                          type="password"
+                          placeholder="password"
+                          {...field}
+                        />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="confirmPassword"
+                  render={({ field }) => (
+                    <FormItem className="grid">
+                      <FormLabel className="text-left">
+                        Confirm Password
+                      </FormLabel>
+                      <FormControl>
+                        <Input
+                          type="password"
+                          placeholder="password"
+                          {...field}
+                        />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                {isLoading ? (
+                  <Button disabled>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Please wait
+                  </Button>
+                ) : (
+                  <Button type="submit" className="w-full" disabled={!token}>
+                    Reset Password
+                  </Button>
+                )}
+              </div>
+              <div className="mt-4 text-center text-sm">
+                Link expired?{" "}
+                <Link to="/forgot-password" className="underline">
+                  Get a new one
+                </Link>
+              </div>
+            </CardContent>
+          </form>
+        </Form>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPassword;
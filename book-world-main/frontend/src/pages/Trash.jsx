@@ -0,0 +1,204 @@
+import axios from "axios";
+import { Loader2, RotateCcw, Trash2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { useSetRecoilState } from "recoil";
+import { pageTitleAtom } from "@/atoms/meta";
+import { toast } from "sonner";
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import BookPagination from "@/components/BookPagination";
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const errorMessage = (error) => {
+  if (
+    error &&
+    error.response &&
+    error.response.data &&
+    error.response.data.message
+  ) {
+    return error.response.data.message;
+  }
+  return "An unexpected error occurred. Please try again.";
+};
+
+const Trash = () => {
+  const setPageTitle = useSetRecoilState(pageTitleAtom);
+  useEffect(() => setPageTitle("Trash"), []);
+  const [books, setBooks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState();
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [counter, setCounter] = useState(0);
+
+  useEffect(() => {
+    setIsLoading(true);
+    axios
+      .get(`${import.meta.env.VITE_BACKEND_URL}/books/trash`, {
+        params: { page },
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("token")}`,
+        },
+      })
+      .then((response) => {
+        setBooks(response.data.books);
+        setRetentionDays(response.data.retentionDays);
+        setTotalPages(response.data.totalPages);
+      })
+      .catch((error) => toast.error(errorMessage(error)))
+      .finally(() => setIsLoading(false));
+  }, [page, counter]);
+
+  const act = (request) => {
+    let promise = request({
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    });
+
+    toast.promise(promise, {
+      loading: "Loading...",
+      success: (response) => {
+        setCounter((c) => c + 1);
+        return response.data.message;
+      },
+      error: errorMessage,
+    });
+  };
+
+  const restore = (book) =>
+    act((config) =>
+      axios.post(
+        `${import.meta.env.VITE_BACKEND_URL}/books/trash/${book._id}/restore`,
+        {},
+        config
+      )
+    );
+
+  const purge = (book) =>
+    act((config) =>
+      axios.delete(
+        `${import.meta.env.VITE_BACKEND_URL}/books/trash/${book._id}`,
+        config
+      )
+    );
+
+  if (isLoading) {
+    return (
+      <div className="w-full grid items-center">
+        <Loader2 className="mx-auto h-10 w-10 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:px-6 dark:text-zinc-50">
+      {retentionDays && (
+        <p className="text-sm text-gray-500 mb-4">
+          Books are deleted permanently {retentionDays} days after they are
+          moved to the Trash, together with their reviews and comments.
+        </p>
+      )}
+      {books.length === 0 ? (
+        <p className="text-center text-gray-500">The Trash is empty</p>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Title</TableHead>
+              <TableHead className="hidden sm:table-cell">Author</TableHead>
+              <TableHead className="hidden md:table-cell">Reviews</TableHead>
+              <TableHead>Deleted</TableHead>
+              <TableHead className="hidden md:table-cell">Purged on</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {books.map((book) => (
+              <TableRow key={book._id}>
+                <TableCell className="font-medium">{book.title}</TableCell>
+                <TableCell className="hidden sm:table-cell">
+                  {book.author}
+                </TableCell>
+                <TableCell className="hidden md:table-cell">
+                  {book.reviewCount}
+                </TableCell>
+                <TableCell>
+                  {formatDate(book.deletedAt)}
+                  {book.deletedBy && (
+                    <span className="block text-xs text-gray-500">
+                      by {book.deletedBy.firstName} {book.deletedBy.lastName}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell className="hidden md:table-cell">
+                  {formatDate(book.expiresAt)}
+                </TableCell>
+                <TableCell className="text-right space-x-2 whitespace-nowrap">
+                  <Button variant="outline" onClick={() => restore(book)}>
+                    <RotateCcw className="mr-2 h-4 w-4" />
+                    Restore
+                  </Button>
+                  <AlertDialog>
+                    <AlertDialogTrigger asChild>
+                      <Button
+                        variant="outline"
+                        className="border-2 border-red-100 hover:border-red-500 hover:bg-red-500/90 text-red-500 hover:text-zinc-50 dark:text-zinc-50">
+                        <Trash2 className="mr-2 h-4 w-4" />
+                        Delete
+                      </Button>
+                    </AlertDialogTrigger>
+                    <AlertDialogContent className="w-11/12">
+                      <AlertDialogHeader>
+                        <AlertDialogTitle>
+                          Are you absolutely sure?
+                        </AlertDialogTitle>
+                        <AlertDialogDescription>
+                          This action cannot be undone. This will permanently
+                          delete {book.title}, its reviews and comments.
+                        </AlertDialogDescription>
+                      </AlertDialogHeader>
+                      <AlertDialogFooter>
+                        <AlertDialogCancel>Cancel</AlertDialogCancel>
+                        <Button
+                          variant="destructive"
+                          onClick={() => purge(book)}>
+                          Delete
+                        </Button>
+                      </AlertDialogFooter>
+                    </AlertDialogContent>
+                  </AlertDialog>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+      <BookPagination
+        page={page}
+        totalPages={totalPages}
+        onPageChange={setPage}
+      />
+    </div>
+  );
+};
+
+export default Trash;
@@ -4,8 +4,10 @@ import axios from "axios";
 import { AlertCircle, Heart, Loader2, Star } from "lucide-react";
 import { useEffect, useState } from "react";
 import { useLocation, useParams } from "react-router-dom";
-import { useSetRecoilState } from "recoil";
+import { useRecoilValue, useSetRecoilState } from "recoil";
 import { pageTitleAtom } from "@/atoms/meta";
+import { userIdAtom } from "@/atoms/userData";
+import SessionList from "@/components/SessionList";
 import { toast } from "sonner";
 import multiavatar from "@multiavatar/multiavatar";
 
@@ -18,6 +20,7 @@ const UserDetails = () => {
   const svgBase64 = `data:image/svg+xml;base64,${btoa(svgCode)}`;
   const setPageTitle = useSetRecoilState(pageTitleAtom);
   useEffect(() => setPageTitle("User Profile"), []);
+  const myUserId = useRecoilValue(userIdAtom);
 
   useEffect(() => {
     setIsLoading(true);
@@ -54,7 +57,7 @@ const UserDetails = () => {
   }
 
   return (
-    <div className="mx-auto my-5 flex p-4 w-full flex-1 items-center flex-grow col-span-2 max-w-xl text-center">
+    <div className="mx-auto my-5 flex flex-col gap-4 p-4 w-full flex-1 justify-center flex-grow col-span-2 max-w-xl text-center">
       <div className="p-2 flex flex-col gap-3 w-full h-fit rounded-lg border relative border-slate-200 dark:border-zinc-800">
         <div className="flex flex-col text-center items-center justify-center gap-4 px-auto py-10 border-b border-slate-200 dark:border-zinc-800">
           <img
@@ -106,6 +109,7 @@ const UserDetails = () => {
           </div>
         </div>
       </div>
+      {userId === myUserId && <SessionList />}
     </div>
   );
 };
@@ -0,0 +1,71 @@
+import { isEmailVerifiedAtom } from "@/atoms/userData";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import axios from "axios";
+import { Loader2 } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useSetRecoilState } from "recoil";
+
+// opened from the link of the verification email, which carries the token
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const setIsEmailVerified = useSetRecoilState(isEmailVerifiedAtom);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    axios
+      .post(`${import.meta.env.VITE_BACKEND_URL}/users/email/verify`, {
+        token,
+      })
+      .then((response) => {
+        setIsEmailVerified(true);
+        setMessage(response.data.message);
+      })
+      .catch((error) => {
+        if (
+          error &&
+          error.response &&
+          error.response.data &&
+          error.response.data.message
+        ) {
+          setMessage(error.response.data.message);
+        } else {
+          setMessage("An unexpected error occurred. Please try again.");
+        }
+      })
+      .finally(() => setIsLoading(false));
+  }, [token, setIsEmailVerified]);
+
+  return (
+    <div className="grid items-center p-4 min-h-svh dark:bg-zinc-950">
+      <Card className="mx-auto max-w-sm">
+        <CardHeader>
+          <CardTitle className="text-2xl">Verify Email</CardTitle>
+          <CardDescription>
+            {isLoading ? "Verifying your email..." : message}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <Loader2 className="mx-auto h-6 w-6 animate-spin" />
+          ) : (
+            <Button asChild className="w-full">
+              <Link to="/books">Go to Books</Link>
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;
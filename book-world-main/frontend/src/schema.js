@@ -1,5 +1,10 @@
 import { z } from "zod";
-import genres from "./utilities/genres";
+import {
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  normalizeIsbn,
+} from "./utilities/isbn";
 
 export const reviewSchema = z.object({
   content: z
@@ -12,32 +17,37 @@ export const reviewSchema = z.object({
   ),
 });
 
-export const bookSchema = z.object({
+// the same limits as the upload of the api
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const bookFields = z.object({
   title: z
     .string()
     .trim()
     .min(1, { message: "Title must be at least 1 characters long" }),
   description: z.string().optional(),
   image: z
-    .any(
+    .union([
+      z.literal(""),
       z
         .instanceof(File)
-        .refine((file) => !file || file.size <= 5 * 1024 * 1024, {
+        .refine((file) => file.size <= MAX_IMAGE_SIZE, {
           message: `Image size must be less than ${
-            (5 * 1024 * 1024) / 1000000
+            MAX_IMAGE_SIZE / 1024 / 1024
           }MB`,
         })
-        .refine((file) => !file || ACCEPTED_IMAGE_TYPES.includes(file.type), {
+        .refine((file) => ACCEPTED_IMAGE_TYPES.includes(file.type), {
           message: "Only JPEG, JPG, PNG, and WEBP formats are allowed",
-        })
-    )
+        }),
+    ])
     .optional(),
   author: z
     .string()
     .trim()
     .min(3, { message: "Author name must be at least 3 characters long" }),
   genre: z
-    .array(z.enum(genres))
+    .array(z.string())
     .min(1, { message: "At least one genre is required" }),
   year_published: z.preprocess(
     (value) => (isNaN(value) ? 0 : value),
@@ -50,13 +60,61 @@ export const bookSchema = z.object({
       })
       .optional()
   ),
+  isbn13: z
+    .string()
+    .trim()
+    .optional()
+    .refine((isbn) => !isbn || isValidIsbn13(isbn), {
+      message: "Invalid ISBN-13",
+    }),
+  isbn10: z
+    .string()
+    .trim()
+    .optional()
+    .refine((isbn) => !isbn || isValidIsbn10(isbn), {
+      message: "Invalid ISBN-10",
+    }),
+  series: z.string().optional(),
+  seriesPosition: z
+    .union([
+      z.literal(""),
+      z.coerce.number().gte(0, { message: "Volume cannot be negative" }),
+    ])
+    .optional(),
+  format: z.string().optional(),
+  publisher: z.string().trim().optional(),
+  language: z.string().trim().optional(),
 });
 
+// both isbns are optional, but when both are given they must be the same book
+export const bookSchema = bookFields.refine(
+  ({ isbn10, isbn13 }) =>
+    !isbn10 ||
+    !isbn13 ||
+    !isValidIsbn10(isbn10) ||
+    isbn10To13(isbn10) === normalizeIsbn(isbn13),
+  { message: "ISBN-10 and ISBN-13 do not match", path: ["isbn10"] }
+);
+
 export const loginSchema = z.object({
   email: z.string().email("Invalid email address"),
   password: z.string().min(8, "Password must be at least 8 characters long"),
 });
 
+export const forgotPasswordSchema = z.object({
+  email: z.string().email("Invalid email address"),
+});
+
+export const resetPasswordSchema = z
+  .object({
+    password: z.string().min(8, "Password must be at least 8 characters long"),
+    confirmPassword: z.string(),
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords do not match",
+    path: ["confirmPassword"],
+  });
+
 export const userSchema = z.object({
   firstName: z.string().min(1, "First name is required"),
   lastName: z.string().min(1, "Last name is required"),
@@ -0,0 +1,63 @@
+import axios from "axios";
+
+// fired on window when the session cannot be refreshed anymore
+export const SESSION_EXPIRED_EVENT = "session-expired";
+
+let refreshing = null;
+
+// a new access token from the refresh token cookie, concurrent calls share
+// one request as each refresh token can only be used once
+export const refreshAccessToken = () => {
+  refreshing ??= axios
+    .post(`${import.meta.env.VITE_BACKEND_URL}/users/refresh`, null, {
+      withCredentials: true,
+      skipAuthRefresh: true,
+    })
+    .then((response) => {
+      localStorage.setItem("token", response.data.token);
+      return response.data.token;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// the answers of the api to an access token that ran out or whose session
+// ended, other refusals are not fixed by a new token
+const EXPIRED_MESSAGES = ["Token Expired", "Session Expired"];
+
+// access tokens expire after a few minutes, a request sent with one that ran
+// out gets a new token and is sent once more
+export const setupAuthInterceptor = () =>
+  axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    const authorization = config?.headers?.Authorization;
+    if (
+      !authorization ||
+      config.skipAuthRefresh ||
+      config.isRetry ||
+      response?.status !== 401 ||
+      !EXPIRED_MESSAGES.includes(response.data?.message) ||
+      !localStorage.getItem("token")
+    ) {
+      throw error;
+    }
+
+    let token;
+    try {
+      token = await refreshAccessToken();
+    } catch (refreshError) {
+      // another tab may have refreshed the session first
+      token = localStorage.getItem("token");
+      if (!token || authorization === `Bearer ${token}`) {
+        localStorage.removeItem("token");
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        throw error;
+      }
+    }
+
+    config.isRetry = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return axios(config);
+  });
@@ -0,0 +1,10 @@
+// the formats an edition of a book can have, as stored by the api
+const bookFormats = [
+  { value: "hardcover", label: "Hardcover" },
+  { value: "paperback", label: "Paperback" },
+  { value: "ebook", label: "E-book" },
+  { value: "audiobook", label: "Audiobook" },
+  { value: "other", label: "Other" },
+];
+
+export default bookFormats;
@@ -0,0 +1,26 @@
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const nameOf = (list, userAgent) =>
+  list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// a short name for the device of a session, like "Firefox on Windows"
+export const describeUserAgent = (userAgent = "") => {
+  const browser = nameOf(BROWSERS, userAgent);
+  const system = nameOf(SYSTEMS, userAgent);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent || "Unknown device";
+};
@@ -0,0 +1,50 @@
+// client side copy of backend/utils/isbn.js, used to validate the book forms
+// and to fill in one isbn from the other
+export const normalizeIsbn = (isbn) =>
+  String(isbn).replace(/[\s-]/g, "").toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce(
+    (total, digit, index) => total + Number(digit) * (10 - index),
+    0
+  );
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn10 = (isbn) => {
+  const value = normalizeIsbn(isbn);
+  return (
+    /^\d{9}[\dX]$/.test(value) &&
+    isbn10CheckDigit(value.slice(0, 9)) === value[9]
+  );
+};
+
+export const isValidIsbn13 = (isbn) => {
+  const value = normalizeIsbn(isbn);
+  return (
+    /^97[89]\d{10}$/.test(value) &&
+    isbn13CheckDigit(value.slice(0, 12)) === value[12]
+  );
+};
+
+export const isbn10To13 = (isbn10) => {
+  const first12 = "978" + normalizeIsbn(isbn10).slice(0, 9);
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// only 978 isbns have an isbn-10 counterpart
+export const isbn13To10 = (isbn13) => {
+  const value = normalizeIsbn(isbn13);
+  if (!value.startsWith("978")) return "";
+  const first9 = value.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
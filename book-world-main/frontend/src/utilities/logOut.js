@@ -0,0 +1,14 @@
+import axios from "axios";
+
+// ends the session on the backend, so its tokens stop working, then forgets
+// the token. the local logout goes ahead when the backend cannot be reached
+export const logOut = () =>
+  axios
+    .post(`${import.meta.env.VITE_BACKEND_URL}/users/logout`, null, {
+      withCredentials: true,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    })
+    .catch(() => {})
+    .finally(() => localStorage.removeItem("token"));
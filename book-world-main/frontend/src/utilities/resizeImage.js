@@ -0,0 +1,8 @@
+// cloudinary resizes images from a transformation in their url, images kept
+// by the other storages are served as they were uploaded
+const resizeImage = (url, transformation) =>
+  url?.includes("res.cloudinary.com")
+    ? url.replace("/upload/", `/upload/${transformation}/`)
+    : url;
+
+export default resizeImage;
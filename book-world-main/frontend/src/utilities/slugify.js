@@ -0,0 +1,11 @@
+// the url form of a genre name, the same as the slugs made by the api
+const slugify = (name) =>
+  String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export default slugify;
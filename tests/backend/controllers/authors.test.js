@@ -0,0 +1,242 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("@backend/index");
+const Author = require("@backend/models/authors");
+const Book = require("@backend/models/books");
+const Genre = require("@backend/models/genres");
+const User = require("@backend/models/users");
+const { accessTokenFor } = require("../tokens");
+const bcrypt = require("bcrypt");
+
+describe("Authors Controller", () => {
+  let adminToken, userToken;
+
+  beforeAll(async () => {
+    await mongoose.connect(
+      process.env.MONGO_TEST_URL || "mongodb://localhost:27017/book-world-test"
+    );
+    await Genre.create({ name: "Fantasy" });
+
+    const admin = await User.create({
+      firstName: "Admin",
+      lastName: "User",
+      email: "admin@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "admin",
+    });
+    adminToken = await accessTokenFor(admin);
+
+    const user = await User.create({
+      firstName: "Regular",
+      lastName: "User",
+      email: "user@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "user",
+    });
+    userToken = await accessTokenFor(user);
+  });
+
+  beforeEach(async () => {
+    await Book.deleteMany({});
+    await Author.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Book.deleteMany({});
+    await Author.deleteMany({});
+    await Genre.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const addBook = (book) =>
+    request(app)
+      .post("/books")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ genre: ["Fantasy"], year_published: 1990, ...book })
+      .expect(200);
+
+  describe("Books with authors", () => {
+    test("should link a book to its authors", async () => {
+      const response = await addBook({
+        title: "Good Omens",
+        author: "Neil Gaiman; Terry Pratchett",
+      });
+
+      const authors = await Author.find().sort({ name: 1 });
+      expect(authors.map((author) => author.name)).toEqual([
+        "Neil Gaiman",
+        "Terry Pratchett",
+      ]);
+      expect(response.body.book.authors).toEqual(
+        authors.map((author) => author._id.toString())
+      );
+    });
+
+    test("should not keep the authors of a refused book", async () => {
+      await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Mort",
+          author: "Terry Pratchett",
+          genre: ["Not a Genre"],
+          year_published: 1987,
+        })
+        .expect(400);
+
+      expect(await Author.countDocuments()).toBe(0);
+    });
+
+    test("should reuse an author spelled differently", async () => {
+      await addBook({ title: "Harry Potter", author: "J.K. Rowling" });
+      const response = await addBook({
+        title: "The Casual Vacancy",
+        author: "J. K. Rowling",
+      });
+
+      expect(await Author.countDocuments()).toBe(1);
+      expect(response.body.book.author).toBe("J.K. Rowling");
+    });
+
+    test("should populate the authors of a book", async () => {
+      const created = await addBook({
+        title: "Mort",
+        author: "Terry Pratchett",
+      });
+
+      const response = await request(app)
+        .get(`/books/${created.body.book._id}`)
+        .expect(200);
+
+      expect(response.body.book.authors[0].name).toBe("Terry Pratchett");
+    });
+  });
+
+  describe("GET /authors", () => {
+    test("should list authors with their book counts", async () => {
+      await addBook({ title: "Mort", author: "Terry Pratchett" });
+      await addBook({
+        title: "Good Omens",
+        author: "Neil Gaiman; Terry Pratchett",
+      });
+
+      const response = await request(app).get("/authors").expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(
+        response.body.authors.map((author) => [author.name, author.bookCount])
+      ).toEqual([
+        ["Neil Gaiman", 1],
+        ["Terry Pratchett", 2],
+      ]);
+    });
+
+    test("should search names and aliases", async () => {
+      await Author.create({
+        name: "J.K. Rowling",
+        aliases: ["Robert Galbraith"],
+      });
+      await Author.create({ name: "Jane Austen" });
+
+      const response = await request(app)
+        .get("/authors?q=galbraith")
+        .expect(200);
+
+      expect(response.body.authors).toHaveLength(1);
+      expect(response.body.authors[0].name).toBe("J.K. Rowling");
+    });
+  });
+
+  describe("GET /authors/:id", () => {
+    test("should return the author with their books", async () => {
+      await addBook({ title: "Mort", author: "Terry Pratchett" });
+      const author = await Author.findOne({ name: "Terry Pratchett" });
+
+      const response = await request(app)
+        .get(`/authors/${author._id}`)
+        .expect(200);
+
+      expect(response.body.author.name).toBe("Terry Pratchett");
+      expect(response.body.books.map((book) => book.title)).toEqual(["Mort"]);
+    });
+
+    test("should return 404 for non-existent author", async () => {
+      const response = await request(app)
+        .get(`/authors/${new mongoose.Types.ObjectId()}`)
+        .expect(404);
+
+      expect(response.body.message).toBe("Author not found");
+    });
+  });
+
+  describe("PUT /authors/:id", () => {
+    test("should update the author and the names on their books", async () => {
+      const created = await addBook({
+        title: "Mort",
+        author: "Terry Pratchet",
+      });
+      const author = await Author.findOne();
+
+      const response = await request(app)
+        .put(`/authors/${author._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          name: "Terry Pratchett",
+          aliases: "Terry Pratchet",
+          bio: "Author of the Discworld novels",
+          birth_year: 1948,
+          death_year: 2015,
+        })
+        .expect(200);
+
+      expect(response.body.message).toBe("Author Updated: Terry Pratchett");
+      expect(response.body.author.aliases).toEqual(["Terry Pratchet"]);
+      const book = await Book.findById(created.body.book._id);
+      expect(book.author).toBe("Terry Pratchett");
+    });
+
+    test("should reject a name used by another author", async () => {
+      await Author.create({ name: "Jane Austen" });
+      const author = await Author.create({ name: "Emily Bronte" });
+
+      const response = await request(app)
+        .put(`/authors/${author._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ aliases: ["jane austen"] })
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        "Jane Austen is already known by one of these names"
+      );
+    });
+
+    test("should reject a death before the birth", async () => {
+      const author = await Author.create({ name: "Jane Austen" });
+
+      const response = await request(app)
+        .put(`/authors/${author._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ birth_year: 1817, death_year: 1775 })
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "death_year cannot be before birth_year"
+      );
+    });
+
+    test("should reject non-admin users", async () => {
+      const author = await Author.create({ name: "Jane Austen" });
+
+      const response = await request(app)
+        .put(`/authors/${author._id}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ bio: "Changed" })
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Update an Author"
+      );
+    });
+  });
+});
@@ -1,10 +1,15 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
-const app = require("../../backend/index");
-const Book = require("../../backend/models/books");
-const User = require("../../backend/models/users");
-const Review = require("../../backend/models/review");
-const jwt = require("jsonwebtoken");
+const app = require("@backend/index");
+const Book = require("@backend/models/books");
+const Genre = require("@backend/models/genres");
+const User = require("@backend/models/users");
+const Review = require("@backend/models/review");
+const Comment = require("@backend/models/comments");
+const BookRevision = require("@backend/models/bookRevisions");
+const Work = require("@backend/models/works");
+const { purgeExpiredTrash } = require("@backend/controller/books");
+const { accessTokenFor } = require("../tokens");
 
 describe("Books Controller", () => {
   let adminToken, userToken, testBook, testUser, testAdmin;
@@ -14,6 +19,12 @@ describe("Books Controller", () => {
     await mongoose.connect(
       process.env.MONGO_TEST_URL || "mongodb://localhost:27017/book-world-test"
     );
+    // books can only use the genres of the taxonomy
+    await Genre.create(
+      ["Fiction", "Fantasy", "Drama", "Science Fiction", "Classics"].map(
+        (name) => ({ name })
+      )
+    );
 
     // Create test admin user
     testAdmin = new User({
@@ -24,10 +35,7 @@ describe("Books Controller", () => {
       role: "admin",
     });
     await testAdmin.save();
-    adminToken = jwt.sign(
-      { userId: testAdmin._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    adminToken = await accessTokenFor(testAdmin);
 
     // Create test regular user
     testUser = new User({
@@ -38,10 +46,7 @@ describe("Books Controller", () => {
       role: "user",
     });
     await testUser.save();
-    userToken = jwt.sign(
-      { userId: testUser._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    userToken = await accessTokenFor(testUser);
   });
 
   beforeEach(async () => {
@@ -65,6 +70,7 @@ describe("Books Controller", () => {
     await User.deleteMany({});
     await Book.deleteMany({});
     await Review.deleteMany({});
+    await Genre.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -92,6 +98,113 @@ describe("Books Controller", () => {
 
       expect(response.body.books.length).toBe(0);
     });
+
+    test("should rank title matches above description matches", async () => {
+      await Book.create({
+        title: "Dragons of Autumn",
+        author: "Margaret Weis",
+        genre: ["Fantasy"],
+      });
+      await Book.create({
+        title: "Autumn Tales",
+        author: "Someone Else",
+        description: "A story with a dragon in it",
+        genre: ["Fantasy"],
+      });
+
+      const response = await request(app).get("/books?q=dragon").expect(200);
+
+      expect(response.body.books.length).toBe(2);
+      expect(response.body.books[0].title).toBe("Dragons of Autumn");
+      expect(response.body.books[0].highlights.title).toBe(
+        "<mark>Dragons</mark> of Autumn"
+      );
+    });
+
+    test("should search with phrases and prefixes", async () => {
+      const response = await request(app)
+        .get('/books?q="test book" auth*')
+        .expect(200);
+
+      expect(response.body.books.length).toBe(1);
+      expect(response.body.books[0].highlights.author).toBe(
+        "<mark>Test</mark> <mark>Author</mark>"
+      );
+    });
+
+    test("should find nothing for prefixes no word starts with", async () => {
+      const response = await request(app).get("/books?q=zzzq*").expect(200);
+
+      expect(response.body.books).toEqual([]);
+      expect(response.body.total).toBe(0);
+    });
+
+    test("should paginate books with total count and links", async () => {
+      await Book.create({
+        title: "Another Book",
+        author: "Another Author",
+        genre: ["Drama"],
+        year_published: 1999,
+      });
+
+      const response = await request(app)
+        .get("/books?page=1&limit=1&sort=-year_published")
+        .expect(200);
+
+      expect(response.body.books.length).toBe(1);
+      expect(response.body.books[0].title).toBe("Test Book");
+      expect(response.body.total).toBe(2);
+      expect(response.body.totalPages).toBe(2);
+      expect(response.body.links.next).toContain("page=2");
+      expect(response.body.links.prev).toBeNull();
+    });
+
+    test("should filter books by genre and year range", async () => {
+      const response = await request(app)
+        .get("/books?genre=Fiction&year_from=2000&year_to=2024")
+        .expect(200);
+
+      expect(response.body.books.length).toBe(1);
+      expect(response.body.total).toBe(1);
+    });
+
+    test("should return facet counts when asked", async () => {
+      await Book.create({
+        title: "Another Book",
+        author: "Another Author",
+        genre: ["Drama", "Fiction"],
+        year_published: 1999,
+      });
+
+      const response = await request(app)
+        .get("/books?facets=true&genre=Drama")
+        .expect(200);
+
+      expect(response.body.books.length).toBe(1);
+      expect(response.body.facets.genre).toEqual([
+        { value: "Drama", count: 1 },
+        { value: "Fiction", count: 2 },
+        { value: "Test", count: 1 },
+      ]);
+      expect(response.body.facets.decade).toEqual([
+        { value: 1990, count: 1 },
+      ]);
+      expect(response.body.facets.rating).toEqual([{ value: 0, count: 1 }]);
+    });
+
+    test("should not return facets by default", async () => {
+      const response = await request(app).get("/books").expect(200);
+
+      expect(response.body.facets).toBeUndefined();
+    });
+
+    test("should reject unknown sort fields", async () => {
+      const response = await request(app)
+        .get("/books?sort=password")
+        .expect(400);
+
+      expect(response.body.message).toContain("sort must be one of");
+    });
   });
 
   describe("GET /books/:id", () => {
@@ -115,6 +228,36 @@ describe("Books Controller", () => {
     });
   });
 
+  describe("GET /books/isbn/:isbn", () => {
+    beforeEach(async () => {
+      testBook.isbn10 = "0306406152";
+      testBook.isbn13 = "9780306406157";
+      await testBook.save();
+    });
+
+    test("should find a book by ISBN-13 or ISBN-10", async () => {
+      const by13 = await request(app)
+        .get("/books/isbn/978-0-306-40615-7")
+        .expect(200);
+      const by10 = await request(app).get("/books/isbn/0306406152").expect(200);
+
+      expect(by13.body.book.title).toBe("Test Book");
+      expect(by10.body.book.title).toBe("Test Book");
+    });
+
+    test("should return 400 for an invalid ISBN", async () => {
+      const response = await request(app)
+        .get("/books/isbn/0306406153")
+        .expect(400);
+
+      expect(response.body.message).toBe("0306406153 is not a valid ISBN");
+    });
+
+    test("should return 404 for an unknown ISBN", async () => {
+      await request(app).get("/books/isbn/080442957X").expect(404);
+    });
+  });
+
   describe("POST /books", () => {
     test("should create book as admin", async () => {
       const bookData = {
@@ -141,6 +284,113 @@ describe("Books Controller", () => {
       expect(response.body.message).toContain("New Book: New Book Added");
     });
 
+    test("should store every size of an uploaded cover", async () => {
+      // a 1x1 png
+      const cover = Buffer.from(
+        "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+        "base64"
+      );
+
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .field("title", "New Book")
+        .field("author", "New Author")
+        .field("genre", "Fiction")
+        .attach("image", cover, "cover.png")
+        .expect(200);
+
+      const { images, image_url } = response.body.book;
+      expect(images.map(({ size, format }) => `${size} ${format}`)).toEqual([
+        "thumbnail jpeg",
+        "thumbnail webp",
+        "card jpeg",
+        "card webp",
+        "full jpeg",
+        "full webp",
+      ]);
+      expect(image_url).toBe(images[4].url);
+    });
+
+    test("should reject a cover that is not an image", async () => {
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .field("title", "New Book")
+        .field("author", "New Author")
+        .field("genre", "Fiction")
+        .attach("image", Buffer.from("not an image"), "cover.jpg")
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "The image could not be read, upload a PNG, JPEG or WebP image"
+      );
+    });
+
+    test("should fill in the ISBN-13 from an ISBN-10", async () => {
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "New Book",
+          author: "New Author",
+          genre: ["Fiction"],
+          isbn10: "0-8044-2957-X",
+        })
+        .expect(200);
+
+      expect(response.body.book.isbn10).toBe("080442957X");
+      expect(response.body.book.isbn13).toBe("9780804429573");
+    });
+
+    test("should reject a genre missing from the taxonomy", async () => {
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "New Book",
+          author: "New Author",
+          genre: ["fiction", "Cli-Fi"],
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe("Unknown genre: Cli-Fi");
+    });
+
+    test("should spell genres as in the taxonomy", async () => {
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "New Book",
+          author: "New Author",
+          genre: ["science-fiction", "classics"],
+        })
+        .expect(200);
+
+      expect(response.body.book.genre).toEqual(["Science Fiction", "Classics"]);
+    });
+
+    test("should reject a duplicate ISBN", async () => {
+      testBook.isbn13 = "9780306406157";
+      await testBook.save();
+
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "New Book",
+          author: "New Author",
+          genre: ["Fiction"],
+          isbn10: "0306406152",
+        })
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        "ISBN 9780306406157 is already used by Test Book"
+      );
+    });
+
     test("should reject non-admin users", async () => {
       const bookData = {
         title: "New Book",
@@ -177,6 +427,167 @@ describe("Books Controller", () => {
     });
   });
 
+  describe("GET /books/export", () => {
+    beforeEach(async () => {
+      await Book.create({
+        title: "Dune",
+        author: "Frank Herbert",
+        genre: ["Science Fiction"],
+        year_published: 1965,
+      });
+    });
+
+    test("should export the filtered books as csv", async () => {
+      const response = await request(app)
+        .get("/books/export?format=csv&genre=Science%20Fiction")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers["content-type"]).toContain("text/csv");
+      expect(response.headers["content-disposition"]).toContain("books.csv");
+      const lines = response.text.trim().split("\r\n");
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain("Dune,Frank Herbert");
+    });
+
+    test("should export every book as json lines", async () => {
+      const response = await request(app)
+        .get("/books/export?format=jsonl&sort=-title")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => callback(null, text));
+        })
+        .expect(200);
+
+      const titles = response.body
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line).title);
+      expect(titles).toEqual(["Test Book", "Dune"]);
+    });
+
+    test("should reject unknown formats", async () => {
+      const response = await request(app)
+        .get("/books/export?format=pdf")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "format must be one of csv, jsonl, bibtex, marcxml"
+      );
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .get("/books/export")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Export Books"
+      );
+    });
+  });
+
+  describe("POST /books/import", () => {
+    const csv = [
+      "title,author,genre,year_published,isbn13",
+      "Dune,Frank Herbert,Science Fiction;Classics,1965,",
+      "Test Book,Test Author,Fiction,2020,",
+      "Broken,,Fiction,1999,123",
+      "dune,frank herbert,Science Fiction,1965,",
+    ].join("\n");
+
+    test("should create, update and report rows", async () => {
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from(csv), "books.csv")
+        .expect(200);
+
+      expect(response.body.summary).toEqual({
+        created: 1,
+        updated: 1,
+        error: 2,
+      });
+      expect(response.body.results.map((result) => result.status)).toEqual([
+        "created",
+        "updated",
+        "error",
+        "error",
+      ]);
+      expect(response.body.results[2].errors).toContain(
+        "123 is not a valid ISBN-13"
+      );
+      expect(response.body.results[3].errors).toEqual(["Duplicate of row 1"]);
+
+      const updated = await Book.findById(testBook._id);
+      expect(updated.year_published).toBe(2020);
+      expect(await Book.countDocuments({ title: "Dune" })).toBe(1);
+    });
+
+    test("should not write anything on a dry run", async () => {
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .field("dryRun", "true")
+        .attach("file", Buffer.from(csv), "books.csv")
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary.created).toBe(1);
+      expect(await Book.countDocuments()).toBe(1);
+      expect((await Book.findById(testBook._id)).year_published).toBe(2024);
+    });
+
+    test("should match existing books by ISBN in json files", async () => {
+      testBook.isbn13 = "9780306406157";
+      await testBook.save();
+
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach(
+          "file",
+          Buffer.from(
+            JSON.stringify([{ title: "Renamed", isbn10: "0306406152" }])
+          ),
+          "books.json"
+        )
+        .expect(200);
+
+      expect(response.body.results[0].status).toBe("updated");
+      expect((await Book.findById(testBook._id)).title).toBe("Renamed");
+    });
+
+    test("should reject files over the size limit", async () => {
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.alloc(5 * 1024 * 1024 + 1), "books.csv")
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "Import files cannot be larger than 5 MB"
+      );
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${userToken}`)
+        .attach("file", Buffer.from(csv), "books.csv")
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Import Books"
+      );
+    });
+  });
+
   describe("PUT /books/:id", () => {
     test("should update book as admin", async () => {
       const updateData = {
@@ -221,22 +632,149 @@ describe("Books Controller", () => {
         .set("Authorization", `Bearer ${adminToken}`)
         .send(updateData)
         .expect(404);
+
+      expect(response.body.message).toBe("Book not found");
+    });
+  });
+
+  describe("Book history", () => {
+    const editTitle = (title) =>
+      request(app)
+        .put(`/books/${testBook._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title })
+        .expect(200);
+
+    beforeEach(async () => {
+      await BookRevision.deleteMany({});
+    });
+
+    test("should record a revision for each create and update", async () => {
+      const created = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "New Book", author: "New Author", genre: ["Fiction"] })
+        .expect(200);
+      await editTitle("Renamed Book");
+
+      const revisions = await BookRevision.find().sort({ createdAt: 1 });
+      expect(revisions.map((revision) => revision.action)).toEqual([
+        "create",
+        "update",
+      ]);
+      expect(revisions[0].bookId).toEqual(
+        new mongoose.Types.ObjectId(created.body.book._id)
+      );
+      expect(revisions[1].editorId).toEqual(testAdmin._id);
+      expect(revisions[1].changes).toEqual([
+        { field: "title", from: "Test Book", to: "Renamed Book" },
+      ]);
+    });
+
+    test("should not record updates that change nothing", async () => {
+      await editTitle("Test Book");
+      expect(await BookRevision.countDocuments()).toBe(0);
+    });
+
+    test("should return the history newest first", async () => {
+      await editTitle("First Title");
+      await editTitle("Second Title");
+
+      const response = await request(app)
+        .get(`/books/${testBook._id}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.revisions[0].changes[0].to).toBe("Second Title");
+      expect(response.body.revisions[0].editorId.firstName).toBe("Admin");
+    });
+
+    test("should answer the history of unknown books with 400 or 404", async () => {
+      await request(app)
+        .get("/books/invalid-id/history")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/books/${new mongoose.Types.ObjectId()}/history`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+      expect(response.body.message).toBe("Book not found");
+    });
+
+    test("should revert to an earlier revision", async () => {
+      await editTitle("First Title");
+      await editTitle("Second Title");
+      const first = await BookRevision.findOne({
+        "snapshot.title": "First Title",
+      });
+
+      const response = await request(app)
+        .post(`/books/${testBook._id}/history/${first._id}/revert`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.book.title).toBe("First Title");
+      const latest = await BookRevision.findOne().sort({ createdAt: -1 });
+      expect(latest.action).toBe("revert");
+      expect(latest.revertedTo).toEqual(first._id);
+    });
+
+    test("should reject revisions of another book", async () => {
+      const other = await BookRevision.create({
+        bookId: new mongoose.Types.ObjectId(),
+        action: "create",
+        snapshot: { title: "Other" },
+      });
+
+      const response = await request(app)
+        .post(`/books/${testBook._id}/history/${other._id}/revert`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe("Revision not found");
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .get(`/books/${testBook._id}/history`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to view Book History"
+      );
     });
   });
 
   describe("DELETE /books/:id", () => {
-    test("should delete book as admin", async () => {
+    test("should move the book to the trash as admin", async () => {
       const response = await request(app)
         .delete(`/books/${testBook._id}`)
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(200);
 
       expect(response.body.book.title).toBe("Test Book");
-      expect(response.body.message).toContain("Book Deleted: Test Book");
+      expect(response.body.message).toContain("Book moved to Trash: Test Book");
+      expect(response.body.expiresAt).toBeDefined();
+
+      // Verify book is hidden but kept
+      expect(await Book.findById(testBook._id)).toBeNull();
+      const trashed = await Book.findById(testBook._id).withTrashed();
+      expect(trashed.deletedAt).toBeInstanceOf(Date);
+      expect(trashed.deletedBy).toEqual(testAdmin._id);
+    });
+
+    test("should leave trashed books out of the listing", async () => {
+      await request(app)
+        .delete(`/books/${testBook._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
 
-      // Verify book is deleted
-      const deletedBook = await Book.findById(testBook._id);
-      expect(deletedBook).toBeNull();
+      const response = await request(app).get("/books").expect(200);
+      expect(response.body.books).toHaveLength(0);
+      expect(response.body.total).toBe(0);
     });
 
     test("should reject non-admin users", async () => {
@@ -259,7 +797,7 @@ describe("Books Controller", () => {
         .expect(404);
     });
 
-    test("should delete associated reviews and user favorites", async () => {
+    test("should keep reviews and favorites while in the trash", async () => {
       // Create a review for the book
       const review = new Review({
         userId: testUser._id,
@@ -279,13 +817,295 @@ describe("Books Controller", () => {
         .set("Authorization", `Bearer ${adminToken}`)
         .expect(200);
 
-      // Verify review is deleted
-      const deletedReview = await Review.findById(review._id);
-      expect(deletedReview).toBeNull();
+      // Verify review is kept for a restore
+      expect(await Review.findById(review._id)).not.toBeNull();
+
+      const updatedUser = await User.findById(testUser._id);
+      expect(updatedUser.favoriteBooks).toContainEqual(testBook._id);
+    });
+  });
+
+  describe("Trash", () => {
+    beforeEach(async () => {
+      testBook.deletedAt = new Date();
+      await testBook.save();
+    });
+
+    test("should list trashed books with their purge date", async () => {
+      const response = await request(app)
+        .get("/books/trash")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.books).toHaveLength(1);
+      expect(response.body.books[0].title).toBe("Test Book");
+      expect(response.body.books[0].reviewCount).toBe(0);
+      expect(response.body.retentionDays).toBe(30);
+      expect(
+        new Date(response.body.books[0].expiresAt) - testBook.deletedAt
+      ).toBe(30 * 86400000);
+    });
+
+    test("should restore a trashed book", async () => {
+      const response = await request(app)
+        .post(`/books/trash/${testBook._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe("Book Restored: Test Book");
+      expect(await Book.findById(testBook._id)).not.toBeNull();
+    });
+
+    test("should only restore books that are in the trash", async () => {
+      testBook.deletedAt = null;
+      await testBook.save();
+
+      const response = await request(app)
+        .post(`/books/trash/${testBook._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe("No Book found in the Trash");
+    });
+
+    test("should purge a book with its reviews, comments and references", async () => {
+      const review = await Review.create({
+        userId: testUser._id,
+        bookId: testBook._id,
+        content: "Test review",
+        rating: 5,
+      });
+      const comment = await Comment.create({
+        reviewId: review._id,
+        userId: testUser._id,
+        content: "Test comment",
+      });
+      const reply = await Comment.create({
+        reviewId: review._id,
+        userId: testAdmin._id,
+        content: "Test reply",
+        parent: comment._id,
+      });
+      testUser.favoriteBooks.push(testBook._id);
+      testUser.likedReviews.push(review._id);
+      testUser.likedComments.push(reply._id);
+      await testUser.save();
+
+      const response = await request(app)
+        .delete(`/books/trash/${testBook._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe("Book Deleted Permanently: Test Book");
+      expect(response.body.removed).toEqual({
+        books: 1,
+        reviews: 1,
+        comments: 2,
+        revisions: 0,
+        favourites: 1,
+        likedReviews: 1,
+        likedComments: 1,
+      });
+      expect(await Book.findById(testBook._id).withTrashed()).toBeNull();
+      expect(await Review.countDocuments({ bookId: testBook._id })).toBe(0);
+      expect(await Comment.countDocuments({ reviewId: review._id })).toBe(0);
+
+      const updatedUser = await User.findById(testUser._id);
+      expect(updatedUser.favoriteBooks).toHaveLength(0);
+      expect(updatedUser.likedReviews).toHaveLength(0);
+      expect(updatedUser.likedComments).toHaveLength(0);
+    });
+
+    test("should purge books past the retention window", async () => {
+      testBook.deletedAt = new Date(Date.now() - 31 * 86400000);
+      await testBook.save();
+
+      expect(await purgeExpiredTrash()).toBe(1);
+      expect(await Book.findById(testBook._id).withTrashed()).toBeNull();
+    });
+
+    test("should take a purged book out of its editions", async () => {
+      const work = await Work.create({ title: "Test Book" });
+      const edition = await Book.create({
+        title: "Test Book",
+        author: "Test Author",
+        genre: ["Fiction"],
+        work: work._id,
+      });
+      testBook.work = work._id;
+      await testBook.save();
+
+      await request(app)
+        .delete(`/books/trash/${testBook._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Work.findById(work._id)).toBeNull();
+      expect((await Book.findById(edition._id)).work).toBeUndefined();
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .get("/books/trash")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to view the Trash"
+      );
+    });
+  });
+
+  describe("Duplicates", () => {
+    test("should find books looking like the one described", async () => {
+      const response = await request(app)
+        .get("/books/duplicates?title=the%20test%20book!&author=test%20autor")
+        .expect(200);
+
+      expect(response.body.duplicates).toHaveLength(1);
+      expect(response.body.duplicates[0].book._id).toBe(
+        testBook._id.toString()
+      );
+      expect(response.body.duplicates[0].matches).toEqual(["title", "author"]);
+    });
+
+    test("should leave out the book itself and other editions", async () => {
+      testBook.isbn13 = "9780306406157";
+      await testBook.save();
+
+      const itself = await request(app)
+        .get(`/books/duplicates?title=Test%20Book&exclude=${testBook._id}`)
+        .expect(200);
+      expect(itself.body.duplicates).toEqual([]);
+
+      const edition = await request(app)
+        .get("/books/duplicates?title=Test%20Book&isbn=9781861972712")
+        .expect(200);
+      expect(edition.body.duplicates).toEqual([]);
+    });
+
+    test("should only add a possible duplicate once confirmed", async () => {
+      const book = {
+        title: "Test  Book",
+        author: "Test Author",
+        genre: ["Fiction"],
+      };
+
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(book)
+        .expect(409);
+      expect(response.body.message).toBe(
+        "Possible duplicate of Test Book by Test Author"
+      );
+      expect(response.body.duplicates).toHaveLength(1);
+
+      await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...book, allowDuplicate: true })
+        .expect(200);
+      expect(await Book.countDocuments()).toBe(2);
+    });
+
+    test("should report possible duplicates in imports", async () => {
+      const csv = ["title,author,genre", "Test Bok,Test Author,Fiction"].join(
+        "\n"
+      );
+
+      const response = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from(csv), "books.csv")
+        .expect(200);
+      expect(response.body.results[0].errors).toEqual([
+        "Possible duplicate of Test Book by Test Author",
+      ]);
+
+      const allowed = await request(app)
+        .post("/books/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .field("allowDuplicates", "true")
+        .attach("file", Buffer.from(csv), "books.csv")
+        .expect(200);
+      expect(allowed.body.summary.created).toBe(1);
+    });
+
+    test("should merge a duplicate with its reviews and favourites", async () => {
+      const duplicate = await Book.create({
+        title: "The Test Book",
+        author: "Test Author",
+        genre: ["Fiction"],
+      });
+      await Review.create([
+        {
+          userId: testUser._id,
+          bookId: duplicate._id,
+          content: "Moved review",
+          rating: 4,
+        },
+        {
+          userId: testAdmin._id,
+          bookId: duplicate._id,
+          content: "Dropped review",
+          rating: 1,
+        },
+        {
+          userId: testAdmin._id,
+          bookId: testBook._id,
+          content: "Kept review",
+          rating: 5,
+        },
+      ]);
+      testUser.favoriteBooks.push(duplicate._id);
+      await testUser.save();
+
+      const response = await request(app)
+        .post(`/books/${testBook._id}/merge`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ duplicateId: duplicate._id })
+        .expect(200);
+
+      expect(response.body.message).toBe("The Test Book Merged into Test Book");
+      expect(response.body.moved).toEqual({ reviews: 1, favourites: 1 });
+      expect(response.body.removed.reviews).toBe(1);
+      expect(response.body.book.ratingCount).toBe(2);
+      expect(await Book.findById(duplicate._id).withTrashed()).toBeNull();
 
-      // Verify book is removed from user favorites
+      const reviews = await Review.find({ bookId: testBook._id });
+      expect(reviews.map((review) => review.content).sort()).toEqual([
+        "Kept review",
+        "Moved review",
+      ]);
       const updatedUser = await User.findById(testUser._id);
-      expect(updatedUser.favoriteBooks).not.toContain(testBook._id);
+      expect(updatedUser.favoriteBooks).toEqual([testBook._id]);
+
+      await Review.deleteMany({});
+      testUser.favoriteBooks = [];
+      await testUser.save();
+    });
+
+    test("should not merge a book into itself", async () => {
+      const response = await request(app)
+        .post(`/books/${testBook._id}/merge`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ duplicateId: testBook._id })
+        .expect(400);
+
+      expect(response.body.message).toBe("A Book cannot be merged into itself");
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .post(`/books/${testBook._id}/merge`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ duplicateId: new mongoose.Types.ObjectId() })
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Merge Books"
+      );
     });
   });
 });
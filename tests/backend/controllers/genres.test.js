@@ -0,0 +1,305 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("@backend/index");
+const Book = require("@backend/models/books");
+const Genre = require("@backend/models/genres");
+const BookRevision = require("@backend/models/bookRevisions");
+const User = require("@backend/models/users");
+const { accessTokenFor } = require("../tokens");
+const bcrypt = require("bcrypt");
+
+describe("Genres Controller", () => {
+  let adminToken, userToken, fiction, fantasy, highFantasy;
+
+  beforeAll(async () => {
+    await mongoose.connect(
+      process.env.MONGO_TEST_URL || "mongodb://localhost:27017/book-world-test"
+    );
+
+    const admin = await User.create({
+      firstName: "Admin",
+      lastName: "User",
+      email: "admin@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "admin",
+    });
+    adminToken = await accessTokenFor(admin);
+
+    const user = await User.create({
+      firstName: "Regular",
+      lastName: "User",
+      email: "user@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "user",
+    });
+    userToken = await accessTokenFor(user);
+  });
+
+  beforeEach(async () => {
+    await Book.deleteMany({});
+    await BookRevision.deleteMany({});
+    await Genre.deleteMany({});
+
+    fiction = await Genre.create({ name: "Fiction" });
+    fantasy = await Genre.create({ name: "Fantasy", parent: fiction._id });
+    highFantasy = await Genre.create({
+      name: "High Fantasy",
+      parent: fantasy._id,
+    });
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Book.deleteMany({});
+    await BookRevision.deleteMany({});
+    await Genre.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe("GET /genres", () => {
+    test("should list every genre with its parent", async () => {
+      const response = await request(app).get("/genres").expect(200);
+
+      expect(response.body.genres.map((genre) => genre.name)).toEqual([
+        "Fantasy",
+        "Fiction",
+        "High Fantasy",
+      ]);
+      expect(response.body.genres[2].parent).toBe(fantasy._id.toString());
+    });
+
+    test("should count the books of the subgenres once", async () => {
+      await Book.create([
+        {
+          title: "Mort",
+          author: "Terry Pratchett",
+          genre: ["Fantasy", "High Fantasy"],
+        },
+        { title: "Dune", author: "Frank Herbert", genre: ["Fiction"] },
+      ]);
+
+      const response = await request(app).get("/genres").expect(200);
+
+      expect(
+        response.body.genres.map(({ name, bookCount }) => [name, bookCount])
+      ).toEqual([
+        ["Fantasy", 1],
+        ["Fiction", 2],
+        ["High Fantasy", 1],
+      ]);
+    });
+  });
+
+  describe("GET /genres/:id", () => {
+    test("should find a genre by its slug", async () => {
+      const response = await request(app)
+        .get("/genres/high-fantasy")
+        .expect(200);
+
+      expect(response.body.genre.name).toBe("High Fantasy");
+      expect(response.body.ancestors.map((genre) => genre.name)).toEqual([
+        "Fiction",
+        "Fantasy",
+      ]);
+      expect(response.body.children).toEqual([]);
+    });
+
+    test("should list the books of the genre and its subgenres", async () => {
+      await Book.create([
+        {
+          title: "Mort",
+          author: "Terry Pratchett",
+          genre: ["High Fantasy"],
+          ratingCount: 4,
+          ratingAverage: 4.5,
+        },
+        {
+          title: "The Hobbit",
+          author: "J.R.R. Tolkien",
+          genre: ["Fantasy"],
+          ratingCount: 10,
+          ratingAverage: 4,
+        },
+        { title: "Eragon", author: "Christopher Paolini", genre: ["Fantasy"] },
+        { title: "SPQR", author: "Mary Beard", genre: ["History"] },
+      ]);
+
+      const response = await request(app)
+        .get("/genres/fantasy?sort=title&limit=2")
+        .expect(200);
+
+      expect(response.body.books.map((book) => book.title)).toEqual([
+        "Eragon",
+        "Mort",
+      ]);
+      expect(response.body.total).toBe(3);
+      expect(response.body.totalPages).toBe(2);
+      expect(response.body.children.map((genre) => genre.name)).toEqual([
+        "High Fantasy",
+      ]);
+      expect(response.body.topRated.map((book) => book.title)).toEqual([
+        "Mort",
+        "The Hobbit",
+      ]);
+      expect(response.body.mostReviewed.map((book) => book.title)).toEqual([
+        "The Hobbit",
+        "Mort",
+      ]);
+      expect(response.body.stats).toEqual({
+        books: 3,
+        reviews: 14,
+        averageRating: 4.14,
+      });
+    });
+
+    test("should return 404 for an unknown genre", async () => {
+      const response = await request(app).get("/genres/cli-fi").expect(404);
+
+      expect(response.body.message).toBe("Genre not found");
+    });
+  });
+
+  describe("POST /genres", () => {
+    test("should create a subgenre as admin", async () => {
+      const response = await request(app)
+        .post("/genres")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Urban Fantasy", parent: fantasy._id.toString() })
+        .expect(200);
+
+      expect(response.body.genre.slug).toBe("urban-fantasy");
+      expect(response.body.message).toBe("New Genre: Urban Fantasy Added");
+    });
+
+    test("should reject a name already taken", async () => {
+      const response = await request(app)
+        .post("/genres")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "high fantasy" })
+        .expect(409);
+
+      expect(response.body.message).toBe("Genre High Fantasy already exists");
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .post("/genres")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Horror" })
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Add a Genre"
+      );
+    });
+  });
+
+  describe("PUT /genres/:id", () => {
+    test("should rename the genre on its books", async () => {
+      await Book.create({
+        title: "Mort",
+        author: "Terry Pratchett",
+        genre: ["High Fantasy", "Humor"],
+      });
+
+      await request(app)
+        .put(`/genres/${highFantasy._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Epic Fantasy" })
+        .expect(200);
+
+      const book = await Book.findOne({ title: "Mort" });
+      expect(book.genre).toEqual(["Epic Fantasy", "Humor"]);
+    });
+
+    test("should rename the genre in the history of books", async () => {
+      const book = await Book.create({
+        title: "Mort",
+        author: "Terry Pratchett",
+        genre: ["High Fantasy"],
+      });
+      const revision = await BookRevision.create({
+        bookId: book._id,
+        action: "create",
+        snapshot: { title: "Mort", genre: ["High Fantasy", "Humor"] },
+      });
+
+      await request(app)
+        .put(`/genres/${highFantasy._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Epic Fantasy" })
+        .expect(200);
+
+      const renamed = await BookRevision.findById(revision._id);
+      expect(renamed.snapshot.genre).toEqual(["Epic Fantasy", "Humor"]);
+    });
+
+    test("should not place a genre under its own subgenre", async () => {
+      const response = await request(app)
+        .put(`/genres/${fiction._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ parent: highFantasy._id.toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "A genre cannot be placed under itself or its subgenres"
+      );
+    });
+  });
+
+  describe("DELETE /genres/:id", () => {
+    test("should refuse a genre with subgenres", async () => {
+      const response = await request(app)
+        .delete(`/genres/${fantasy._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        "Fantasy has subgenres, move or delete them first"
+      );
+    });
+
+    test("should refuse a genre used by books", async () => {
+      await Book.create({
+        title: "Mort",
+        author: "Terry Pratchett",
+        genre: ["High Fantasy"],
+      });
+
+      const response = await request(app)
+        .delete(`/genres/${highFantasy._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.message).toBe("High Fantasy is the genre of 1 book");
+    });
+
+    test("should delete an unused genre", async () => {
+      await request(app)
+        .delete(`/genres/${highFantasy._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Genre.exists({ _id: highFantasy._id })).toBeNull();
+    });
+  });
+
+  describe("Searching by genre", () => {
+    test("should include the books of the subgenres", async () => {
+      await Book.create([
+        { title: "Mort", author: "Terry Pratchett", genre: ["High Fantasy"] },
+        { title: "Dune", author: "Frank Herbert", genre: ["Fiction"] },
+        { title: "SPQR", author: "Mary Beard", genre: ["History"] },
+      ]);
+
+      const response = await request(app)
+        .get("/books?genre=Fiction&sort=title")
+        .expect(200);
+
+      expect(response.body.books.map((book) => book.title)).toEqual([
+        "Dune",
+        "Mort",
+      ]);
+    });
+  });
+});
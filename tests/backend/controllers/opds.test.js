@@ -0,0 +1,149 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("@backend/index");
+const Book = require("@backend/models/books");
+const User = require("@backend/models/users");
+const Review = require("@backend/models/review");
+
+describe("OPDS Controller", () => {
+  let dune, emma, testUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(
+      process.env.MONGO_TEST_URL || "mongodb://localhost:27017/book-world-test"
+    );
+
+    testUser = new User({
+      firstName: "Regular",
+      lastName: "User",
+      email: "opds@test.com",
+      password: "password123",
+      role: "user",
+    });
+    await testUser.save();
+  });
+
+  beforeEach(async () => {
+    await Book.deleteMany({});
+    await Review.deleteMany({});
+
+    dune = await Book.create({
+      title: "Dune",
+      author: "Frank Herbert",
+      description: "Spice & sand",
+      genre: ["Science Fiction"],
+      year_published: 1965,
+      isbn13: "9780306406157",
+      image_url: "https://covers.test/dune.jpg",
+    });
+    emma = await Book.create({
+      title: "Emma",
+      author: "Jane Austen",
+      genre: ["Classics", "Romance"],
+      year_published: 1815,
+    });
+    await Review.create({
+      userId: testUser._id,
+      bookId: emma._id,
+      content: "Lovely",
+      rating: 5,
+    });
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Book.deleteMany({});
+    await Review.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe("GET /opds", () => {
+    test("should return the root navigation feed", async () => {
+      const response = await request(app).get("/opds").expect(200);
+
+      expect(response.headers["content-type"]).toContain("kind=navigation");
+      expect(response.text).toContain("<title>Newest Books</title>");
+      expect(response.text).toContain("<title>Most Reviewed</title>");
+      expect(response.text).toContain("<title>By Genre</title>");
+      expect(response.text).toMatch(
+        /<link rel="search" href="[^"]+\/opds\/search.xml"/
+      );
+    });
+  });
+
+  describe("GET /opds/genres", () => {
+    test("should list every genre with its count", async () => {
+      const response = await request(app).get("/opds/genres").expect(200);
+
+      expect(response.text).toContain("<title>Classics</title>");
+      expect(response.text).toContain("/opds/genres/Science%20Fiction");
+      expect(response.text).toContain("1 book</content>");
+    });
+
+    test("should return the books of a genre", async () => {
+      const response = await request(app)
+        .get("/opds/genres/Romance")
+        .expect(200);
+
+      expect(response.headers["content-type"]).toContain("kind=acquisition");
+      expect(response.text).toContain("<title>Emma</title>");
+      expect(response.text).not.toContain("<title>Dune</title>");
+    });
+  });
+
+  describe("acquisition feeds", () => {
+    test("should describe books with covers and isbns", async () => {
+      const response = await request(app).get("/opds/new").expect(200);
+
+      expect(response.text.indexOf("Emma")).toBeLessThan(
+        response.text.indexOf("Dune")
+      );
+      expect(response.text).toContain(`urn:book-world:book:${dune._id}`);
+      expect(response.text).toContain(
+        '<summary type="text">Spice &amp; sand</summary>'
+      );
+      expect(response.text).toContain(
+        '<link rel="http://opds-spec.org/image" href="https://covers.test/dune.jpg"/>'
+      );
+      expect(response.text).toContain(
+        "<dc:identifier>urn:isbn:9780306406157</dc:identifier>"
+      );
+      expect(response.text).toContain('rel="http://opds-spec.org/acquisition"');
+    });
+
+    test("should put the most reviewed books first", async () => {
+      const response = await request(app).get("/opds/popular").expect(200);
+
+      expect(response.text.indexOf("Emma")).toBeLessThan(
+        response.text.indexOf("Dune")
+      );
+    });
+
+    test("should link to the next page", async () => {
+      const response = await request(app).get("/opds/new?limit=1").expect(200);
+
+      expect(response.text).toMatch(/<link rel="next" href="[^"]+page=2/);
+      expect(response.text).not.toContain('rel="previous"');
+    });
+  });
+
+  describe("search", () => {
+    test("should describe the search with OpenSearch", async () => {
+      const response = await request(app).get("/opds/search.xml").expect(200);
+
+      expect(response.headers["content-type"]).toContain(
+        "application/opensearchdescription+xml"
+      );
+      expect(response.text).toContain("/opds/search?q={searchTerms}");
+    });
+
+    test("should search like GET /books", async () => {
+      const response = await request(app)
+        .get("/opds/search?q=herbert")
+        .expect(200);
+
+      expect(response.text).toContain("<title>Dune</title>");
+      expect(response.text).not.toContain("<title>Emma</title>");
+    });
+  });
+});
@@ -1,10 +1,11 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
-const app = require("../../backend/index");
-const Book = require("../../backend/models/books");
-const User = require("../../backend/models/users");
-const Review = require("../../backend/models/review");
-const jwt = require("jsonwebtoken");
+const app = require("@backend/index");
+const Book = require("@backend/models/books");
+const User = require("@backend/models/users");
+const Review = require("@backend/models/review");
+const { refreshBookRating } = require("@backend/services/bookRating");
+const { accessTokenFor } = require("../tokens");
 const bcrypt = require("bcrypt");
 
 describe("Reviews Controller", () => {
@@ -25,10 +26,7 @@ describe("Reviews Controller", () => {
       role: "admin",
     });
     await testAdmin.save();
-    adminToken = jwt.sign(
-      { userId: testAdmin._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    adminToken = await accessTokenFor(testAdmin);
 
     // Create test regular user
     testUser = new User({
@@ -39,10 +37,7 @@ describe("Reviews Controller", () => {
       role: "user",
     });
     await testUser.save();
-    userToken = jwt.sign(
-      { userId: testUser._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    userToken = await accessTokenFor(testUser);
 
     // Create test book
     testBook = new Book({
@@ -51,8 +46,6 @@ describe("Reviews Controller", () => {
       description: "A test book",
       genre: ["Fiction"],
       year_published: 2024,
-      averageRating: 0,
-      totalReviews: 0,
     });
     await testBook.save();
   });
@@ -62,8 +55,9 @@ describe("Reviews Controller", () => {
     await Review.deleteMany({});
 
     // Reset book rating stats
-    testBook.averageRating = 0;
-    testBook.totalReviews = 0;
+    testBook.ratingAverage = 0;
+    testBook.ratingCount = 0;
+    testBook.ratingHistogram = [0, 0, 0, 0, 0];
     await testBook.save();
   });
 
@@ -143,8 +137,8 @@ describe("Reviews Controller", () => {
 
       // Verify book rating stats are updated
       const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.averageRating).toBe(5);
-      expect(updatedBook.totalReviews).toBe(1);
+      expect(updatedBook.ratingAverage).toBe(5);
+      expect(updatedBook.ratingCount).toBe(1);
     });
 
     test("should reject duplicate review from same user", async () => {
@@ -242,6 +236,24 @@ describe("Reviews Controller", () => {
 
       expect(response.body.message).toBe("Book not found");
     });
+
+    test("should return 404 for a book in the trash", async () => {
+      const trashed = await Book.create({
+        title: "Trashed Book",
+        author: "Test Author",
+        genre: ["Fiction"],
+        year_published: 2024,
+        deletedAt: new Date(),
+      });
+
+      await request(app)
+        .post(`/books/${trashed._id}/reviews`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ content: "Test review", rating: 4 })
+        .expect(404);
+
+      expect(await Review.countDocuments({ bookId: trashed._id })).toBe(0);
+    });
   });
 
   describe("GET /books/:bookId/reviews/me", () => {
@@ -281,6 +293,87 @@ describe("Reviews Controller", () => {
     });
   });
 
+  describe("GET /books/:bookId/reviews/stats", () => {
+    test("should bucket reviews by month and year", async () => {
+      const now = new Date();
+      const lastYear = new Date(
+        Date.UTC(now.getUTCFullYear() - 1, now.getUTCMonth(), 1)
+      );
+      await Review.create([
+        {
+          userId: testUser._id,
+          bookId: testBook._id,
+          content: "This year",
+          rating: 5,
+          createdAt: now,
+        },
+        {
+          userId: testAdmin._id,
+          bookId: testBook._id,
+          content: "Also this year",
+          rating: 3,
+          createdAt: now,
+        },
+        {
+          userId: new mongoose.Types.ObjectId(),
+          bookId: testBook._id,
+          content: "Last year",
+          rating: 4,
+          createdAt: lastYear,
+        },
+      ]);
+
+      const response = await request(app)
+        .get(`/books/${testBook._id}/reviews/stats`)
+        .expect(200);
+
+      expect(response.body.monthly).toHaveLength(12);
+      expect(response.body.monthly[11]).toEqual({
+        year: now.getUTCFullYear(),
+        month: now.getUTCMonth() + 1,
+        reviews: 2,
+        averageRating: 4,
+      });
+      expect(response.body.yearToDate).toMatchObject({
+        year: now.getUTCFullYear(),
+        reviews: 2,
+        previousReviews: 1,
+        growth: 100,
+      });
+      expect(response.body.yearly.map((year) => year.reviews)).toEqual([1, 2]);
+      expect(response.body.total).toEqual({ reviews: 3, averageRating: 4 });
+    });
+
+    test("should limit the monthly window", async () => {
+      const response = await request(app)
+        .get(`/books/${testBook._id}/reviews/stats?months=3`)
+        .expect(200);
+
+      expect(response.body.monthly).toHaveLength(3);
+      expect(response.body.yearToDate.growth).toBeNull();
+    });
+
+    test("should reject an invalid window", async () => {
+      const response = await request(app)
+        .get(`/books/${testBook._id}/reviews/stats?months=100`)
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "months must be a whole number from 1 to 60"
+      );
+    });
+
+    test("should return 404 for non-existent book", async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      const response = await request(app)
+        .get(`/books/${fakeId}/reviews/stats`)
+        .expect(404);
+
+      expect(response.body.message).toBe("Book not found");
+    });
+  });
+
   describe("PUT /books/:bookId/reviews/:reviewId", () => {
     beforeEach(async () => {
       // Create test review
@@ -311,7 +404,7 @@ describe("Reviews Controller", () => {
 
       // Verify book rating stats are updated
       const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.averageRating).toBe(5);
+      expect(updatedBook.ratingAverage).toBe(5);
     });
 
     test("should reject updating other user review", async () => {
@@ -386,7 +479,7 @@ describe("Reviews Controller", () => {
 
       // Verify book rating stats are updated
       const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.totalReviews).toBe(0);
+      expect(updatedBook.ratingCount).toBe(0);
     });
 
     test("should reject deleting other user review", async () => {
@@ -498,29 +591,30 @@ describe("Reviews Controller", () => {
         });
         await review.save();
       }
+      await refreshBookRating(testBook._id);
 
       // Verify book stats are updated
       const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.averageRating).toBe(3.8); // (5+4+3+5+2)/5 = 3.8
-      expect(updatedBook.totalReviews).toBe(5);
+      expect(updatedBook.ratingAverage).toBe(3.8); // (5+4+3+5+2)/5 = 3.8
+      expect(updatedBook.ratingCount).toBe(5);
+      expect(updatedBook.ratingHistogram).toEqual([0, 1, 1, 1, 2]);
     });
 
-    test("should handle single review rating", async () => {
-      const review = new Review({
-        userId: testUser._id,
-        bookId: testBook._id,
-        content: "Single review",
-        rating: 4,
-      });
-      await review.save();
+    test("should round the average to two decimals", async () => {
+      for (const rating of [5, 4, 4]) {
+        await new Review({
+          userId: new mongoose.Types.ObjectId(),
+          bookId: testBook._id,
+          content: "Review",
+          rating,
+        }).save();
+      }
 
-      const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.averageRating).toBe(4);
-      expect(updatedBook.totalReviews).toBe(1);
+      const rating = await refreshBookRating(testBook._id);
+      expect(rating.ratingAverage).toBe(4.33);
     });
 
     test("should handle review deletion rating recalculation", async () => {
-      // Create multiple reviews
       const review1 = new Review({
         userId: testUser._id,
         bookId: testBook._id,
@@ -536,14 +630,58 @@ describe("Reviews Controller", () => {
         rating: 3,
       });
       await review2.save();
+      await refreshBookRating(testBook._id);
 
       // Delete one review
-      await Review.findByIdAndDelete(review1._id);
+      await request(app)
+        .delete(`/books/${testBook._id}/reviews/${review1._id}`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
 
       // Verify book stats are recalculated
       const updatedBook = await Book.findById(testBook._id);
-      expect(updatedBook.averageRating).toBe(3);
-      expect(updatedBook.totalReviews).toBe(1);
+      expect(updatedBook.ratingAverage).toBe(3);
+      expect(updatedBook.ratingCount).toBe(1);
+      expect(updatedBook.ratingHistogram).toEqual([0, 0, 1, 0, 0]);
+    });
+
+    test("should expose the rating on the book", async () => {
+      await request(app)
+        .post(`/books/${testBook._id}/reviews`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ content: "Lovely", rating: 4 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/books/${testBook._id}`)
+        .expect(200);
+
+      expect(response.body.book.ratingCount).toBe(1);
+      expect(response.body.book.ratingAverage).toBe(4);
+      expect(response.body.book.ratingHistogram).toEqual([0, 0, 0, 1, 0]);
+    });
+
+    test("should sort books by rating and review count", async () => {
+      const other = await Book.create({
+        title: "Other Book",
+        author: "Other Author",
+        genre: ["Fiction"],
+        year_published: 2020,
+        ratingCount: 3,
+        ratingAverage: 2.5,
+      });
+      await Book.updateOne(
+        { _id: testBook._id },
+        { ratingCount: 1, ratingAverage: 5 }
+      );
+
+      const byRating = await request(app).get("/books?sort=-rating");
+      expect(byRating.body.books[0]._id).toBe(testBook._id.toString());
+
+      const byReviews = await request(app).get("/books?sort=-reviews");
+      expect(byReviews.body.books[0]._id).toBe(other._id.toString());
+
+      await Book.deleteOne({ _id: other._id });
     });
   });
 });
@@ -0,0 +1,316 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("@backend/index");
+const Book = require("@backend/models/books");
+const Genre = require("@backend/models/genres");
+const Series = require("@backend/models/series");
+const Work = require("@backend/models/works");
+const User = require("@backend/models/users");
+const Review = require("@backend/models/review");
+const { refreshBookRating } = require("@backend/services/bookRating");
+const { accessTokenFor } = require("../tokens");
+const bcrypt = require("bcrypt");
+
+describe("Series and Editions", () => {
+  let adminToken, userToken, testUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(
+      process.env.MONGO_TEST_URL || "mongodb://localhost:27017/book-world-test"
+    );
+    await Genre.create({ name: "Fantasy" });
+
+    const admin = await User.create({
+      firstName: "Admin",
+      lastName: "User",
+      email: "admin@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "admin",
+    });
+    adminToken = await accessTokenFor(admin);
+
+    testUser = await User.create({
+      firstName: "Regular",
+      lastName: "User",
+      email: "user@test.com",
+      password: await bcrypt.hash("password123", 10),
+      role: "user",
+    });
+    userToken = await accessTokenFor(testUser);
+  });
+
+  beforeEach(async () => {
+    await Book.deleteMany({});
+    await Series.deleteMany({});
+    await Work.deleteMany({});
+    await Review.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Book.deleteMany({});
+    await Series.deleteMany({});
+    await Work.deleteMany({});
+    await Review.deleteMany({});
+    await Genre.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const book = (fields) =>
+    Book.create({
+      author: "J.R.R. Tolkien",
+      genre: ["Fantasy"],
+      year_published: 1954,
+      ...fields,
+    });
+
+  describe("Series", () => {
+    test("should create a series", async () => {
+      const response = await request(app)
+        .post("/series")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "The Lord of the Rings", totalVolumes: 3 })
+        .expect(200);
+
+      expect(response.body.message).toBe(
+        "New Series: The Lord of the Rings Added"
+      );
+      expect(response.body.series.totalVolumes).toBe(3);
+    });
+
+    test("should reject a series without a name", async () => {
+      const response = await request(app)
+        .post("/series")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ totalVolumes: 3 })
+        .expect(400);
+
+      expect(response.body.message).toBe("name is required");
+    });
+
+    test("should reject non-admin users", async () => {
+      const response = await request(app)
+        .post("/series")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Discworld" })
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "You are not Authorized to Add a Series"
+      );
+    });
+
+    test("should list the volumes in reading order", async () => {
+      const series = await Series.create({ name: "The Lord of the Rings" });
+      await book({
+        title: "The Return of the King",
+        series: series._id,
+        seriesPosition: 3,
+      });
+      await book({
+        title: "The Fellowship of the Ring",
+        series: series._id,
+        seriesPosition: 1,
+      });
+      await book({
+        title: "The Two Towers",
+        series: series._id,
+        seriesPosition: 2,
+      });
+
+      const response = await request(app)
+        .get(`/series/${series._id}`)
+        .expect(200);
+
+      expect(response.body.volumes.map((volume) => volume.title)).toEqual([
+        "The Fellowship of the Ring",
+        "The Two Towers",
+        "The Return of the King",
+      ]);
+
+      const list = await request(app).get("/series").expect(200);
+      expect(list.body.series[0].bookCount).toBe(3);
+    });
+
+    test("should put a book in a series", async () => {
+      const series = await Series.create({ name: "Discworld" });
+
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Mort",
+          author: "Terry Pratchett",
+          genre: ["Fantasy"],
+          series: series._id.toString(),
+          seriesPosition: "4",
+        })
+        .expect(200);
+
+      expect(response.body.book.seriesPosition).toBe(4);
+
+      const details = await request(app)
+        .get(`/books/${response.body.book._id}`)
+        .expect(200);
+      expect(details.body.book.series.name).toBe("Discworld");
+    });
+
+    test("should reject an unknown series", async () => {
+      const response = await request(app)
+        .post("/books")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          title: "Mort",
+          author: "Terry Pratchett",
+          genre: ["Fantasy"],
+          series: new mongoose.Types.ObjectId().toString(),
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe("Series not found");
+    });
+
+    test("should take the books out of a deleted series", async () => {
+      const series = await Series.create({ name: "Discworld" });
+      const mort = await book({
+        title: "Mort",
+        series: series._id,
+        seriesPosition: 4,
+      });
+
+      await request(app)
+        .delete(`/series/${series._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      const updated = await Book.findById(mort._id);
+      expect(updated.series).toBeUndefined();
+      expect(updated.seriesPosition).toBeUndefined();
+    });
+  });
+
+  describe("Editions", () => {
+    test("should group two books as editions", async () => {
+      const hardcover = await book({
+        title: "The Hobbit",
+        format: "hardcover",
+      });
+      const ebook = await book({
+        title: "The Hobbit",
+        format: "ebook",
+        isbn13: "9780306406157",
+      });
+
+      const response = await request(app)
+        .post(`/books/${hardcover._id}/editions`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ isbn: "0-306-40615-2" })
+        .expect(200);
+
+      expect(response.body.editions).toHaveLength(2);
+      const editions = await request(app)
+        .get(`/books/${ebook._id}/editions`)
+        .expect(200);
+      expect(editions.body.work).toBe(response.body.work);
+    });
+
+    test("should merge the editions of two works", async () => {
+      const [a, b, c, d] = await Promise.all(
+        ["A", "B", "C", "D"].map((title) => book({ title }))
+      );
+      const auth = ["Authorization", `Bearer ${adminToken}`];
+      await request(app)
+        .post(`/books/${a._id}/editions`)
+        .set(...auth)
+        .send({ bookId: b._id });
+      await request(app)
+        .post(`/books/${c._id}/editions`)
+        .set(...auth)
+        .send({ bookId: d._id });
+      await request(app)
+        .post(`/books/${a._id}/editions`)
+        .set(...auth)
+        .send({ bookId: c._id })
+        .expect(200);
+
+      const response = await request(app).get(`/books/${d._id}/editions`);
+      expect(response.body.editions).toHaveLength(4);
+      expect(await Work.countDocuments()).toBe(1);
+    });
+
+    test("should not make a book an edition of itself", async () => {
+      const hobbit = await book({ title: "The Hobbit" });
+
+      const response = await request(app)
+        .post(`/books/${hobbit._id}/editions`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ bookId: hobbit._id })
+        .expect(400);
+
+      expect(response.body.message).toBe(
+        "A Book cannot be an edition of itself"
+      );
+    });
+
+    test("should remove a work left with one edition", async () => {
+      const hardcover = await book({ title: "The Hobbit" });
+      const ebook = await book({ title: "The Hobbit" });
+      await request(app)
+        .post(`/books/${hardcover._id}/editions`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ bookId: ebook._id });
+
+      await request(app)
+        .delete(`/books/${ebook._id}/editions`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect((await Book.findById(hardcover._id)).work).toBeUndefined();
+      expect(await Work.countDocuments()).toBe(0);
+    });
+
+    test("should roll up reviews and ratings across editions", async () => {
+      const work = await Work.create({ title: "The Hobbit" });
+      const hardcover = await book({ title: "The Hobbit", work: work._id });
+      const ebook = await book({ title: "The Hobbit", work: work._id });
+      await Review.create([
+        {
+          userId: testUser._id,
+          bookId: hardcover._id,
+          content: "Good",
+          rating: 4,
+        },
+        {
+          userId: new mongoose.Types.ObjectId(),
+          bookId: ebook._id,
+          content: "Great",
+          rating: 5,
+        },
+      ]);
+      await refreshBookRating(hardcover._id);
+      await refreshBookRating(ebook._id);
+
+      const own = await request(app).get(`/books/${hardcover._id}/reviews`);
+      expect(own.body.reviews).toHaveLength(1);
+
+      const all = await request(app).get(
+        `/books/${hardcover._id}/reviews?editions=true`
+      );
+      expect(all.body.reviews).toHaveLength(2);
+
+      const editions = await request(app).get(
+        `/books/${hardcover._id}/editions`
+      );
+      expect(editions.body.rating).toEqual({
+        ratingCount: 2,
+        ratingAverage: 4.5,
+        ratingHistogram: [0, 0, 0, 1, 1],
+      });
+
+      const stats = await request(app).get(
+        `/books/${hardcover._id}/reviews/stats?editions=true`
+      );
+      expect(stats.body.total.reviews).toBe(2);
+    });
+  });
+});
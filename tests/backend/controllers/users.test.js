@@ -1,9 +1,16 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
-const app = require("../../backend/index");
-const User = require("../../backend/models/users");
-const Book = require("../../backend/models/books");
+const app = require("@backend/index");
+const User = require("@backend/models/users");
+const Book = require("@backend/models/books");
+const RefreshToken = require("@backend/models/refreshTokens");
+const Session = require("@backend/models/sessions");
+const UserToken = require("@backend/models/userTokens");
+const RateLimit = require("@backend/models/rateLimits");
+const LoginFailure = require("@backend/models/loginFailures");
+const { issueUserToken } = require("@backend/services/userTokens");
 const jwt = require("jsonwebtoken");
+const { accessTokenFor } = require("../tokens");
 const bcrypt = require("bcrypt");
 
 describe("Users Controller", () => {
@@ -24,10 +31,6 @@ describe("Users Controller", () => {
       role: "admin",
     });
     await testAdmin.save();
-    adminToken = jwt.sign(
-      { userId: testAdmin._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
 
     // Create test regular user
     testUser = new User({
@@ -38,10 +41,6 @@ describe("Users Controller", () => {
       role: "user",
     });
     await testUser.save();
-    userToken = jwt.sign(
-      { userId: testUser._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
 
     // Create test book
     testBook = new Book({
@@ -59,6 +58,12 @@ describe("Users Controller", () => {
     await User.deleteMany({
       email: { $nin: ["admin@test.com", "user@test.com"] },
     });
+    await RateLimit.deleteMany({});
+    await LoginFailure.deleteMany({});
+
+    // new sessions every test, as the session tests log out and clear them
+    adminToken = await accessTokenFor(testAdmin);
+    userToken = await accessTokenFor(testUser);
   });
 
   afterAll(async () => {
@@ -496,4 +501,479 @@ describe("Users Controller", () => {
       expect(response.body.message).toBe("User not found");
     });
   });
+
+  describe("POST /users/refresh", () => {
+    const login = () =>
+      request(app)
+        .post("/users/login")
+        .send({ email: "user@test.com", password: "password123" })
+        .expect(200);
+
+    const refreshCookie = (response) =>
+      response.headers["set-cookie"].find((cookie) =>
+        cookie.startsWith("refreshToken=")
+      );
+
+    afterEach(async () => {
+      await RefreshToken.deleteMany({});
+      await Session.deleteMany({});
+    });
+
+    test("should set the refresh token as an http only cookie", async () => {
+      const response = await login();
+
+      const cookie = refreshCookie(response);
+      expect(cookie).toContain("HttpOnly");
+      expect(cookie).toContain("Path=/users");
+      const { payload } = jwt.decode(response.body.token, { complete: true });
+      expect(payload.exp - payload.iat).toBe(15 * 60);
+    });
+
+    test("should rotate the refresh token", async () => {
+      const cookie = refreshCookie(await login()).split(";")[0];
+
+      const response = await request(app)
+        .post("/users/refresh")
+        .set("Cookie", cookie)
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.role).toBe("user");
+      expect(refreshCookie(response).split(";")[0]).not.toBe(cookie);
+      expect(await RefreshToken.countDocuments({ usedAt: null })).toBe(1);
+    });
+
+    test("should revoke every token of a reused one", async () => {
+      const cookie = refreshCookie(await login()).split(";")[0];
+      const rotated = await request(app)
+        .post("/users/refresh")
+        .set("Cookie", cookie)
+        .expect(200);
+      await RefreshToken.updateMany(
+        { usedAt: { $ne: null } },
+        { usedAt: new Date(Date.now() - 60 * 1000) }
+      );
+
+      const response = await request(app)
+        .post("/users/refresh")
+        .set("Cookie", cookie)
+        .expect(401);
+
+      expect(response.body.message).toBe(
+        "Session revoked as it was used from elsewhere, please log in again"
+      );
+      expect(await RefreshToken.countDocuments()).toBe(0);
+      await request(app)
+        .post("/users/refresh")
+        .set("Cookie", refreshCookie(rotated).split(";")[0])
+        .expect(401);
+    });
+
+    test("should reject requests without a refresh token", async () => {
+      const response = await request(app).post("/users/refresh").expect(401);
+
+      expect(response.body.message).toBe(
+        "Session expired, please log in again"
+      );
+    });
+  });
+
+  describe("Sessions", () => {
+    const login = (userAgent) =>
+      request(app)
+        .post("/users/login")
+        .set("User-Agent", userAgent)
+        .send({ email: "user@test.com", password: "password123" })
+        .expect(200);
+
+    // only the devices logged in by the tests count
+    beforeEach(async () => {
+      await Session.deleteMany({ userId: testUser._id });
+    });
+
+    afterEach(async () => {
+      await RefreshToken.deleteMany({});
+      await Session.deleteMany({});
+    });
+
+    test("should list the devices the user is logged in on", async () => {
+      await login("Firefox");
+      const { body } = await login("Chrome");
+
+      const response = await request(app)
+        .get("/users/me/sessions")
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(
+        response.body.sessions.map((session) => [
+          session.userAgent,
+          session.current,
+        ])
+      ).toEqual(
+        expect.arrayContaining([
+          ["Firefox", false],
+          ["Chrome", true],
+        ])
+      );
+    });
+
+    test("should refuse the tokens of a logged out session", async () => {
+      const { body, headers } = await login("Firefox");
+
+      await request(app)
+        .post("/users/logout")
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get("/users/me")
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(401);
+      expect(response.body.message).toBe("Session Expired");
+      await request(app)
+        .post("/users/refresh")
+        .set("Cookie", headers["set-cookie"][0].split(";")[0])
+        .expect(401);
+    });
+
+    test("should log out of every device", async () => {
+      const firefox = await login("Firefox");
+      const chrome = await login("Chrome");
+
+      const response = await request(app)
+        .post("/users/logout/all")
+        .set("Authorization", `Bearer ${chrome.body.token}`)
+        .expect(200);
+
+      expect(response.body.message).toBe("Logged Out of 2 Devices");
+      await request(app)
+        .get("/users/me")
+        .set("Authorization", `Bearer ${firefox.body.token}`)
+        .expect(401);
+    });
+
+    test("should log out another device", async () => {
+      await login("Firefox");
+      const { body } = await login("Chrome");
+      const firefox = await Session.findOne({ userAgent: "Firefox" });
+
+      await request(app)
+        .delete(`/users/me/sessions/${firefox._id}`)
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(200);
+
+      expect((await Session.findById(firefox._id)).revokedAt).not.toBeNull();
+      await request(app)
+        .delete(`/users/me/sessions/${firefox._id}`)
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(404);
+    });
+  });
+
+  describe("Password reset", () => {
+    afterEach(async () => {
+      await UserToken.deleteMany({});
+      await Session.deleteMany({});
+      await User.updateOne(
+        { _id: testUser._id },
+        { password: await bcrypt.hash("password123", 10) }
+      );
+      jest.restoreAllMocks();
+    });
+
+    test("should email a reset link to the account", async () => {
+      // without a mail transport configured the emails go to the console
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await request(app)
+        .post("/users/password/forgot")
+        .send({ email: "user@test.com" })
+        .expect(200);
+
+      const email = log.mock.calls.map((call) => call[0]).join("\n");
+      expect(email).toContain("user@test.com");
+      expect(email).toMatch(/\/reset-password\?token=[\w-]+/);
+      expect(await UserToken.countDocuments({ userId: testUser._id })).toBe(1);
+    });
+
+    test("should answer the same for unknown emails", async () => {
+      const response = await request(app)
+        .post("/users/password/forgot")
+        .send({ email: "nobody@test.com" })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If an account uses this email/);
+      expect(await UserToken.countDocuments({})).toBe(0);
+    });
+
+    test("should set the new password and log out every device", async () => {
+      await request(app)
+        .post("/users/login")
+        .send({ email: "user@test.com", password: "password123" })
+        .expect(200);
+      const token = await issueUserToken(testUser, "passwordReset");
+
+      await request(app)
+        .post("/users/password/reset")
+        .send({ token, password: "newpassword" })
+        .expect(200);
+
+      await request(app)
+        .post("/users/login")
+        .send({ email: "user@test.com", password: "newpassword" })
+        .expect(200);
+      expect(
+        await Session.countDocuments({ userId: testUser._id, revokedAt: null })
+      ).toBe(1);
+    });
+
+    test("should accept a reset link only once", async () => {
+      const token = await issueUserToken(testUser, "passwordReset");
+      await request(app)
+        .post("/users/password/reset")
+        .send({ token, password: "newpassword" })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/users/password/reset")
+        .send({ token, password: "otherpassword" })
+        .expect(400);
+      expect(response.body.message).toBe(
+        "Reset link is invalid or has expired"
+      );
+    });
+
+    test("should refuse an expired reset link", async () => {
+      const token = await issueUserToken(testUser, "passwordReset");
+      await UserToken.updateMany({}, { expiresAt: new Date(Date.now() - 1) });
+
+      await request(app)
+        .post("/users/password/reset")
+        .send({ token, password: "newpassword" })
+        .expect(400);
+    });
+
+    test("should refuse a short password", async () => {
+      const token = await issueUserToken(testUser, "passwordReset");
+
+      const response = await request(app)
+        .post("/users/password/reset")
+        .send({ token, password: "short" })
+        .expect(400);
+      expect(response.body.message).toBe(
+        "Password must be at least 8 characters long"
+      );
+    });
+  });
+
+  describe("Email verification", () => {
+    const signup = () =>
+      request(app)
+        .post("/users/signup")
+        .send({
+          firstName: "New",
+          lastName: "Reader",
+          email: "new@test.com",
+          password: "password123",
+        })
+        .expect(201);
+
+    const login = async () =>
+      (
+        await request(app)
+          .post("/users/login")
+          .send({ email: "new@test.com", password: "password123" })
+          .expect(200)
+      ).body.token;
+
+    // without a mail transport configured the emails go to the console
+    const emailedToken = (log) =>
+      log.mock.calls
+        .map((call) => call[0])
+        .join("\n")
+        .match(/\/verify-email\?token=([\w-]+)/)[1];
+
+    afterEach(async () => {
+      await UserToken.deleteMany({});
+      await Session.deleteMany({});
+      jest.restoreAllMocks();
+    });
+
+    test("should start new accounts unverified and email a link", async () => {
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+      await signup();
+
+      const user = await User.findOne({ email: "new@test.com" });
+      expect(user.emailVerified).toBe(false);
+
+      await request(app)
+        .post("/users/email/verify")
+        .send({ token: emailedToken(log) })
+        .expect(200);
+      expect(
+        (await User.findOne({ email: "new@test.com" })).emailVerified
+      ).toBe(true);
+    });
+
+    test("should not verify an email without a google token", async () => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      await signup();
+
+      await request(app)
+        .post("/users/google-auth")
+        .send({ email: "new@test.com" });
+      expect(
+        (await User.findOne({ email: "new@test.com" })).emailVerified
+      ).toBe(false);
+    });
+
+    test("should keep unverified accounts from posting reviews", async () => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      await signup();
+      const token = await login();
+
+      const response = await request(app)
+        .post(`/books/${testBook._id}/reviews`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ content: "Great book", rating: 5 })
+        .expect(403);
+      expect(response.body.message).toBe(
+        "Verify your email to post reviews and comments"
+      );
+    });
+
+    test("should send the link again and only the new one works", async () => {
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+      await signup();
+      const first = emailedToken(log);
+      log.mockClear();
+
+      await request(app)
+        .post("/users/email/resend")
+        .set("Authorization", `Bearer ${await login()}`)
+        .expect(200);
+
+      await request(app)
+        .post("/users/email/verify")
+        .send({ token: first })
+        .expect(400);
+      await request(app)
+        .post("/users/email/verify")
+        .send({ token: emailedToken(log) })
+        .expect(200);
+    });
+
+    test("should not resend to verified accounts", async () => {
+      const { body } = await request(app)
+        .post("/users/login")
+        .send({ email: "user@test.com", password: "password123" })
+        .expect(200);
+
+      const response = await request(app)
+        .post("/users/email/resend")
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(400);
+      expect(response.body.message).toBe("Email is already verified");
+    });
+  });
+
+  describe("Login throttling", () => {
+    const login = (password) =>
+      request(app)
+        .post("/users/login")
+        .send({ email: "user@test.com", password });
+
+    afterEach(async () => {
+      await Session.deleteMany({});
+    });
+
+    test("should make logins wait after repeated failures", async () => {
+      for (let i = 0; i < 3; i++) {
+        await login("wrongpassword").expect(400);
+      }
+
+      const response = await login("password123").expect(429);
+      expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+      expect(response.body.message).toMatch(/^Too many failed logins/);
+    });
+
+    test("should count parallel attempts before checking passwords", async () => {
+      const responses = await Promise.all(
+        Array.from({ length: 6 }, () => login("wrongpassword"))
+      );
+
+      const statuses = responses.map((response) => response.status).sort();
+      expect(statuses).toEqual([400, 400, 400, 429, 429, 429]);
+    });
+
+    test("should lock the account after too many failures", async () => {
+      await LoginFailure.create({
+        key: "account:user@test.com",
+        count: 10,
+        lastAttemptAt: new Date(),
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      const response = await login("password123").expect(429);
+      expect(response.headers["retry-after"]).toBe("900");
+      expect(response.body.message).toBe(
+        "Account locked after too many failed logins, try again in 15 minutes"
+      );
+    });
+
+    test("should let an admin unlock an account", async () => {
+      await LoginFailure.create({
+        key: "account:user@test.com",
+        count: 10,
+        lastAttemptAt: new Date(),
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      const admin = await request(app)
+        .post("/users/login")
+        .send({ email: "admin@test.com", password: "password123" })
+        .expect(200);
+
+      const users = await request(app)
+        .get("/users")
+        .set("Authorization", `Bearer ${admin.body.token}`)
+        .expect(200);
+      expect(
+        users.body.users.find((user) => user.email === "user@test.com")
+          .loginLockedUntil
+      ).not.toBeNull();
+
+      await request(app)
+        .post(`/users/${testUser._id}/unlock`)
+        .set("Authorization", `Bearer ${admin.body.token}`)
+        .expect(200);
+      await login("password123").expect(200);
+    });
+
+    test("should not let users unlock accounts", async () => {
+      const { body } = await login("password123").expect(200);
+
+      await request(app)
+        .post(`/users/${testUser._id}/unlock`)
+        .set("Authorization", `Bearer ${body.token}`)
+        .expect(401);
+    });
+
+    test("should limit signups from one address", async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post("/users/signup")
+          .send({ email: "user@test.com" })
+          .expect(400);
+      }
+
+      const response = await request(app)
+        .post("/users/signup")
+        .send({ email: "user@test.com" })
+        .expect(429);
+      expect(response.headers["retry-after"]).toBeDefined();
+    });
+  });
 });
@@ -0,0 +1,21 @@
+// the backend tests on their own, run with `npm run test:backend`. they run in
+// node against the database of MONGO_TEST_URL, one suite at a time as the
+// suites share that database
+module.exports = {
+  rootDir: "../..",
+  displayName: "Backend Tests",
+  testEnvironment: "node",
+  testMatch: ["<rootDir>/tests/backend/**/*.test.js"],
+  setupFiles: ["<rootDir>/tests/backend/setup.js"],
+  moduleNameMapper: {
+    "^@backend/(.*)$": "<rootDir>/book-world-main/backend/$1",
+    // the tests connect the same mongoose the backend models are made with
+    "^mongoose$": "<rootDir>/book-world-main/backend/node_modules/mongoose",
+    // the passwords are hashed like the backend does it, without a build
+    "^bcrypt$": "<rootDir>/book-world-main/backend/node_modules/bcryptjs",
+  },
+  transform: {},
+  maxWorkers: 1,
+  testTimeout: 10000,
+  forceExit: true,
+};
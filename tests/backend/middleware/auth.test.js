@@ -1,8 +1,11 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
-const app = require("../../backend/index");
-const User = require("../../backend/models/users");
+const app = require("@backend/index");
+const User = require("@backend/models/users");
+const Session = require("@backend/models/sessions");
+const { createSession } = require("@backend/services/sessions");
 const jwt = require("jsonwebtoken");
+const { accessTokenFor } = require("../tokens");
 const bcrypt = require("bcrypt");
 
 describe("Authentication Middleware", () => {
@@ -23,10 +26,7 @@ describe("Authentication Middleware", () => {
       role: "admin",
     });
     await testAdmin.save();
-    adminToken = jwt.sign(
-      { userId: testAdmin._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    adminToken = await accessTokenFor(testAdmin);
 
     // Create test regular user
     testUser = new User({
@@ -37,15 +37,13 @@ describe("Authentication Middleware", () => {
       role: "user",
     });
     await testUser.save();
-    userToken = jwt.sign(
-      { userId: testUser._id },
-      process.env.JWT_SECRET || "test-secret"
-    );
+    userToken = await accessTokenFor(testUser);
   });
 
   afterAll(async () => {
     // Clean up test data
     await User.deleteMany({});
+    await Session.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -85,10 +83,14 @@ describe("Authentication Middleware", () => {
     });
 
     test("should reject requests with expired token", async () => {
-      // Create expired token
+      // Create expired token of a session still logged in
+      const session = await createSession(testUser, {
+        get: () => "jest",
+        ip: "127.0.0.1",
+      });
       const expiredToken = jwt.sign(
-        { userId: testUser._id },
-        process.env.JWT_SECRET || "test-secret",
+        { id: testUser._id, role: testUser.role, sid: session._id },
+        process.env.JWT_SECRET,
         { expiresIn: "0s" }
       );
 
@@ -97,7 +99,35 @@ describe("Authentication Middleware", () => {
         .set("Authorization", `Bearer ${expiredToken}`)
         .expect(401);
 
-      expect(response.body.message).toBe("Invalid token.");
+      expect(response.body.message).toBe("Token Expired");
+    });
+
+    test("should reject tokens of a logged out session", async () => {
+      const token = await accessTokenFor(testUser);
+      const { sid } = jwt.decode(token);
+      await Session.updateOne({ _id: sid }, { revokedAt: new Date() });
+
+      const response = await request(app)
+        .get("/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.message).toBe("Session Expired");
+    });
+
+    test("should reject tokens without a session", async () => {
+      const token = jwt.sign(
+        { id: testUser._id, role: testUser.role },
+        process.env.JWT_SECRET,
+        { expiresIn: "15m" }
+      );
+
+      const response = await request(app)
+        .get("/users/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.message).toBe("Invalid Token");
     });
 
     test("should reject requests with token for non-existent user", async () => {
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const Book = require("@backend/models/books");
+const User = require("@backend/models/users");
+const Review = require("@backend/models/review");
+const Comment = require("@backend/models/comments");
+const {
+  deleteBookCascade,
+  deleteCommentTree,
+} = require("@backend/services/cascadeDelete");
+
+describe("Cascade Delete Service", () => {
+  let testUser, testBook, testReview;
+
+  beforeAll(async () => {
+    await mongoose.connect(
+      process.env.MONGO_TEST_URL ||
+        "mongodb://localhost:27017/book-world-test?replicaSet=rs0"
+    );
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Book.deleteMany({}).withTrashed(),
+      Review.deleteMany({}),
+      Comment.deleteMany({}),
+    ]);
+
+    testUser = await User.create({
+      firstName: "Regular",
+      lastName: "User",
+      email: "cascade@test.com",
+      password: "password123",
+    });
+    testBook = await Book.create({
+      title: "Test Book",
+      author: "Test Author",
+      genre: ["Fiction"],
+    });
+    testReview = await Review.create({
+      userId: testUser._id,
+      bookId: testBook._id,
+      content: "Test review",
+      rating: 4,
+    });
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Book.deleteMany({});
+    await Review.deleteMany({});
+    await Comment.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  // a comment with a reply that has a reply of its own
+  const createThread = async () => {
+    const root = await Comment.create({
+      reviewId: testReview._id,
+      userId: testUser._id,
+      content: "Root",
+    });
+    const reply = await Comment.create({
+      reviewId: testReview._id,
+      userId: testUser._id,
+      content: "Reply",
+      parent: root._id,
+    });
+    const nested = await Comment.create({
+      reviewId: testReview._id,
+      userId: testUser._id,
+      content: "Nested reply",
+      parent: reply._id,
+    });
+    root.replies.push(reply._id);
+    reply.replies.push(nested._id);
+    await Promise.all([root.save(), reply.save()]);
+    return { root, reply, nested };
+  };
+
+  test("should delete a comment with every nested reply", async () => {
+    const { reply, nested } = await createThread();
+    testUser.likedComments.push(nested._id);
+    await testUser.save();
+
+    const removed = await deleteCommentTree(reply._id);
+
+    expect(removed).toEqual({ comments: 2, likedComments: 1 });
+    expect(await Comment.countDocuments()).toBe(1);
+    expect((await User.findById(testUser._id)).likedComments).toHaveLength(0);
+  });
+
+  test("should delete a book and everything attached to it", async () => {
+    await createThread();
+    testUser.favoriteBooks.push(testBook._id);
+    testUser.likedReviews.push(testReview._id);
+    await testUser.save();
+
+    const removed = await deleteBookCascade(testBook._id);
+
+    expect(removed).toEqual({
+      books: 1,
+      reviews: 1,
+      comments: 3,
+      revisions: 0,
+      favourites: 1,
+      likedReviews: 1,
+      likedComments: 0,
+    });
+    expect(await Book.countDocuments({}).withTrashed()).toBe(0);
+    expect(await Review.countDocuments()).toBe(0);
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+
+  test("should leave other books untouched", async () => {
+    const other = await Book.create({
+      title: "Other Book",
+      author: "Other Author",
+      genre: ["Fiction"],
+    });
+
+    await deleteBookCascade(other._id);
+
+    expect(await Book.findById(testBook._id)).not.toBeNull();
+    expect(await Review.countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,7 @@
+// environment of the backend tests, set before the backend is loaded
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-secret-key";
+// deletes and merges are tested in transactions, which need a replica set
+process.env.MONGO_TEST_URL =
+  process.env.MONGO_TEST_URL ||
+  "mongodb://localhost:27017/book-world-test?replicaSet=rs0";
@@ -0,0 +1,12 @@
+const { createSession } = require("@backend/services/sessions");
+const { signAccessToken } = require("@backend/services/tokens");
+
+// an access token of a new session of `user`, the same /users/login answers
+// with, for calling the routes behind `authorization`
+module.exports.accessTokenFor = async (user) => {
+  const session = await createSession(user, {
+    get: () => "jest",
+    ip: "127.0.0.1",
+  });
+  return signAccessToken(user, session);
+};
@@ -0,0 +1,47 @@
+const {
+  fileStem,
+  findOrphans,
+} = require("../../../book-world-main/backend/utils/assets");
+
+const now = new Date("2024-05-10T12:00:00Z").getTime();
+const old = new Date("2024-05-01T12:00:00Z");
+
+describe("Assets", () => {
+  test("should read the same stem from keys and urls of every storage", () => {
+    expect(fileStem("1715-42-card.jpg")).toBe("1715-42-card");
+    expect(
+      fileStem("http://localhost:3000/public/uploads/1715-42-card.jpg?v=2")
+    ).toBe("1715-42-card");
+    expect(fileStem("book-world/1715-42-card-jpg")).toBe("1715-42-card-jpg");
+    expect(
+      fileStem(
+        "https://res.cloudinary.com/demo/image/upload/v1/book-world/1715-42-card-jpg.jpg"
+      )
+    ).toBe("1715-42-card-jpg");
+  });
+
+  test("should find the files no url points at", () => {
+    const files = [
+      { key: "1-card.jpg", lastModified: old },
+      { key: "2-card.jpg", lastModified: old },
+    ];
+
+    expect(
+      findOrphans(files, ["http://api/public/uploads/1-card.jpg", null], {
+        now,
+        graceMs: 60 * 1000,
+      })
+    ).toEqual([{ key: "2-card.jpg", lastModified: old }]);
+  });
+
+  test("should keep recent files that may belong to a book being saved", () => {
+    const files = [
+      { key: "1-card.jpg", lastModified: new Date(now - 30 * 1000) },
+      { key: "2-card.jpg", lastModified: old },
+    ];
+
+    expect(findOrphans(files, [], { now, graceMs: 60 * 1000 })).toEqual([
+      { key: "2-card.jpg", lastModified: old },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+const {
+  authorKey,
+  splitAuthors,
+  joinAuthors,
+} = require("../../../book-world-main/backend/utils/authors");
+
+describe("Author Helpers", () => {
+  test("should give the same key to spellings of one name", () => {
+    expect(authorKey("J.K. Rowling")).toBe("j k rowling");
+    expect(authorKey("j. k.  Rowling ")).toBe("j k rowling");
+    expect(authorKey("Gabriel García Márquez")).toBe("gabriel garcia marquez");
+  });
+
+  test("should split co-authors", () => {
+    expect(splitAuthors("Neil Gaiman; Terry Pratchett")).toEqual([
+      "Neil Gaiman",
+      "Terry Pratchett",
+    ]);
+    expect(splitAuthors("Penn & Teller")).toEqual(["Penn & Teller"]);
+    expect(splitAuthors(" Neil  Gaiman ; ; neil gaiman")).toEqual([
+      "Neil Gaiman",
+    ]);
+    expect(splitAuthors(undefined)).toEqual([]);
+  });
+
+  test("should join names so they split back", () => {
+    const names = ["Neil Gaiman", "Terry Pratchett"];
+    expect(splitAuthors(joinAuthors(names))).toEqual(names);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  EXPORT_FORMATS,
+  createExportWriter,
+} = require("../../../book-world-main/backend/utils/bookExport");
+
+const book = {
+  _id: "665f1c2e8a1b2c3d4e5f6a7b",
+  title: "Dune & Co",
+  author: "Frank Herbert",
+  genre: ["Science Fiction", "Classics"],
+  year_published: 1965,
+  isbn10: "0306406152",
+  isbn13: "9780306406157",
+  description: "Spice, 100% of it",
+  image_url: "https://covers.test/dune.jpg",
+};
+
+const render = (format, books) => {
+  const writer = createExportWriter(format);
+  return writer.header() + books.map(writer.row).join("") + writer.footer();
+};
+
+describe("Book Export Writers", () => {
+  test("should know every format", () => {
+    expect(EXPORT_FORMATS).toEqual(["csv", "jsonl", "bibtex", "marcxml"]);
+    expect(createExportWriter("pdf")).toBeUndefined();
+    expect(createExportWriter("constructor")).toBeUndefined();
+    expect(createExportWriter("toString")).toBeUndefined();
+  });
+
+  test("should write csv in the import layout", () => {
+    expect(render("csv", [book]).split("\r\n")).toEqual([
+      "id,title,author,genre,year_published,isbn10,isbn13,description,image_url",
+      '665f1c2e8a1b2c3d4e5f6a7b,Dune & Co,Frank Herbert,Science Fiction;Classics,1965,0306406152,9780306406157,"Spice, 100% of it",https://covers.test/dune.jpg',
+      "",
+    ]);
+  });
+
+  test("should write one json object per line", () => {
+    const lines = render("jsonl", [book, book]).trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      id: book._id,
+      title: "Dune & Co",
+      genre: ["Science Fiction", "Classics"],
+    });
+  });
+
+  test("should write escaped bibtex entries with unique keys", () => {
+    const bib = render("bibtex", [book, book]);
+    expect(bib).toContain("@book{herbert1965dune,\n");
+    expect(bib).toContain("@book{herbert1965dunea,\n");
+    expect(bib).toContain("  title = {Dune \\& Co},\n");
+    expect(bib).toContain("  abstract = {Spice, 100\\% of it},\n");
+  });
+
+  test("should write a MARCXML collection", () => {
+    const xml = render("marcxml", [book]);
+    expect(xml).toMatch(
+      /^<\?xml version="1.0" encoding="UTF-8"\?>\n<collection/
+    );
+    expect(xml).toContain('<subfield code="a">Dune &amp; Co</subfield>');
+    expect(xml).toContain('<datafield tag="100" ind1="1" ind2=" ">');
+    expect(xml.match(/tag="655"/g)).toHaveLength(2);
+    expect(xml.trim().endsWith("</collection>")).toBe(true);
+  });
+});
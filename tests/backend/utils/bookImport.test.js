@@ -0,0 +1,90 @@
+const {
+  readImportFile,
+  toBookData,
+  importKey,
+} = require("../../../book-world-main/backend/utils/bookImport");
+
+const file = (name, text) => ({
+  originalname: name,
+  mimetype: name.endsWith(".json") ? "application/json" : "text/csv",
+  buffer: Buffer.from(text),
+});
+
+describe("Book Import Helpers", () => {
+  test("should read csv and json files", () => {
+    expect(readImportFile(file("books.csv", "Title\nDune\n"))).toEqual([
+      { Title: "Dune" },
+    ]);
+    expect(
+      readImportFile(file("books.json", '{"books":[{"title":"Dune"}]}'))
+    ).toEqual([{ title: "Dune" }]);
+  });
+
+  test("should reject empty or malformed files", () => {
+    expect(() => readImportFile()).toThrow("A CSV or JSON file is required");
+    expect(() => readImportFile(file("books.json", "{"))).toThrow(
+      "Invalid JSON file"
+    );
+    expect(() => readImportFile(file("books.csv", "title\n"))).toThrow(
+      "The file does not contain any books"
+    );
+  });
+
+  test("should map columns case-insensitively", () => {
+    const { data, errors } = toBookData({
+      Title: " Dune ",
+      Author: "Frank Herbert",
+      Genres: "Science Fiction; Classics",
+      Year: "1965",
+      ISBN: "0-306-40615-2",
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      title: "Dune",
+      author: "Frank Herbert",
+      genre: ["Science Fiction", "Classics"],
+      year_published: 1965,
+      isbn10: "0306406152",
+      isbn13: "9780306406157",
+    });
+  });
+
+  test("should report invalid values", () => {
+    const { errors } = toBookData({ title: "Dune", year: "soon", isbn13: "1" });
+    expect(errors).toEqual([
+      'year_published "soon" is not a year',
+      "1 is not a valid ISBN-13",
+    ]);
+  });
+
+  test("should rewrite co-authors split by another separator", () => {
+    const row = {
+      title: "Good Omens",
+      author: "Neil Gaiman & Terry Pratchett",
+    };
+    expect(toBookData(row).data.author).toBe("Neil Gaiman & Terry Pratchett");
+    expect(toBookData(row, { authorSeparator: "&" }).data.author).toBe(
+      "Neil Gaiman; Terry Pratchett"
+    );
+  });
+
+  test("should take numbers as text and reject other values", () => {
+    const { data, errors } = toBookData({
+      title: 1984,
+      author: ["George Orwell", "Someone"],
+      description: { text: "A novel" },
+    });
+    expect(data.title).toBe("1984");
+    expect(errors).toEqual(["author must be text", "description must be text"]);
+  });
+
+  test("should key rows by ISBN or by title and author", () => {
+    expect(importKey({ isbn13: "9780306406157", title: "Dune" })).toBe(
+      "9780306406157"
+    );
+    expect(importKey({ title: "Dune", author: "Frank Herbert" })).toBe(
+      "dune|frank herbert"
+    );
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  buildBookFilter,
+  buildBookSort,
+} = require("../../../book-world-main/backend/utils/bookQuery");
+const {
+  parsePagination,
+  paginate,
+} = require("../../../book-world-main/backend/utils/pagination");
+
+describe("Book Query Helpers", () => {
+  describe("buildBookFilter", () => {
+    test("should return an empty filter without params", () => {
+      expect(buildBookFilter({})).toEqual({});
+    });
+
+    test("should accept comma separated and repeated genres", () => {
+      const filter = buildBookFilter({ genre: ["Fantasy,Horror", "Drama"] });
+
+      expect(filter).toEqual({
+        genre: { $in: ["Fantasy", "Horror", "Drama"] },
+      });
+    });
+
+    test("should combine filters with $and", () => {
+      const filter = buildBookFilter({
+        author: "rowling",
+        year_from: "1990",
+        year_to: "2000",
+      });
+
+      expect(filter.$and).toHaveLength(2);
+      expect(filter.$and[1]).toEqual({
+        year_published: { $gte: 1990, $lte: 2000 },
+      });
+    });
+
+    test("should escape regex characters in author", () => {
+      const filter = buildBookFilter({ author: "C++ (ed.)" });
+
+      expect(filter.author.test("c++ (ed.) Press")).toBe(true);
+      expect(filter.author.test("Cxx eds")).toBe(false);
+    });
+
+    test("should reject a repeated author", () => {
+      expect(() => buildBookFilter({ author: ["a", "b"] })).toThrow(
+        "author must be given once"
+      );
+    });
+
+    test("should reject invalid year ranges", () => {
+      expect(() => buildBookFilter({ year_from: "abc" })).toThrow(
+        "year_from must be a year"
+      );
+      expect(() =>
+        buildBookFilter({ year_from: "2001", year_to: "2000" })
+      ).toThrow("year_from cannot be after year_to");
+    });
+  });
+
+  describe("buildBookSort", () => {
+    test("should sort ascending and descending", () => {
+      expect(buildBookSort("title")).toEqual({ title: 1, _id: 1 });
+      expect(buildBookSort("-year_published")).toEqual({
+        year_published: -1,
+        _id: 1,
+      });
+    });
+
+    test("should sort by the stored rating fields", () => {
+      expect(buildBookSort("-rating")).toEqual({ ratingAverage: -1, _id: 1 });
+      expect(buildBookSort("-reviews")).toEqual({ ratingCount: -1, _id: 1 });
+    });
+
+    test("should sort searches by relevance by default", () => {
+      expect(buildBookSort(undefined, true)).toEqual({
+        score: { $meta: "textScore" },
+        _id: 1,
+      });
+      expect(() => buildBookSort("relevance")).toThrow(
+        "sort=relevance needs a search query"
+      );
+    });
+
+    test("should not sort by relevance searches without a score", () => {
+      expect(buildBookSort(undefined, true, false)).toEqual({ _id: 1 });
+      expect(buildBookSort("relevance", true, false)).toEqual({ _id: 1 });
+    });
+
+    test("should reject unknown fields", () => {
+      expect(() => buildBookSort("password")).toThrow("sort must be one of");
+      expect(() => buildBookSort(["title", "-year_published"])).toThrow(
+        "sort must be given once"
+      );
+    });
+  });
+
+  describe("pagination", () => {
+    test("should default to the first page", () => {
+      expect(parsePagination({})).toEqual({ page: 1, limit: 20, skip: 0 });
+    });
+
+    test("should reject invalid page and limit", () => {
+      expect(() => parsePagination({ page: "0" })).toThrow();
+      expect(() => parsePagination({ limit: "500" })).toThrow(
+        "limit cannot be more than 100"
+      );
+    });
+
+    test("should build page links keeping the query", () => {
+      const req = {
+        protocol: "http",
+        get: () => "localhost:8000",
+        originalUrl: "/books?genre=Drama&page=2",
+        query: { genre: "Drama", page: "2" },
+      };
+
+      const envelope = paginate(req, { total: 45, page: 2, limit: 20 });
+
+      expect(envelope.totalPages).toBe(3);
+      expect(envelope.links.next).toBe(
+        "http://localhost:8000/books?genre=Drama&page=3&limit=20"
+      );
+      expect(envelope.links.prev).toBe(
+        "http://localhost:8000/books?genre=Drama&page=1&limit=20"
+      );
+    });
+  });
+});
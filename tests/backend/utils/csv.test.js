@@ -0,0 +1,26 @@
+const {
+  parseCsv,
+  parseCsvObjects,
+  toCsvRow,
+} = require("../../../book-world-main/backend/utils/csv");
+
+describe("CSV Helpers", () => {
+  test("should parse quoted fields, escaped quotes and newlines", () => {
+    const rows = parseCsv('a,"b, c","say ""hi"""\r\n1,"two\nlines",3\n');
+    expect(rows).toEqual([
+      ["a", "b, c", 'say "hi"'],
+      ["1", "two\nlines", "3"],
+    ]);
+  });
+
+  test("should map rows to objects using the header row", () => {
+    const rows = parseCsvObjects("\uFEFFtitle,author\nDune,Frank Herbert\n\n");
+    expect(rows).toEqual([{ title: "Dune", author: "Frank Herbert" }]);
+  });
+
+  test("should quote fields only when needed", () => {
+    expect(toCsvRow(["Dune", "a, b", 'say "hi"', null, 1965])).toBe(
+      'Dune,"a, b","say ""hi""",,1965\r\n'
+    );
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  titleKey,
+  similarity,
+  compareBooks,
+} = require("../../../book-world-main/backend/utils/duplicates");
+
+describe("Duplicate Detection", () => {
+  test("should ignore case, accents, punctuation and leading articles", () => {
+    expect(titleKey("The Hobbit!")).toBe("hobbit");
+    expect(titleKey("Cien años de soledad")).toBe("cien anos de soledad");
+    expect(titleKey("Pride & Prejudice")).toBe("pride and prejudice");
+    expect(titleKey("Nineteen Eighty-Four")).toBe("nineteen eighty four");
+  });
+
+  test("should rate how alike two texts are", () => {
+    expect(similarity("dune", "dune")).toBe(1);
+    expect(similarity("harry poter", "harry potter")).toBeGreaterThan(0.9);
+    expect(similarity("dune", "emma")).toBe(0);
+  });
+
+  test("should match books with a misspelled title or author", () => {
+    expect(
+      compareBooks(
+        {
+          title: "Harry Poter and the Philosophers Stone",
+          author: "JK Rowling",
+        },
+        {
+          title: "Harry Potter and the Philosopher’s Stone",
+          author: "J.K. Rowling",
+        }
+      )
+    ).toEqual({ score: expect.any(Number), matches: ["title", "author"] });
+  });
+
+  test("should match books by one of their co-authors", () => {
+    expect(
+      compareBooks(
+        { title: "Good Omens", author: "Terry Pratchett" },
+        { title: "Good Omens", author: "Neil Gaiman; Terry Pratchett" }
+      )
+    ).toEqual({ score: 1, matches: ["title", "author"] });
+  });
+
+  test("should not match books of the same title by other authors", () => {
+    expect(
+      compareBooks(
+        { title: "Emma", author: "Jane Austen" },
+        { title: "Emma", author: "Alexander McCall Smith" }
+      )
+    ).toBeNull();
+    expect(
+      compareBooks(
+        { title: "Dune Messiah", author: "Frank Herbert" },
+        { title: "Dune", author: "Frank Herbert" }
+      )
+    ).toBeNull();
+  });
+
+  test("should tell editions apart by their isbn", () => {
+    const book = { title: "Dune", author: "Frank Herbert" };
+
+    expect(
+      compareBooks(
+        { ...book, isbn13: "9780306406157" },
+        { ...book, isbn13: "9780306406157", title: "Dune (Deluxe)" }
+      )
+    ).toEqual({ score: 1, matches: ["isbn"] });
+    expect(
+      compareBooks(
+        { ...book, isbn13: "9780306406157" },
+        { ...book, isbn13: "9781861972712" }
+      )
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  slugify,
+  resolveGenreNames,
+  expandGenreNames,
+  createsCycle,
+  ancestorsOf,
+  countBooksByGenre,
+} = require("../../../book-world-main/backend/utils/genres");
+
+const genres = [
+  { _id: "1", name: "Fiction", slug: "fiction", parent: null },
+  { _id: "2", name: "Fantasy", slug: "fantasy", parent: "1" },
+  { _id: "3", name: "High Fantasy", slug: "high-fantasy", parent: "2" },
+  { _id: "4", name: "History", slug: "history", parent: null },
+];
+
+describe("Genre Helpers", () => {
+  test("should make url friendly slugs", () => {
+    expect(slugify("Food & Cooking")).toBe("food-and-cooking");
+    expect(slugify("Children's Fiction")).toBe("children-s-fiction");
+    expect(slugify(" Ciencia Ficción ")).toBe("ciencia-ficcion");
+  });
+
+  test("should resolve names and slugs to the names of the taxonomy", () => {
+    expect(
+      resolveGenreNames(genres, ["high-fantasy", "FANTASY", "Fantasy", "Odd"])
+    ).toEqual({ known: ["High Fantasy", "Fantasy"], unknown: ["Odd"] });
+  });
+
+  test("should include every subgenre of a genre", () => {
+    expect(expandGenreNames(genres, ["Fiction"])).toEqual([
+      "Fiction",
+      "Fantasy",
+      "High Fantasy",
+    ]);
+    expect(expandGenreNames(genres, ["fantasy", "History"])).toEqual([
+      "Fantasy",
+      "High Fantasy",
+      "History",
+    ]);
+  });
+
+  test("should keep names that are not in the taxonomy", () => {
+    expect(expandGenreNames(genres, ["Drama"])).toEqual(["Drama"]);
+  });
+
+  test("should detect a genre placed under its own subgenre", () => {
+    expect(createsCycle(genres, "1", "3")).toBe(true);
+    expect(createsCycle(genres, "2", "2")).toBe(true);
+    expect(createsCycle(genres, "3", "4")).toBe(false);
+  });
+
+  test("should list the genres above a genre", () => {
+    expect(ancestorsOf(genres, genres[2]).map((genre) => genre.name)).toEqual([
+      "Fiction",
+      "Fantasy",
+    ]);
+    expect(ancestorsOf(genres, genres[0])).toEqual([]);
+  });
+
+  test("should count a book once for each genre above its genres", () => {
+    const counts = countBooksByGenre(genres, [
+      { genre: ["Fantasy", "High Fantasy"], count: 2 },
+      { genre: ["History", "Drama"], count: 1 },
+      { genre: ["Fiction"], count: 1 },
+    ]);
+
+    expect(Object.fromEntries(counts)).toEqual({
+      1: 3,
+      2: 2,
+      3: 2,
+      4: 1,
+    });
+  });
+});
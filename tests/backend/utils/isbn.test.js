@@ -0,0 +1,60 @@
+const {
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  resolveIsbns,
+  toIsbn13,
+} = require("../../../book-world-main/backend/utils/isbn");
+
+describe("ISBN Helpers", () => {
+  test("should validate checksums", () => {
+    expect(isValidIsbn10("0-306-40615-2")).toBe(true);
+    expect(isValidIsbn10("080442957X")).toBe(true);
+    expect(isValidIsbn10("0306406153")).toBe(false);
+    expect(isValidIsbn13("978-0-306-40615-7")).toBe(true);
+    expect(isValidIsbn13("9780306406158")).toBe(false);
+    expect(isValidIsbn13("1234567890128")).toBe(false);
+  });
+
+  test("should convert between ISBN-10 and ISBN-13", () => {
+    expect(isbn10To13("0306406152")).toBe("9780306406157");
+    expect(isbn13To10("9780306406157")).toBe("0306406152");
+    expect(isbn13To10("9791032300824")).toBeNull();
+  });
+
+  describe("resolveIsbns", () => {
+    test("should fill in the missing isbn", () => {
+      expect(resolveIsbns({ isbn10: "0-8044-2957-X" })).toEqual({
+        isbn10: "080442957X",
+        isbn13: "9780804429573",
+      });
+      expect(resolveIsbns({ isbn13: "979-10-323-0082-4" })).toEqual({
+        isbn10: null,
+        isbn13: "9791032300824",
+      });
+    });
+
+    test("should treat empty values as no isbn", () => {
+      expect(resolveIsbns({ isbn10: "", isbn13: "" })).toEqual({
+        isbn10: null,
+        isbn13: null,
+      });
+    });
+
+    test("should reject invalid and mismatched isbns", () => {
+      expect(() => resolveIsbns({ isbn10: "0306406153" })).toThrow(
+        "0306406153 is not a valid ISBN-10"
+      );
+      expect(() =>
+        resolveIsbns({ isbn10: "0306406152", isbn13: "9780804429573" })
+      ).toThrow("ISBN-10 and ISBN-13 do not match");
+    });
+  });
+
+  test("should turn any valid isbn into an ISBN-13", () => {
+    expect(toIsbn13("0306406152")).toBe("9780306406157");
+    expect(toIsbn13("978-0-306-40615-7")).toBe("9780306406157");
+    expect(() => toIsbn13("12345")).toThrow("12345 is not a valid ISBN");
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  parseMonths,
+  previousYearWindow,
+  buildReviewStats,
+} = require("../../../book-world-main/backend/utils/reviewStats");
+
+describe("Review Stats Helpers", () => {
+  const now = new Date(Date.UTC(2026, 2, 15, 12));
+  const buckets = [
+    { year: 2024, month: 12, reviews: 1, ratingSum: 5 },
+    { year: 2025, month: 3, reviews: 2, ratingSum: 7 },
+    { year: 2025, month: 11, reviews: 2, ratingSum: 6 },
+    { year: 2026, month: 1, reviews: 3, ratingSum: 12 },
+  ];
+
+  test("should default to twelve months", () => {
+    expect(parseMonths({})).toBe(12);
+    expect(parseMonths({ months: "24" })).toBe(24);
+    expect(() => parseMonths({ months: "0" })).toThrow(
+      "months must be a whole number from 1 to 60"
+    );
+    expect(() => parseMonths({ months: "61" })).toThrow();
+  });
+
+  test("should compare with the same part of last year", () => {
+    expect(previousYearWindow(now)).toEqual({
+      from: new Date(Date.UTC(2025, 0, 1)),
+      to: new Date(Date.UTC(2025, 2, 15, 12)),
+    });
+  });
+
+  test("should fill every month of the window", () => {
+    const { monthly } = buildReviewStats(
+      buckets,
+      { reviews: 2, ratingSum: 7 },
+      { now, months: 5 }
+    );
+
+    expect(monthly).toEqual([
+      { year: 2025, month: 11, reviews: 2, averageRating: 3 },
+      { year: 2025, month: 12, reviews: 0, averageRating: null },
+      { year: 2026, month: 1, reviews: 3, averageRating: 4 },
+      { year: 2026, month: 2, reviews: 0, averageRating: null },
+      { year: 2026, month: 3, reviews: 0, averageRating: null },
+    ]);
+  });
+
+  test("should bucket by year with growth", () => {
+    const stats = buildReviewStats(
+      buckets,
+      { reviews: 2, ratingSum: 7 },
+      { now, months: 12 }
+    );
+
+    expect(stats.yearly).toEqual([
+      { year: 2024, reviews: 1, averageRating: 5, growth: null },
+      { year: 2025, reviews: 4, averageRating: 3.25, growth: 300 },
+      { year: 2026, reviews: 3, averageRating: 4, growth: 50 },
+    ]);
+    expect(stats.yearToDate).toEqual({
+      year: 2026,
+      reviews: 3,
+      averageRating: 4,
+      previousReviews: 2,
+      previousAverageRating: 3.5,
+      growth: 50,
+    });
+    expect(stats.total).toEqual({ reviews: 8, averageRating: 3.75 });
+  });
+
+  test("should handle a book without reviews", () => {
+    const stats = buildReviewStats(
+      [],
+      { reviews: 0, ratingSum: 0 },
+      { now, months: 1 }
+    );
+
+    expect(stats.yearly).toEqual([
+      { year: 2026, reviews: 0, averageRating: null, growth: null },
+    ]);
+    expect(stats.yearToDate.growth).toBeNull();
+    expect(stats.total).toEqual({ reviews: 0, averageRating: null });
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  snapshotOf,
+  diffBooks,
+} = require("../../../book-world-main/backend/utils/revisions");
+
+describe("Revision Helpers", () => {
+  test("should snapshot the tracked fields only", () => {
+    expect(
+      snapshotOf({ title: "Dune", genre: ["Classics"], likes: 3, isbn10: "" })
+    ).toEqual({
+      title: "Dune",
+      author: null,
+      description: null,
+      genre: ["Classics"],
+      year_published: null,
+      isbn10: null,
+      isbn13: null,
+      image_url: null,
+      series: null,
+      seriesPosition: null,
+      format: null,
+      publisher: null,
+      language: null,
+    });
+  });
+
+  test("should list the changed fields", () => {
+    const before = { title: "Dune", genre: ["Classics"], year_published: 1965 };
+    const after = {
+      title: "Dune Messiah",
+      genre: ["Classics", "Science Fiction"],
+      year_published: 1965,
+    };
+
+    expect(diffBooks(before, after)).toEqual([
+      { field: "title", from: "Dune", to: "Dune Messiah" },
+      {
+        field: "genre",
+        from: ["Classics"],
+        to: ["Classics", "Science Fiction"],
+      },
+    ]);
+  });
+
+  test("should treat missing and empty values alike", () => {
+    expect(diffBooks({ isbn10: null }, { isbn10: "" })).toEqual([]);
+  });
+
+  test("should diff a new book against nothing", () => {
+    expect(diffBooks(null, { title: "Dune" })).toEqual([
+      { field: "title", from: null, to: "Dune" },
+    ]);
+  });
+});
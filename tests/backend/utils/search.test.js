@@ -0,0 +1,78 @@
+const {
+  parseSearchQuery,
+  toTextSearch,
+  wordsWithPrefix,
+  highlight,
+} = require("../../../book-world-main/backend/utils/search");
+
+describe("Search Helpers", () => {
+  describe("parseSearchQuery", () => {
+    test("should split phrases, prefixes, exclusions and terms", () => {
+      const search = parseSearchQuery('"small things" harr* magic -boring');
+
+      expect(search).toEqual({
+        phrases: ["small things"],
+        terms: ["magic"],
+        prefixes: ["harr"],
+        excluded: ["boring"],
+      });
+    });
+
+    test("should treat regex characters as plain text", () => {
+      const search = parseSearchQuery("c++ (beginners)");
+
+      expect(search.terms).toEqual(["c++", "(beginners)"]);
+    });
+
+    test("should reject queries without a word to match", () => {
+      expect(() => parseSearchQuery("-boring")).toThrow(
+        "Search must contain at least one word"
+      );
+    });
+  });
+
+  describe("toTextSearch", () => {
+    test("should quote phrases and add expanded prefixes", () => {
+      const search = parseSearchQuery('"small things" harr* -boring');
+
+      expect(toTextSearch(search, ["harry"])).toBe(
+        '"small things" harry -boring'
+      );
+    });
+  });
+
+  describe("wordsWithPrefix", () => {
+    test("should find words starting with the prefix", () => {
+      expect(wordsWithPrefix("Harry Potter and the Harrowing", "harr")).toEqual(
+        ["Harry", "Harrowing"]
+      );
+    });
+  });
+
+  describe("highlight", () => {
+    test("should mark stemmed terms and prefixes", () => {
+      const search = parseSearchQuery("running harr*");
+
+      expect(highlight("Harry runs home", search)).toBe(
+        "<mark>Harry</mark> <mark>runs</mark> home"
+      );
+    });
+
+    test("should return null when nothing matches", () => {
+      expect(highlight("The Hobbit", parseSearchQuery("dragon"))).toBeNull();
+    });
+
+    test("should cut long text to a snippet around the match", () => {
+      const text = `${"filler ".repeat(50)}a dragon appears ${"end ".repeat(
+        50
+      )}`;
+
+      const snippet = highlight(text, parseSearchQuery("dragon"));
+
+      expect(snippet.length).toBeLessThan(200);
+      expect(snippet).toContain("<mark>dragon</mark>");
+      expect(snippet.startsWith("…")).toBe(true);
+      expect(snippet.endsWith("…")).toBe(true);
+    });
+  });
+});
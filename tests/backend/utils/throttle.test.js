@@ -0,0 +1,45 @@
+const {
+  failureDelay,
+  retryAfterSeconds,
+  formatWait,
+} = require("../../../book-world-main/backend/utils/throttle");
+
+const limits = {
+  free: 3,
+  lockAfter: 10,
+  maxDelayMs: 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+};
+
+describe("Throttle", () => {
+  test("should let the first failures go without waiting", () => {
+    expect(failureDelay(1, limits)).toBe(0);
+    expect(failureDelay(2, limits)).toBe(0);
+  });
+
+  test("should double the wait with each failure up to the maximum", () => {
+    expect(failureDelay(3, limits)).toBe(1000);
+    expect(failureDelay(4, limits)).toBe(2000);
+    expect(failureDelay(6, limits)).toBe(8000);
+    expect(failureDelay(9, limits)).toBe(60 * 1000);
+  });
+
+  test("should lock out after too many failures", () => {
+    expect(failureDelay(10, limits)).toBe(15 * 60 * 1000);
+    expect(failureDelay(25, limits)).toBe(15 * 60 * 1000);
+  });
+
+  test("should round the wait up to whole seconds", () => {
+    const now = Date.now();
+    expect(retryAfterSeconds(new Date(now + 1500), now)).toBe(2);
+    expect(retryAfterSeconds(new Date(now + 100), now)).toBe(1);
+    expect(retryAfterSeconds(new Date(now - 5000), now)).toBe(1);
+  });
+
+  test("should describe the wait in seconds or minutes", () => {
+    expect(formatWait(1)).toBe("1 second");
+    expect(formatWait(45)).toBe("45 seconds");
+    expect(formatWait(60)).toBe("1 minute");
+    expect(formatWait(900)).toBe("15 minutes");
+  });
+});
@@ -1,4 +1,7 @@
 module.exports = {
+  // The repository root, the paths below start from it
+  rootDir: "..",
+
   // Test environment
   testEnvironment: "jsdom",
 
@@ -33,7 +36,7 @@ module.exports = {
   coverageReporters: ["text", "lcov", "html"],
 
   // Module name mapping
-  moduleNameMapping: {
+  moduleNameMapper: {
     "^@/(.*)$": "<rootDir>/book-world-main/frontend/src/$1",
     "^@backend/(.*)$": "<rootDir>/book-world-main/backend/$1",
   },
@@ -61,9 +64,6 @@ module.exports = {
   // Verbose output
   verbose: true,
 
-  // Environment variables for tests
-  setupFiles: ["<rootDir>/tests/env-setup.js"],
-
   // Global test configuration
   globals: {
     "ts-jest": {
@@ -103,13 +103,16 @@ module.exports = {
       displayName: "Backend Tests",
       testMatch: ["<rootDir>/tests/backend/**/*.test.js"],
       testEnvironment: "node",
-      setupFilesAfterEnv: ["<rootDir>/tests/backend/setup.js"],
+      moduleNameMapper: {
+        "^@backend/(.*)$": "<rootDir>/book-world-main/backend/$1",
+      },
+      setupFiles: ["<rootDir>/tests/backend/setup.js"],
     },
     {
       displayName: "Frontend Tests",
       testMatch: ["<rootDir>/tests/frontend/**/*.test.jsx"],
       testEnvironment: "jsdom",
-      setupFilesAfterEnv: ["<rootDir>/tests/frontend/setup.js"],
+      setupFilesAfterEnv: ["<rootDir>/tests/setup.js"],
     },
   ],
 
@@ -129,12 +132,6 @@ module.exports = {
     ],
   ],
 
-  // Notify mode
-  notify: true,
-
-  // Notify mode configuration
-  notifyMode: "always",
-
   // Error on missing coverage
   errorOnDeprecated: true,
 
@@ -232,13 +229,4 @@ module.exports = {
 
   // Snapshot serializers
   snapshotSerializers: ["enzyme-to-json/serializer"],
-
-  // Test sequencer
-  testSequencer: "<rootDir>/tests/test-sequencer.js",
-
-  // Global setup
-  globalSetup: "<rootDir>/tests/global-setup.js",
-
-  // Global teardown
-  globalTeardown: "<rootDir>/tests/global-teardown.js",
 };
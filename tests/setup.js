@@ -3,7 +3,6 @@
 // Mock environment variables
 process.env.NODE_ENV = "test";
 process.env.JWT_SECRET = "test-secret-key";
-process.env.MONGO_TEST_URL = "mongodb://localhost:27017/book-world-test";
 process.env.VITE_BACKEND_URL = "http://localhost:5000";
 
 // Mock console methods to reduce noise in tests